@@ -0,0 +1,239 @@
+/**
+ * @module filters.bench
+ * @description Times the filter engine on a synthetic national Pokédex: 1025 Pokémon with 11 names each, their
+ * stats and every filter dimension loaded. Each scenario is one `FilterEngine#filter` call, facet counts and
+ * suggestions included, and fails the run when its median is over a frame (16 ms).
+ * The engine has no DOM access, so it runs under plain Node: `npm run bench`.
+ */
+
+import { FilterEngine } from '../src/modules/filter-engine.js';
+import { RANGE_FILTERS, createOpenRange } from '../src/modules/ranges.js';
+import { createDefaultSort } from '../src/modules/sorting.js';
+
+/**
+ * Time budget of a filter call in milliseconds, one frame at 60 fps.
+ * @type {number}
+ */
+const BUDGET = 16;
+
+/**
+ * Timed runs of each scenario, after as many warm-up runs.
+ * @type {number}
+ */
+const RUNS = 25;
+
+/**
+ * Number of Pokémon of the synthetic national Pokédex.
+ * @type {number}
+ */
+const POKEMON_COUNT = 1025;
+
+/**
+ * Number of options of each filter dimension, in sidebar order, as in the `dimensions` module.
+ * The families get one option per Pokémon, of which only the picked one is loaded, as in the app.
+ * @type {Array<{key: string, multiple: boolean, options: number}>}
+ */
+const DIMENSIONS = [
+    { key: 'types', multiple: true, options: 18 },
+    { key: 'colors', multiple: true, options: 10 },
+    { key: 'gender', multiple: false, options: 3 },
+    { key: 'generations', multiple: true, options: 9 },
+    { key: 'habitats', multiple: true, options: 9 },
+    { key: 'shapes', multiple: true, options: 14 },
+    { key: 'eggGroups', multiple: true, options: 15 },
+    { key: 'status', multiple: true, options: 2 },
+    { key: 'families', multiple: false, options: POKEMON_COUNT }
+];
+
+/**
+ * Returns a seeded pseudo-random number generator, so every run times the same data.
+ *
+ * @param {number} seed - The seed.
+ * @returns {Function} - Returns an integer from 0 to below its argument.
+ */
+const createRandom = (seed) => (max) => {
+    seed = (seed * 16807) % 2147483647;
+    return seed % max;
+};
+
+const random = createRandom(25);
+
+/**
+ * Makes up a name from random syllables, in Latin or katakana letters.
+ *
+ * @param {boolean} [katakana=false] - Whether to use katakana.
+ * @returns {string} - The name.
+ */
+const createName = (katakana = false) => {
+    const syllables = katakana
+        ? ['ピ', 'カ', 'チュ', 'ウ', 'リ', 'ザ', 'ー', 'ド', 'フ', 'シ', 'ギ', 'ダ', 'ネ']
+        : ['pi', 'ka', 'chu', 'char', 'man', 'der', 'bul', 'ba', 'saur', 'squir', 'tle', 'ée', 'vo', 'li', 'mr', 'mime',
+            'ra', 'ti', 'ko', 'fa', 'go', 'lem', 'geo', 'dude', 'ny', 'zu', 'bat', 'on', 'ix', 'ste', 'el', 'dra', 'gon', 'ite'];
+    return Array.from({ length: 2 + random(3) }, () => syllables[random(syllables.length)]).join('');
+};
+
+/**
+ * Builds the Pokémon as the engine receives them, with their names in 11 languages and their stats.
+ *
+ * @returns {Array<Object>} - The Pokémon.
+ */
+const createPokemonList = () => Array.from({ length: POKEMON_COUNT }, (_, index) => {
+    const name = `${createName()}-${index + 1}`;
+    const stats = Object.fromEntries(RANGE_FILTERS.map(({ key, max }) => [key, random(max)]));
+
+    return {
+        id: index + 1,
+        number: index + 1,
+        name,
+        names: [name, ...Array.from({ length: 10 }, (_, language) => createName(language % 3 === 0))],
+        stats
+    };
+});
+
+/**
+ * Builds the Pokémon names of each option: every Pokémon has one or two options of each dimension,
+ * a few are legendary or mythical, and the families group three Pokémon in a row.
+ *
+ * @param {Array<Object>} pokemonList - The Pokémon.
+ * @returns {Array<Array>} - `[dimension key, option, Pokémon names]` of each option, see `FilterEngine#setOptionNames`.
+ */
+const createOptionNames = (pokemonList) => DIMENSIONS.flatMap(({ key, options }) => {
+    const names = Array.from({ length: options }, () => []);
+
+    pokemonList.forEach((pokemon, index) => {
+        if (key === 'families') {
+            names[index - index % 3].push(pokemon.name);
+        } else if (key === 'generations') {
+            names[Math.floor(index / POKEMON_COUNT * options)].push(pokemon.name);
+        } else if (key === 'status') {
+            if (random(20) === 0) names[random(options)].push(pokemon.name);
+        } else {
+            names[random(options)].push(pokemon.name);
+            if (random(2) === 0) names[random(options)].push(pokemon.name);
+        }
+    });
+
+    // Only the picked family is loaded
+    const loaded = key === 'families' ? [0] : names.keys();
+    return [...loaded].map(option => [key, `${key}-${option}`, names[option]]);
+});
+
+/**
+ * Returns the selection of a dimension.
+ *
+ * @param {Array<number>} [include=[]] - The indexes of the picked options.
+ * @param {Array<number>} [exclude=[]] - The indexes of the excluded options.
+ * @param {string} [mode='any'] - `any` or `all`.
+ * @returns {import('../src/modules/dimensions.js').Selection} - The selection, of options named as in `createOptionNames`.
+ */
+const select = (include = [], exclude = [], mode = 'any') => ({ include, exclude, mode });
+
+/**
+ * Builds a filter request.
+ *
+ * @param {Object} [options={}] - What is searched and filtered.
+ * @param {Array<{value: string, negated: boolean}>} [options.terms=[]] - The searched words.
+ * @param {Object<string, Object>} [options.selections={}] - The selection of some dimensions, see `select`.
+ * @param {Object<string, Object>} [options.ranges={}] - The range of some range filters.
+ * @returns {import('../src/modules/filter-engine.js').FilterRequest} - The request.
+ */
+const createRequest = ({ terms = [], selections = {}, ranges = {} } = {}) => {
+    const filters = Object.fromEntries(DIMENSIONS.map(({ key }) => {
+        const { include, exclude, mode } = selections[key] || select();
+        return [key, { include: include.map(option => `${key}-${option}`), exclude: exclude.map(option => `${key}-${option}`), mode }];
+    }));
+
+    return {
+        query: {
+            tokens: [],
+            terms,
+            ids: { include: [], exclude: [] },
+            filters: [],
+            ranges: Object.fromEntries(RANGE_FILTERS.map(({ key }) => [key, createOpenRange()]))
+        },
+        filters: {
+            ...filters,
+            ranges: Object.fromEntries(RANGE_FILTERS.map(({ key }) => [key, ranges[key] || createOpenRange()]))
+        },
+        dimensions: DIMENSIONS.map(({ key, multiple, options }) => ({
+            key,
+            multiple,
+            options: Array.from({ length: options }, (_, option) => [`${key}-${option}`, key !== 'families' || option === 0])
+        })),
+        sort: createDefaultSort(),
+        suggestions: 5
+    };
+};
+
+/**
+ * Scenarios timed, from the unfiltered list to searched words on top of filters.
+ * @type {Array<{name: string, request: Object}>}
+ */
+const SCENARIOS = [
+    { name: 'no search or filter', request: createRequest() },
+    {
+        name: 'filters',
+        request: createRequest({
+            selections: { types: select([1, 2, 5], [3]), colors: select([3, 4, 5]), gender: select([0]), status: select([], [0]) }
+        })
+    },
+    {
+        name: 'filters and ranges',
+        request: createRequest({
+            selections: { types: select([1, 2]), colors: select([3, 4, 5]), generations: select([0, 1, 2, 3]), status: select([], [0]) },
+            ranges: { speed: { min: 60, max: null }, total: { min: 200, max: 700 } }
+        })
+    },
+    { name: 'search', request: createRequest({ terms: [{ value: 'char', negated: false }] }) },
+    { name: 'search with typos', request: createRequest({ terms: [{ value: 'pikchuu', negated: false }] }) },
+    {
+        name: 'search and filters',
+        request: createRequest({
+            terms: [{ value: 'saur', negated: false }, { value: 'mime', negated: true }],
+            selections: { types: select([4, 5, 6]), eggGroups: select([1, 2, 3]) },
+            ranges: { hp: { min: 30, max: null } }
+        })
+    }
+];
+
+/**
+ * Returns the median of some numbers.
+ *
+ * @param {Array<number>} values - The numbers.
+ * @returns {number} - The median.
+ */
+const median = (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const engine = new FilterEngine();
+const pokemonList = createPokemonList();
+engine.setPokemon(pokemonList);
+engine.setOptionNames(createOptionNames(pokemonList));
+
+let failed = false;
+
+SCENARIOS.forEach(({ name, request }) => {
+    for (let run = 0; run < RUNS; run++) {
+        engine.filter(request);
+    }
+
+    let results = 0;
+    const times = Array.from({ length: RUNS }, () => {
+        const start = performance.now();
+        results = engine.filter(request).ids.length;
+        return performance.now() - start;
+    });
+
+    const time = median(times);
+    failed ||= time > BUDGET;
+    console.log(`${time > BUDGET ? 'FAIL' : 'ok  '} ${name.padEnd(20)} ${time.toFixed(2).padStart(6)} ms median, `
+        + `${Math.max(...times).toFixed(2).padStart(6)} ms max, ${results} results`);
+});
+
+if (failed) {
+    console.error(`A filter call took more than ${BUDGET} ms.`);
+    process.exitCode = 1;
+}
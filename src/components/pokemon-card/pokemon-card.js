@@ -4,8 +4,8 @@
  * Module for handling the display of Pokémon cards and loading initial and additional data.
  */
 
-import apiService from '../../services/api-service.js';
-import { createElementWithClass } from '../../utils/helper.js';
+import { translate } from '../../config/i18n.js';
+import { createElementWithClass, formatPokedexNumber } from '../../utils/helper.js';
 
 /**
  * Custom element representing a Pokémon card.
@@ -26,7 +26,7 @@ class PokemonCard extends HTMLElement {
     }
 
     /**
-     * Renders the Pokémon card content and styles.
+     * Renders the Pokémon card content and styles, filled in by `update`.
      *
      * @function
      * @returns {void} This method does not return any value.
@@ -42,21 +42,16 @@ class PokemonCard extends HTMLElement {
         cardContainer.classList.add('card');
 
         const linkElem = createElementWithClass('a', 'card__link');
-        linkElem.href = '#';
-        linkElem.setAttribute('data-url', this.getAttribute('url'));
 
         const flipContainer = createElementWithClass('div', 'card__flip-container');
 
         const cardFront = createElementWithClass('div', 'card__front');
 
         const imgFront = createElementWithClass('img', 'card__image');
-        imgFront.alt = this.getAttribute('name') || 'Pokemon image';
-        imgFront.src = this.getAttribute('image') || '#'
 
         const textContainer = createElementWithClass('div', 'card__name');
 
         const name = createElementWithClass('p', 'card__text');
-        name.textContent = `#${this.getAttribute('id')} ${this.getAttribute('name')}` || 'Pokemon Name';
 
         textContainer.appendChild(name);
         cardFront.append(imgFront, textContainer);
@@ -71,7 +66,15 @@ class PokemonCard extends HTMLElement {
 
         flipContainer.append(cardFront, cardBack);
         linkElem.appendChild(flipContainer);
-        cardContainer.appendChild(linkElem);
+
+        const teamButton = createElementWithClass('button', 'card__team-button');
+        teamButton.type = 'button';
+
+        const compareButton = createElementWithClass('button', 'card__compare-button');
+        compareButton.type = 'button';
+        compareButton.textContent = '⇄';
+
+        cardContainer.append(linkElem, compareButton, teamButton);
 
         const linkStylesheet = document.createElement('link');
         linkStylesheet.rel = 'stylesheet'; 
@@ -81,7 +84,7 @@ class PokemonCard extends HTMLElement {
 
         /* Rendererd HTML structure
         <div class="card">
-            <a href="#" class="card__link" data-url="https://pokeapi.co/api/v2/pokemon-species/1/">
+            <a href="#/pokemon/1" class="card__link" data-url="https://pokeapi.co/api/v2/pokemon-species/1/">
                 <div class="card__flip-container">
                     <div class="card__front">
                         <img class="card__image" alt="bulbasaur" src="https://assets.pokemon.com/assets/cms2/img/pokedex/detail/001.png">
@@ -92,26 +95,114 @@ class PokemonCard extends HTMLElement {
                     <div class="card__back"><img class="card__image" alt="Back image" src="src/images/back-pokemon-card.png"></div>
                 </div>
             </a>
+            <button type="button" class="card__compare-button" aria-pressed="false" aria-label="Compare: bulbasaur">⇄</button>
+            <button type="button" class="card__team-button" aria-pressed="false" aria-label="Add to team: bulbasaur">+</button>
         </div>
         */
 
-        linkElem.addEventListener('click', async (event) => {
+        // Shift, Ctrl or Cmd + click picks the Pokémon to be compared instead of opening it
+        linkElem.addEventListener('click', (event) => {
             event.preventDefault();
-            const url = linkElem.getAttribute('data-url');
-            await this.openAlert(url);
+            if (event.shiftKey || event.ctrlKey || event.metaKey) {
+                this.toggleCompare();
+            } else {
+                this.openDetail();
+            }
         });
+
+        compareButton.addEventListener('click', () => this.toggleCompare());
+        teamButton.addEventListener('click', () => this.toggleTeam());
+
+        this.elements = { link: linkElem, image: imgFront, name, teamButton, compareButton };
+        this.update();
     }
 
     /**
-     * Opens an alert with additional information about a Pokémon.
+     * Fills the card with the Pokémon of its attributes. The card is updated in place, so it can be reused
+     * for another Pokémon without rendering it again.
      *
      * @function
-     * @param {string} url - The URL to fetch additional information about the Pokémon.
-     * @returns {Promise<void>} This method returns a promise that resolves when the alert is shown.
+     * @returns {void} This method does not return any value.
      */
-    async openAlert(url) {
-        const info = await apiService.fetchMoreInfoPokemons(url);
-        alert(info);
+    update() {
+        const { link, image, name, teamButton, compareButton } = this.elements;
+        const inTeam = this.hasAttribute('in-team');
+        const compared = this.hasAttribute('compared');
+
+        link.href = `#/pokemon/${this.getAttribute('id')}`;
+        link.setAttribute('data-url', this.getAttribute('url'));
+
+        image.alt = this.getAttribute('name') || 'Pokemon image';
+        image.src = this.getAttribute('image') || '#';
+
+        const number = formatPokedexNumber({ id: this.getAttribute('id'), number: this.getAttribute('number') || this.getAttribute('id') });
+        name.textContent = `${number} ${this.getAttribute('name')}`;
+
+        teamButton.textContent = inTeam ? '✓' : '+';
+        teamButton.setAttribute('aria-pressed', String(inTeam));
+        teamButton.setAttribute('aria-label', `${translate(inTeam ? 'removeFromTeam' : 'addToTeam')}: ${this.getAttribute('name')}`);
+        teamButton.title = translate(inTeam ? 'removeFromTeam' : 'addToTeam');
+
+        compareButton.setAttribute('aria-pressed', String(compared));
+        compareButton.setAttribute('aria-label', `${translate('compare')}: ${this.getAttribute('name')}`);
+        compareButton.title = translate('compareHint');
+    }
+
+    /**
+     * Requests the detail view of this Pokémon by dispatching a `pokemon-select` event.
+     *
+     * @function
+     * @fires PokemonCard#pokemon-select
+     * @returns {void} This method does not return any value.
+     */
+    openDetail() {
+        /**
+         * @event PokemonCard#pokemon-select
+         * @type {CustomEvent<{id: number, url: string}>}
+         */
+        this.dispatchEvent(new CustomEvent('pokemon-select', {
+            bubbles: true,
+            composed: true,
+            detail: { id: Number(this.getAttribute('id')), url: this.getAttribute('url') }
+        }));
+    }
+
+    /**
+     * Adds this Pokémon to the active team, or removes it when it is in it, by dispatching a `team-toggle` event.
+     *
+     * @function
+     * @fires PokemonCard#team-toggle
+     * @returns {void} This method does not return any value.
+     */
+    toggleTeam() {
+        /**
+         * @event PokemonCard#team-toggle
+         * @type {CustomEvent<{id: number}>}
+         */
+        this.dispatchEvent(new CustomEvent('team-toggle', {
+            bubbles: true,
+            composed: true,
+            detail: { id: Number(this.getAttribute('id')) }
+        }));
+    }
+
+    /**
+     * Picks this Pokémon to be compared, or unpicks it, by dispatching a `compare-toggle` event.
+     *
+     * @function
+     * @fires PokemonCard#compare-toggle
+     * @returns {void} This method does not return any value.
+     */
+    toggleCompare() {
+        /**
+         * @event PokemonCard#compare-toggle
+         * @type {CustomEvent<{id: number}>}
+         */
+        this.dispatchEvent(new CustomEvent('compare-toggle', {
+            bubbles: true,
+            composed: true,
+            detail: { id: Number(this.getAttribute('id')) }
+        }));
     }
 
     /**
@@ -121,7 +212,7 @@ class PokemonCard extends HTMLElement {
      * @returns {Array<string>} - An array of attribute names to observe.
      */
     static get observedAttributes() {
-        return ['id', 'name', 'image', 'url'];
+        return ['id', 'number', 'name', 'image', 'url', 'in-team', 'compared'];
     }
 
     /**
@@ -131,7 +222,7 @@ class PokemonCard extends HTMLElement {
      * @returns {void}
      */
     attributeChangedCallback() {
-        this.render();
+        this.update();
     }
 }
 
@@ -0,0 +1,474 @@
+/**
+ * @module
+ * @description
+ * Module for comparing Pokémon side by side in a modal dialog: base stats, a radar chart of the stats,
+ * types, abilities, measures and the type matchups in which they differ.
+ */
+
+import { TYPE_COLORS } from '../../config/constants.js';
+import { translate } from '../../config/i18n.js';
+import { formatMultiplier, getMultiplier, loadTypeChart } from '../../modules/type-matchups.js';
+import apiService from '../../services/api-service.js';
+import { createElementWithClass, formatPokedexNumber, formatSlug } from '../../utils/helper.js';
+
+/**
+ * Colors of the compared Pokémon in the radar chart and the table headings, in selection order.
+ * @type {Array<string>}
+ */
+const SERIES_COLORS = ['#3b4cca', '#d9534f', '#28a745', '#f0ad4e'];
+
+/**
+ * Size of the radar chart, in SVG units.
+ * @type {number}
+ */
+const RADAR_SIZE = 320;
+
+/**
+ * Radius of the radar chart, leaving room for the stat labels.
+ * @type {number}
+ */
+const RADAR_RADIUS = 110;
+
+/**
+ * Number of rings of the radar chart grid.
+ * @type {number}
+ */
+const RADAR_RINGS = 4;
+
+/**
+ * Namespace of the SVG elements.
+ * @type {string}
+ */
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
+/**
+ * Custom element representing the comparison modal.
+ *
+ * @class
+ * @extends HTMLElement
+ */
+class PokemonCompare extends HTMLElement {
+
+    /**
+     * Creates an instance of PokemonCompare.
+     * @constructor
+     */
+    constructor() {
+        super();
+        this.attachShadow({ mode: 'open' });
+        this.requestId = 0;
+        this.previousFocus = null;
+        this.handleKeydown = this.handleKeydown.bind(this);
+        this.render();
+    }
+
+    /**
+     * Renders the modal shell and styles. The comparison is rendered by `renderComparison`.
+     *
+     * @function
+     * @returns {void} This method does not return any value.
+     */
+    render() {
+        const shadow = this.shadowRoot;
+
+        shadow.innerHTML = '';
+
+        this.overlay = createElementWithClass('div', 'compare');
+
+        const dialog = createElementWithClass('div', 'compare__dialog');
+        dialog.setAttribute('role', 'dialog');
+        dialog.setAttribute('aria-modal', 'true');
+        dialog.setAttribute('aria-labelledby', 'compare-title');
+
+        this.closeButton = createElementWithClass('button', 'compare__close');
+        this.closeButton.setAttribute('aria-label', translate('close'));
+        this.closeButton.textContent = '✕';
+
+        const title = createElementWithClass('h2', 'compare__title');
+        title.id = 'compare-title';
+        title.textContent = translate('comparison');
+
+        this.body = createElementWithClass('div', 'compare__body');
+        this.body.setAttribute('aria-live', 'polite');
+
+        dialog.append(this.closeButton, title, this.body);
+        this.overlay.appendChild(dialog);
+
+        const linkStylesheet = document.createElement('link');
+        linkStylesheet.rel = 'stylesheet';
+        linkStylesheet.href = 'src/components/pokemon-compare/pokemon-compare.css';
+
+        shadow.append(linkStylesheet, this.overlay);
+
+        this.overlay.addEventListener('click', (event) => {
+            if (event.target === this.overlay) this.close();
+        });
+        this.closeButton.addEventListener('click', () => this.close());
+    }
+
+    /**
+     * Opens the modal on the given Pokémon and loads their details.
+     *
+     * @async
+     * @function
+     * @param {Array<{ id: number, name: string, image: string, url: string }>} items - The Pokémon to compare.
+     * @returns {Promise<void>} Resolves when the comparison has been rendered, or has failed to load.
+     */
+    async open(items) {
+        if (!this.isOpen()) {
+            this.previousFocus = document.activeElement;
+            this.overlay.classList.add('compare--visible');
+            document.addEventListener('keydown', this.handleKeydown);
+            this.closeButton.focus();
+        }
+
+        const requestId = ++this.requestId;
+        this.body.replaceChildren(this.createMessage(translate('loadingComparison')));
+
+        try {
+            const [details, chart] = await Promise.all([
+                Promise.all(items.map(item => apiService.fetchMoreInfoPokemons(item.url))),
+                // The comparison is still shown without the type matchups
+                loadTypeChart().catch(error => {
+                    console.error('[PokemonCompare] Error loading the type chart:', error);
+                    return null;
+                })
+            ]);
+            // Ignore responses for a comparison the user has already left
+            if (requestId !== this.requestId) return;
+            this.renderComparison(items, details, chart);
+        } catch (error) {
+            console.error('[PokemonCompare] Error loading the details:', error);
+            if (requestId === this.requestId) {
+                this.body.replaceChildren(this.createMessage(translate('comparisonError')));
+            }
+        }
+    }
+
+    /**
+     * Closes the modal and gives the focus back to the element that opened it.
+     *
+     * @function
+     * @fires PokemonCompare#compare-close
+     * @returns {void} This method does not return any value.
+     */
+    close() {
+        if (!this.isOpen()) return;
+
+        // Discard any pending request
+        this.requestId += 1;
+        this.overlay.classList.remove('compare--visible');
+        document.removeEventListener('keydown', this.handleKeydown);
+        this.previousFocus?.focus();
+        this.dispatchEvent(new CustomEvent('compare-close'));
+    }
+
+    /**
+     * Checks whether the modal is open.
+     *
+     * @function
+     * @returns {boolean} - True if the modal is visible.
+     */
+    isOpen() {
+        return this.overlay.classList.contains('compare--visible');
+    }
+
+    /**
+     * Handles the keyboard shortcuts of the modal: Escape closes it.
+     *
+     * @function
+     * @param {KeyboardEvent} event - The keydown event.
+     * @returns {void} This method does not return any value.
+     */
+    handleKeydown(event) {
+        if (event.key === 'Escape') this.close();
+    }
+
+    /**
+     * Renders the comparison table, the radar chart and the matchup differences.
+     *
+     * @function
+     * @param {Array<{ id: number, image: string }>} items - The list entries of the Pokémon.
+     * @param {Array<import('../../models/pokemon-details.js').PokemonDetails>} details - Their details, in the same order.
+     * @param {import('../../modules/type-matchups.js').TypeChart|null} chart - The type chart, null if it could not be loaded.
+     * @returns {void} This method does not return any value.
+     */
+    renderComparison(items, details, chart) {
+        const overview = createElementWithClass('div', 'compare__overview');
+        overview.append(this.createTable(items, details), this.createRadar(details));
+
+        this.body.replaceChildren(overview);
+        if (chart) this.body.appendChild(this.createMatchupDifferences(details, chart));
+    }
+
+    /**
+     * Creates the table with a column per Pokémon: artwork, types, abilities, measures and base stats,
+     * the highest value of each stat being highlighted.
+     *
+     * @function
+     * @param {Array<{ id: number, image: string }>} items - The list entries of the Pokémon.
+     * @param {Array<import('../../models/pokemon-details.js').PokemonDetails>} details - Their details.
+     * @returns {HTMLElement} - The table, in a scrollable container.
+     */
+    createTable(items, details) {
+        const table = createElementWithClass('table', 'compare__table');
+
+        const head = table.createTHead().insertRow();
+        head.appendChild(document.createElement('td'));
+        details.forEach((pokemon, index) => {
+            const heading = createElementWithClass('th', 'compare__pokemon');
+            heading.scope = 'col';
+            heading.style.borderBottomColor = SERIES_COLORS[index];
+
+            const image = createElementWithClass('img', 'compare__image');
+            image.alt = '';
+            image.src = pokemon.artwork || items[index].image;
+            const name = createElementWithClass('span', 'compare__name');
+            name.textContent = `${formatPokedexNumber(items[index])} ${pokemon.displayName}`;
+
+            heading.append(image, name);
+            head.appendChild(heading);
+        });
+
+        const body = table.createTBody();
+        const addRow = (label, createCell) => {
+            const row = body.insertRow();
+            const heading = createElementWithClass('th', 'compare__label');
+            heading.scope = 'row';
+            heading.textContent = label;
+            row.appendChild(heading);
+            details.forEach(pokemon => {
+                const cell = row.insertCell();
+                cell.className = 'compare__value';
+                createCell(cell, pokemon);
+            });
+            return row;
+        };
+
+        addRow(translate('types'), (cell, pokemon) => {
+            cell.append(...pokemon.types.map(type => this.createTypeBadge(type.name, type.label)));
+        });
+        addRow(translate('abilities'), (cell, pokemon) => {
+            cell.textContent = pokemon.abilities
+                .map(ability => `${formatSlug(ability.name)}${ability.hidden ? ` (${translate('hidden')})` : ''}`)
+                .join(', ');
+        });
+        addRow(translate('height'), (cell, pokemon) => { cell.textContent = `${pokemon.height} m`; });
+        addRow(translate('weight'), (cell, pokemon) => { cell.textContent = `${pokemon.weight} kg`; });
+
+        const stats = [
+            ...details[0].stats.map(stat => ({ name: stat.name, label: translate(stat.name) })),
+            { name: 'total', label: translate('total') }
+        ];
+        stats.forEach(({ name, label }) => {
+            const values = details.map(pokemon => this.getStatValue(pokemon, name));
+            const best = Math.max(...values);
+            // Nothing stands out when every Pokémon has the same value
+            const highlight = values.some(value => value !== best);
+
+            const row = addRow(label, (cell, pokemon) => {
+                cell.textContent = this.getStatValue(pokemon, name);
+            });
+            row.classList.add('compare__stat', `compare__stat--${name}`);
+            [...row.cells].slice(1).forEach((cell, index) => {
+                if (highlight && values[index] === best) cell.classList.add('compare__value--best');
+            });
+        });
+
+        const container = createElementWithClass('div', 'compare__table-container');
+        container.appendChild(table);
+        return container;
+    }
+
+    /**
+     * Creates the radar chart of the base stats, with a polygon per Pokémon and a legend.
+     * The scale goes up to the next multiple of 50 of the highest stat, 100 at least.
+     *
+     * @function
+     * @param {Array<import('../../models/pokemon-details.js').PokemonDetails>} details - The Pokémon details.
+     * @returns {HTMLElement} - The radar chart figure.
+     */
+    createRadar(details) {
+        const statNames = details[0].stats.map(stat => stat.name);
+        const highest = Math.max(...details.flatMap(pokemon => pokemon.stats.map(stat => stat.value)));
+        const scale = Math.max(100, Math.ceil(highest / 50) * 50);
+        const center = RADAR_SIZE / 2;
+
+        // The first stat points up, the others going clockwise
+        const pointAt = (index, ratio) => {
+            const angle = (Math.PI * 2 * index) / statNames.length - Math.PI / 2;
+            return [center + Math.cos(angle) * RADAR_RADIUS * ratio, center + Math.sin(angle) * RADAR_RADIUS * ratio];
+        };
+        const toPoints = (ratios) => ratios.map((ratio, index) => pointAt(index, ratio).map(value => value.toFixed(1)).join(',')).join(' ');
+
+        const svg = this.createSvgElement('svg', {
+            class: 'compare__radar',
+            viewBox: `0 0 ${RADAR_SIZE} ${RADAR_SIZE}`,
+            role: 'img',
+            'aria-label': translate('statsRadar')
+        });
+
+        for (let ring = 1; ring <= RADAR_RINGS; ring++) {
+            svg.appendChild(this.createSvgElement('polygon', {
+                class: 'compare__radar-grid',
+                points: toPoints(statNames.map(() => ring / RADAR_RINGS))
+            }));
+        }
+
+        statNames.forEach((name, index) => {
+            const [x, y] = pointAt(index, 1);
+            svg.appendChild(this.createSvgElement('line', { class: 'compare__radar-axis', x1: center, y1: center, x2: x, y2: y }));
+
+            const [labelX, labelY] = pointAt(index, 1.22);
+            const label = this.createSvgElement('text', { class: 'compare__radar-label', x: labelX, y: labelY });
+            label.textContent = translate(name);
+            svg.appendChild(label);
+        });
+
+        details.forEach((pokemon, index) => {
+            const polygon = this.createSvgElement('polygon', {
+                class: 'compare__radar-series',
+                points: toPoints(pokemon.stats.map(stat => stat.value / scale)),
+                stroke: SERIES_COLORS[index],
+                fill: SERIES_COLORS[index]
+            });
+            const title = this.createSvgElement('title');
+            title.textContent = `${pokemon.displayName}: ${pokemon.stats.map(stat => `${translate(stat.name)} ${stat.value}`).join(', ')}`;
+            polygon.appendChild(title);
+            svg.appendChild(polygon);
+        });
+
+        const legend = createElementWithClass('ul', 'compare__legend');
+        details.forEach((pokemon, index) => {
+            const entry = createElementWithClass('li', 'compare__legend-item');
+            const swatch = createElementWithClass('span', 'compare__swatch');
+            swatch.style.backgroundColor = SERIES_COLORS[index];
+            entry.append(swatch, pokemon.displayName);
+            legend.appendChild(entry);
+        });
+
+        const figure = createElementWithClass('figure', 'compare__figure');
+        figure.append(svg, legend);
+        return figure;
+    }
+
+    /**
+     * Creates the section listing the attacking types that do not hit every compared Pokémon equally.
+     *
+     * @function
+     * @param {Array<import('../../models/pokemon-details.js').PokemonDetails>} details - The Pokémon details.
+     * @param {import('../../modules/type-matchups.js').TypeChart} chart - The type chart.
+     * @returns {HTMLElement} - The matchup differences section.
+     */
+    createMatchupDifferences(details, chart) {
+        const section = createElementWithClass('section', 'compare__section');
+        const title = createElementWithClass('h3', 'compare__section-title');
+        title.textContent = translate('matchupDifferences');
+        section.appendChild(title);
+
+        const differences = chart.types
+            .map(type => ({
+                type,
+                multipliers: details.map(pokemon => getMultiplier(chart, type, pokemon.types.map(({ name }) => name)))
+            }))
+            .filter(({ multipliers }) => new Set(multipliers).size > 1);
+
+        if (!differences.length) {
+            section.appendChild(this.createMessage(translate('noMatchupDifferences')));
+            return section;
+        }
+
+        const table = createElementWithClass('table', 'compare__table', 'compare__table--matchups');
+        const head = table.createTHead().insertRow();
+        const corner = document.createElement('th');
+        corner.scope = 'col';
+        corner.textContent = translate('attackingType');
+        head.appendChild(corner);
+        details.forEach((pokemon, index) => {
+            const heading = createElementWithClass('th', 'compare__pokemon');
+            heading.scope = 'col';
+            heading.style.borderBottomColor = SERIES_COLORS[index];
+            heading.textContent = pokemon.displayName;
+            head.appendChild(heading);
+        });
+
+        const body = table.createTBody();
+        differences.forEach(({ type, multipliers }) => {
+            const row = body.insertRow();
+            const heading = createElementWithClass('th', 'compare__label');
+            heading.scope = 'row';
+            heading.appendChild(this.createTypeBadge(type, translate(type)));
+            row.appendChild(heading);
+
+            multipliers.forEach(multiplier => {
+                const kind = multiplier > 1 ? 'weakness' : multiplier === 1 ? 'neutral' : multiplier > 0 ? 'resistance' : 'immunity';
+                const cell = row.insertCell();
+                cell.className = `compare__multiplier compare__multiplier--${kind}`;
+                cell.textContent = formatMultiplier(multiplier);
+            });
+        });
+
+        const container = createElementWithClass('div', 'compare__table-container');
+        container.appendChild(table);
+        section.appendChild(container);
+        return section;
+    }
+
+    /**
+     * Returns a base stat of a Pokémon, or the sum of its base stats.
+     *
+     * @function
+     * @param {import('../../models/pokemon-details.js').PokemonDetails} pokemon - The Pokémon details.
+     * @param {string} name - The stat name, or `total`.
+     * @returns {number} - The value, 0 if the Pokémon has no such stat.
+     */
+    getStatValue(pokemon, name) {
+        if (name === 'total') return pokemon.baseStatTotal;
+        return pokemon.stats.find(stat => stat.name === name)?.value ?? 0;
+    }
+
+    /**
+     * Creates an SVG element with the given attributes.
+     *
+     * @function
+     * @param {string} tag - The tag name.
+     * @param {Object<string, string|number>} [attributes={}] - The attributes.
+     * @returns {SVGElement} - The element.
+     */
+    createSvgElement(tag, attributes = {}) {
+        const element = document.createElementNS(SVG_NAMESPACE, tag);
+        Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+        return element;
+    }
+
+    /**
+     * Creates a badge of a type, in the color of the type.
+     *
+     * @function
+     * @param {string} type - The type name.
+     * @param {string} label - The localized type name.
+     * @returns {HTMLElement} - The badge.
+     */
+    createTypeBadge(type, label) {
+        const badge = createElementWithClass('span', 'compare__type');
+        badge.textContent = label;
+        badge.style.backgroundColor = TYPE_COLORS[type] || TYPE_COLORS.unknown;
+        return badge;
+    }
+
+    /**
+     * Creates a status message shown while loading or on errors.
+     *
+     * @function
+     * @param {string} text - The message text.
+     * @returns {HTMLElement} - The message element.
+     */
+    createMessage(text) {
+        const message = createElementWithClass('p', 'compare__message');
+        message.textContent = text;
+        return message;
+    }
+}
+
+// Define the custom element
+customElements.define('pokemon-compare', PokemonCompare);
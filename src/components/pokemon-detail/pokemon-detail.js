@@ -0,0 +1,713 @@
+/**
+ * @module
+ * @description
+ * Module for displaying the details of a Pokémon in a modal dialog.
+ */
+
+import { TYPE_COLORS } from '../../config/constants.js';
+import { formatLabel, translate } from '../../config/i18n.js';
+import { formatMultiplier, getDefensiveMatchups, groupByMultiplier, loadTypeChart } from '../../modules/type-matchups.js';
+import apiService from '../../services/api-service.js';
+import { formatDetailsAsHtml, formatDetailsAsJson, formatDetailsAsText, getDetailFields } from '../../utils/formatters.js';
+import { capitalize, createElementWithClass, formatPokedexNumber, formatSlug } from '../../utils/helper.js';
+
+/**
+ * Highest possible base stat, used to scale the stat bars.
+ * @type {number}
+ */
+const MAX_BASE_STAT = 255;
+
+/**
+ * Fields of the detail model listed in the profile section, in their order.
+ * @type {Array<string>}
+ */
+const FACT_KEYS = ['abilities', 'height', 'weight', 'habitat', 'eggGroups', 'color', 'captureRate'];
+
+/**
+ * Custom element representing the Pokémon detail modal.
+ *
+ * @class
+ * @extends HTMLElement
+ */
+class PokemonDetail extends HTMLElement {
+
+    /**
+     * Creates an instance of PokemonDetail.
+     * @constructor
+     */
+    constructor() {
+        super();
+        this.attachShadow({ mode: 'open' });
+        this.items = [];
+        this.index = -1;
+        this.requestId = 0;
+        this.pokemonIds = new Set();
+        this.previousFocus = null;
+        this.handleKeydown = this.handleKeydown.bind(this);
+        this.render();
+    }
+
+    /**
+     * Renders the modal shell and styles. The details are rendered by `renderDetails`.
+     *
+     * @function
+     * @returns {void} This method does not return any value.
+     */
+    render() {
+        const shadow = this.shadowRoot;
+
+        shadow.innerHTML = '';
+
+        this.overlay = createElementWithClass('div', 'detail');
+
+        const dialog = createElementWithClass('div', 'detail__dialog');
+        dialog.setAttribute('role', 'dialog');
+        dialog.setAttribute('aria-modal', 'true');
+        dialog.setAttribute('aria-labelledby', 'detail-title');
+
+        this.closeButton = createElementWithClass('button', 'detail__close');
+        this.closeButton.setAttribute('aria-label', translate('close'));
+        this.closeButton.textContent = '✕';
+
+        this.previousButton = createElementWithClass('button', 'detail__nav', 'detail__nav--previous');
+        this.nextButton = createElementWithClass('button', 'detail__nav', 'detail__nav--next');
+
+        const navigation = createElementWithClass('div', 'detail__navigation');
+        navigation.append(this.previousButton, this.nextButton);
+
+        this.body = createElementWithClass('div', 'detail__body');
+        this.body.setAttribute('aria-live', 'polite');
+
+        dialog.append(this.closeButton, this.body, navigation);
+        this.overlay.appendChild(dialog);
+
+        const linkStylesheet = document.createElement('link');
+        linkStylesheet.rel = 'stylesheet';
+        linkStylesheet.href = 'src/components/pokemon-detail/pokemon-detail.css';
+
+        shadow.append(linkStylesheet, this.overlay);
+
+        this.overlay.addEventListener('click', (event) => {
+            if (event.target === this.overlay) this.close();
+        });
+        this.closeButton.addEventListener('click', () => this.close());
+        this.previousButton.addEventListener('click', () => this.showPrevious());
+        this.nextButton.addEventListener('click', () => this.showNext());
+    }
+
+    /**
+     * Keeps the national Pokédex numbers of the Pokémon that can be shown, the evolution stages of other Pokémon
+     * not being clickable.
+     *
+     * @function
+     * @param {Array<{ id: number }>} pokemonList - The Pokémon.
+     * @returns {void} This method does not return any value.
+     */
+    setPokemon(pokemonList) {
+        this.pokemonIds = new Set(pokemonList.map(pokemon => pokemon.id));
+    }
+
+    /**
+     * Opens the modal on a Pokémon of a list. The list is used for next/previous navigation.
+     *
+     * @function
+     * @param {Array<{ id: number, name: string, image: string, url: string }>} items - The list of Pokémon to navigate through.
+     * @param {number} index - The index of the Pokémon to show.
+     * @returns {Promise<void>} Resolves when the details have been rendered.
+     */
+    async open(items, index) {
+        this.items = items;
+
+        if (!this.isOpen()) {
+            this.previousFocus = document.activeElement;
+            this.overlay.classList.add('detail--visible');
+            document.addEventListener('keydown', this.handleKeydown);
+            this.closeButton.focus();
+        }
+
+        await this.show(index);
+    }
+
+    /**
+     * Closes the modal and gives the focus back to the element that opened it.
+     *
+     * @function
+     * @returns {void} This method does not return any value.
+     */
+    close() {
+        if (!this.isOpen()) return;
+
+        // Discard any pending request
+        this.requestId += 1;
+        this.overlay.classList.remove('detail--visible');
+        document.removeEventListener('keydown', this.handleKeydown);
+        this.previousFocus?.focus();
+        this.dispatchEvent(new CustomEvent('detail-close'));
+    }
+
+    /**
+     * Returns the list entry currently shown.
+     *
+     * @function
+     * @returns {{ id: number, name: string, image: string, url: string }|null} - The current Pokémon, or null when closed.
+     */
+    getCurrentItem() {
+        return this.isOpen() ? this.items[this.index] || null : null;
+    }
+
+    /**
+     * Checks whether the modal is open.
+     *
+     * @function
+     * @returns {boolean} - True if the modal is visible.
+     */
+    isOpen() {
+        return this.overlay.classList.contains('detail--visible');
+    }
+
+    /**
+     * Shows the previous Pokémon of the list, if any.
+     *
+     * @function
+     * @returns {void} This method does not return any value.
+     */
+    showPrevious() {
+        if (this.index > 0) this.navigateTo(this.index - 1);
+    }
+
+    /**
+     * Shows the next Pokémon of the list, if any.
+     *
+     * @function
+     * @returns {void} This method does not return any value.
+     */
+    showNext() {
+        if (this.index < this.items.length - 1) this.navigateTo(this.index + 1);
+    }
+
+    /**
+     * Shows another Pokémon of the list and notifies listeners with a `detail-navigate` event.
+     *
+     * @function
+     * @param {number} index - The index of the Pokémon to show.
+     * @returns {void} This method does not return any value.
+     */
+    navigateTo(index) {
+        this.show(index);
+        this.dispatchEvent(new CustomEvent('detail-navigate', { detail: { id: this.items[index].id } }));
+    }
+
+    /**
+     * Handles the keyboard shortcuts of the modal: Escape closes it and the arrow keys navigate.
+     *
+     * @function
+     * @param {KeyboardEvent} event - The keydown event.
+     * @returns {void} This method does not return any value.
+     */
+    handleKeydown(event) {
+        if (event.key === 'Escape') this.close();
+        if (event.key === 'ArrowLeft') this.showPrevious();
+        if (event.key === 'ArrowRight') this.showNext();
+    }
+
+    /**
+     * Loads and renders the Pokémon at the given index of the list.
+     *
+     * @async
+     * @function
+     * @param {number} index - The index of the Pokémon to show.
+     * @returns {Promise<void>} Resolves when the details have been rendered.
+     */
+    async show(index) {
+        const item = this.items[index];
+        if (!item) return;
+
+        this.index = index;
+        this.updateNavigation();
+
+        const requestId = ++this.requestId;
+        this.body.replaceChildren(this.createMessage(formatLabel('loadingDetails', { pokemon: `${formatPokedexNumber(item)} ${item.name}` })));
+
+        try {
+            const [details, chart] = await Promise.all([
+                apiService.fetchMoreInfoPokemons(item.url),
+                // The details are still shown without the type matchups
+                loadTypeChart().catch(error => {
+                    console.error('[PokemonDetail] Error loading the type chart:', error);
+                    return null;
+                })
+            ]);
+            // Ignore responses for Pokémon the user has already navigated away from
+            if (requestId !== this.requestId) return;
+            this.renderDetails(item, details, chart);
+            await this.renderEvolution(details, requestId);
+        } catch (error) {
+            console.error(`[PokemonDetail] Error loading details for <${item.name}>:`, error);
+            if (requestId === this.requestId) {
+                this.body.replaceChildren(this.createMessage(formatLabel('detailsError', { name: capitalize(item.name) })));
+            }
+        }
+    }
+
+    /**
+     * Updates the labels and state of the next/previous buttons.
+     *
+     * @function
+     * @returns {void} This method does not return any value.
+     */
+    updateNavigation() {
+        const previous = this.items[this.index - 1];
+        const next = this.items[this.index + 1];
+
+        this.previousButton.disabled = !previous;
+        this.previousButton.textContent = previous ? `‹ ${formatPokedexNumber(previous)} ${previous.name}` : '‹';
+        this.nextButton.disabled = !next;
+        this.nextButton.textContent = next ? `${formatPokedexNumber(next)} ${next.name} ›` : '›';
+    }
+
+    /**
+     * Renders the details of a Pokémon.
+     *
+     * @function
+     * @param {{ id: number, image: string }} item - The list entry of the Pokémon.
+     * @param {import('../../models/pokemon-details.js').PokemonDetails} details - The Pokémon details.
+     * @param {import('../../modules/type-matchups.js').TypeChart|null} chart - The type chart, null if it could not be loaded.
+     * @returns {void} This method does not return any value.
+     */
+    renderDetails(item, details, chart) {
+        const header = createElementWithClass('div', 'detail__header');
+
+        const title = createElementWithClass('h2', 'detail__title');
+        title.id = 'detail-title';
+        title.textContent = `${formatPokedexNumber(item)} ${details.displayName}`;
+        header.appendChild(title);
+
+        if (details.isLegendary) header.appendChild(this.createBadge(translate('legendary'), 'detail__badge--legendary'));
+        if (details.isMythical) header.appendChild(this.createBadge(translate('mythical'), 'detail__badge--mythical'));
+        header.appendChild(this.createExportActions(details));
+
+        const subtitle = createElementWithClass('p', 'detail__genus');
+        subtitle.textContent = details.genus;
+
+        const image = createElementWithClass('img', 'detail__image');
+        image.alt = details.displayName;
+        image.src = details.artwork || item.image;
+
+        const types = createElementWithClass('div', 'detail__types');
+        details.types.forEach(type => {
+            const chip = createElementWithClass('span', 'detail__type');
+            chip.textContent = type.label;
+            chip.style.backgroundColor = TYPE_COLORS[type.name] || TYPE_COLORS.unknown;
+            types.appendChild(chip);
+        });
+
+        const description = createElementWithClass('p', 'detail__description');
+        description.textContent = details.description;
+
+        const summary = createElementWithClass('div', 'detail__summary');
+        summary.append(image, types, description);
+        if (chart) summary.appendChild(this.createMatchups(details, chart));
+
+        const columns = createElementWithClass('div', 'detail__columns');
+        columns.append(summary, this.createStats(details), this.createFacts(details));
+
+        this.evolution = createElementWithClass('section', 'detail__section', 'detail__evolution');
+        this.evolution.append(this.createSectionTitle(translate('evolution')), this.createMessage(translate('loadingEvolution')));
+
+        this.body.replaceChildren(header, subtitle, columns, this.evolution);
+    }
+
+    /**
+     * Loads the evolution chain of a Pokémon and renders it in the evolution section.
+     *
+     * @async
+     * @function
+     * @param {import('../../models/pokemon-details.js').PokemonDetails} details - The Pokémon details.
+     * @param {number} requestId - The request the details belong to, the chain being dropped if another one started.
+     * @returns {Promise<void>} Resolves when the chain has been rendered, or has failed to load.
+     */
+    async renderEvolution(details, requestId) {
+        const section = this.evolution;
+        const title = this.createSectionTitle(translate('evolution'));
+
+        if (!details.evolutionChainUrl) {
+            section.replaceChildren(title, this.createMessage(translate('noEvolution')));
+            return;
+        }
+
+        try {
+            const chain = await apiService.fetchEvolutionChain(details.evolutionChainUrl);
+            if (requestId !== this.requestId) return;
+
+            const content = chain.evolvesTo.length > 0
+                ? this.createEvolutionTree([chain], details.id)
+                : this.createMessage(translate('noEvolution'));
+            section.replaceChildren(title, content);
+        } catch (error) {
+            console.error(`[PokemonDetail] Error loading the evolution chain of <${details.name}>:`, error);
+            if (requestId === this.requestId) {
+                section.replaceChildren(title, this.createMessage(translate('evolutionError')));
+            }
+        }
+    }
+
+    /**
+     * Creates a level of the evolution tree: each stage with how it is reached, followed by the stages it evolves into.
+     * Branching families such as Eevee's list their branches one below the other.
+     *
+     * @function
+     * @param {Array<import('../../models/evolution-chain.js').EvolutionStage>} stages - The stages of the level.
+     * @param {number} currentId - The national Pokédex number of the Pokémon shown.
+     * @returns {HTMLElement} - The list of stages.
+     */
+    createEvolutionTree(stages, currentId) {
+        const list = createElementWithClass('ul', 'detail__evolution-tree');
+
+        stages.forEach(stage => {
+            const branch = createElementWithClass('li', 'detail__evolution-branch');
+
+            if (stage.conditions.length > 0) {
+                const conditions = createElementWithClass('p', 'detail__evolution-conditions');
+                stage.conditions.forEach(condition => {
+                    const text = createElementWithClass('span', 'detail__evolution-condition');
+                    text.textContent = this.formatEvolutionCondition(condition);
+                    conditions.appendChild(text);
+                });
+                branch.appendChild(conditions);
+            }
+
+            branch.appendChild(this.createEvolutionStage(stage, currentId));
+            if (stage.evolvesTo.length > 0) {
+                branch.appendChild(this.createEvolutionTree(stage.evolvesTo, currentId));
+            }
+
+            list.appendChild(branch);
+        });
+
+        return list;
+    }
+
+    /**
+     * Creates a stage of the evolution tree, with its sprite. Stages of other Pokémon that can be shown are buttons
+     * moving to them, through a `detail-navigate` event.
+     *
+     * @function
+     * @param {import('../../models/evolution-chain.js').EvolutionStage} stage - The stage.
+     * @param {number} currentId - The national Pokédex number of the Pokémon shown.
+     * @returns {HTMLElement} - The stage element.
+     */
+    createEvolutionStage(stage, currentId) {
+        const isCurrent = stage.id === currentId;
+        const isAvailable = !isCurrent && this.pokemonIds.has(stage.id);
+
+        const element = createElementWithClass(isAvailable ? 'button' : 'span', 'detail__evolution-stage');
+        if (isCurrent) {
+            element.classList.add('detail__evolution-stage--current');
+            element.setAttribute('aria-current', 'true');
+        }
+
+        const sprite = createElementWithClass('img', 'detail__evolution-sprite');
+        sprite.alt = '';
+        sprite.src = apiService.getSpriteUrl(stage.id);
+
+        const name = createElementWithClass('span', 'detail__evolution-name');
+        name.textContent = `#${stage.id} ${formatSlug(stage.name)}`;
+
+        element.append(sprite, name);
+
+        if (isAvailable) {
+            element.type = 'button';
+            element.addEventListener('click', () => {
+                this.dispatchEvent(new CustomEvent('detail-navigate', { detail: { id: stage.id } }));
+            });
+        }
+
+        return element;
+    }
+
+    /**
+     * Describes one way of evolving, e.g. "Level up, Friendship ≥ 160, at night".
+     *
+     * @function
+     * @param {import('../../models/evolution-chain.js').EvolutionCondition} condition - The condition.
+     * @returns {string} - The description.
+     */
+    formatEvolutionCondition(condition) {
+        const label = (key) => {
+            const text = translate(key);
+            return text === key ? formatSlug(key) : text;
+        };
+        const parts = [];
+
+        if (condition.trigger === 'level-up') {
+            parts.push(condition.minLevel === null ? translate('levelUp') : `${translate('level')} ${condition.minLevel}`);
+        } else if (condition.trigger === 'use-item') {
+            parts.push(`${translate('useItem')} ${formatSlug(condition.item || '')}`.trim());
+        } else {
+            parts.push(label(condition.trigger));
+        }
+
+        if (condition.heldItem) parts.push(`${translate('holding')} ${formatSlug(condition.heldItem)}`);
+        if (condition.tradeSpecies) parts.push(`${translate('tradedFor')} ${formatSlug(condition.tradeSpecies)}`);
+        if (condition.minHappiness !== null) parts.push(`${translate('friendship')} ≥ ${condition.minHappiness}`);
+        if (condition.minAffection !== null) parts.push(`${translate('affection')} ≥ ${condition.minAffection}`);
+        if (condition.minBeauty !== null) parts.push(`${translate('beauty')} ≥ ${condition.minBeauty}`);
+        if (condition.timeOfDay) parts.push(label(`time-${condition.timeOfDay}`));
+        if (condition.knownMove) parts.push(`${translate('knowing')} ${formatSlug(condition.knownMove)}`);
+        if (condition.knownMoveType) parts.push(`${translate('knowingMoveType')} ${translate(condition.knownMoveType)}`);
+        if (condition.location) parts.push(`${translate('atLocation')} ${formatSlug(condition.location)}`);
+        if (condition.partySpecies) parts.push(`${translate('inParty')}: ${formatSlug(condition.partySpecies)}`);
+        if (condition.partyType) parts.push(`${translate('inParty')}: ${translate(condition.partyType)}`);
+        if (condition.gender) parts.push(translate(condition.gender));
+        if (condition.relativePhysicalStats !== null) {
+            const comparison = { 1: '>', 0: '=', '-1': '<' }[condition.relativePhysicalStats];
+            parts.push(`${translate('attack')} ${comparison} ${translate('defense')}`);
+        }
+        if (condition.needsOverworldRain) parts.push(translate('whileRaining'));
+        if (condition.turnUpsideDown) parts.push(translate('upsideDown'));
+
+        return parts.join(', ');
+    }
+
+    /**
+     * Creates the base stats section with one bar per stat.
+     *
+     * @function
+     * @param {import('../../models/pokemon-details.js').PokemonDetails} details - The Pokémon details.
+     * @returns {HTMLElement} - The stats section.
+     */
+    createStats(details) {
+        const section = createElementWithClass('section', 'detail__section');
+        section.appendChild(this.createSectionTitle(translate('baseStats')));
+
+        const list = createElementWithClass('dl', 'detail__stats');
+        details.stats.forEach(stat => {
+            const label = createElementWithClass('dt', 'detail__stat-label');
+            label.textContent = translate(stat.name);
+
+            const value = createElementWithClass('dd', 'detail__stat-value');
+            const number = createElementWithClass('span', 'detail__stat-number');
+            number.textContent = stat.value;
+            const bar = createElementWithClass('span', 'detail__stat-bar');
+            bar.style.width = `${Math.min(100, stat.value / MAX_BASE_STAT * 100)}%`;
+            value.append(number, bar);
+
+            list.append(label, value);
+        });
+
+        const total = createElementWithClass('p', 'detail__stat-total');
+        total.textContent = `${translate('total')}: ${details.baseStatTotal}`;
+
+        section.append(list, total);
+        return section;
+    }
+
+    /**
+     * Creates the type matchups section: the attacking types the Pokémon is weak to, resists or is immune to,
+     * grouped by damage multiplier, both of its types counting.
+     *
+     * @function
+     * @param {import('../../models/pokemon-details.js').PokemonDetails} details - The Pokémon details.
+     * @param {import('../../modules/type-matchups.js').TypeChart} chart - The type chart.
+     * @returns {HTMLElement} - The matchups section.
+     */
+    createMatchups(details, chart) {
+        const section = createElementWithClass('section', 'detail__section', 'detail__matchups');
+        section.appendChild(this.createSectionTitle(translate('typeMatchups')));
+
+        const list = createElementWithClass('dl', 'detail__matchup-list');
+        groupByMultiplier(getDefensiveMatchups(chart, details.types.map(type => type.name))).forEach(({ multiplier, types }) => {
+            const kind = multiplier > 1 ? 'weakness' : multiplier > 0 ? 'resistance' : 'immunity';
+
+            const label = createElementWithClass('dt', 'detail__matchup-label', `detail__matchup-label--${kind}`);
+            label.textContent = formatMultiplier(multiplier);
+            label.title = translate(kind);
+
+            const badges = createElementWithClass('dd', 'detail__matchup-types');
+            types.forEach(type => {
+                const badge = createElementWithClass('span', 'detail__matchup-type');
+                badge.textContent = translate(type);
+                badge.style.backgroundColor = TYPE_COLORS[type] || TYPE_COLORS.unknown;
+                badges.appendChild(badge);
+            });
+
+            list.append(label, badges);
+        });
+
+        section.appendChild(list);
+        return section;
+    }
+
+    /**
+     * Creates the section with abilities, measures, habitat, breeding and capture data.
+     *
+     * @function
+     * @param {import('../../models/pokemon-details.js').PokemonDetails} details - The Pokémon details.
+     * @returns {HTMLElement} - The facts section.
+     */
+    createFacts(details) {
+        const section = createElementWithClass('section', 'detail__section');
+        section.appendChild(this.createSectionTitle(translate('profile')));
+
+        const facts = getDetailFields(details, undefined, FACT_KEYS);
+
+        const list = createElementWithClass('dl', 'detail__facts');
+        facts.forEach(([labelText, value]) => {
+            const label = createElementWithClass('dt', 'detail__fact-label');
+            label.textContent = labelText;
+            const text = createElementWithClass('dd', 'detail__fact-value');
+            text.textContent = value;
+            list.append(label, text);
+        });
+
+        section.append(list, this.createGenderRatio(details.genderRatio));
+        return section;
+    }
+
+    /**
+     * Creates the gender ratio bar.
+     *
+     * @function
+     * @param {{male: number, female: number}|null} genderRatio - The percentage of each gender, null when genderless.
+     * @returns {HTMLElement} - The gender ratio element.
+     */
+    createGenderRatio(genderRatio) {
+        const container = createElementWithClass('div', 'detail__gender');
+        const label = createElementWithClass('p', 'detail__fact-label');
+        label.textContent = translate('genderRatio');
+        container.appendChild(label);
+
+        if (!genderRatio) {
+            const text = createElementWithClass('p', 'detail__fact-value');
+            text.textContent = translate('genderless');
+            container.appendChild(text);
+            return container;
+        }
+
+        const { male, female } = genderRatio;
+        const bar = createElementWithClass('div', 'detail__gender-bar');
+        bar.style.setProperty('--female-ratio', `${female}%`);
+        bar.setAttribute('role', 'img');
+        bar.setAttribute('aria-label', `${translate('male')} ${male}%, ${translate('female')} ${female}%`);
+
+        const text = createElementWithClass('p', 'detail__fact-value');
+        text.textContent = `♂ ${male}% · ♀ ${female}%`;
+
+        container.append(bar, text);
+        return container;
+    }
+
+    /**
+     * Creates a section title.
+     *
+     * @function
+     * @param {string} text - The title text.
+     * @returns {HTMLElement} - The title element.
+     */
+    createSectionTitle(text) {
+        const title = createElementWithClass('h3', 'detail__section-title');
+        title.textContent = text;
+        return title;
+    }
+
+    /**
+     * Creates a badge such as "Legendary".
+     *
+     * @function
+     * @param {string} text - The badge text.
+     * @param {string} modifier - The BEM modifier class of the badge.
+     * @returns {HTMLElement} - The badge element.
+     */
+    createBadge(text, modifier) {
+        const badge = createElementWithClass('span', 'detail__badge', modifier);
+        badge.textContent = text;
+        return badge;
+    }
+
+    /**
+     * Creates the export actions of the details: copy them, as rich text where the clipboard supports it,
+     * or download them as JSON.
+     *
+     * @function
+     * @param {import('../../models/pokemon-details.js').PokemonDetails} details - The Pokémon details.
+     * @returns {HTMLElement} - The export actions.
+     */
+    createExportActions(details) {
+        const actions = createElementWithClass('div', 'detail__export');
+
+        const copyButton = createElementWithClass('button', 'detail__export-button');
+        copyButton.textContent = translate('copyDetails');
+        copyButton.addEventListener('click', () => this.copyDetails(details, copyButton));
+
+        const downloadButton = createElementWithClass('button', 'detail__export-button');
+        downloadButton.textContent = translate('downloadJson');
+        downloadButton.addEventListener('click', () => this.downloadDetails(details));
+
+        actions.append(copyButton, downloadButton);
+        return actions;
+    }
+
+    /**
+     * Copies the details to the clipboard, as HTML and plain text where rich clipboard items are supported,
+     * and as plain text otherwise. The button tells whether it worked.
+     *
+     * @async
+     * @function
+     * @param {import('../../models/pokemon-details.js').PokemonDetails} details - The Pokémon details.
+     * @param {HTMLButtonElement} button - The copy button.
+     * @returns {Promise<void>} Resolves when the details have been copied, or have failed to.
+     */
+    async copyDetails(details, button) {
+        const text = formatDetailsAsText(details);
+
+        try {
+            if ('ClipboardItem' in window) {
+                await navigator.clipboard.write([new ClipboardItem({
+                    'text/plain': new Blob([text], { type: 'text/plain' }),
+                    'text/html': new Blob([formatDetailsAsHtml(details)], { type: 'text/html' })
+                })]);
+            } else {
+                await navigator.clipboard.writeText(text);
+            }
+            button.textContent = translate('detailsCopied');
+        } catch (error) {
+            console.error(`[PokemonDetail] Error copying the details of <${details.name}>:`, error);
+            button.textContent = translate('copyError');
+        }
+    }
+
+    /**
+     * Downloads the details as a JSON file named after the Pokémon, e.g. `pikachu.json`.
+     *
+     * @function
+     * @param {import('../../models/pokemon-details.js').PokemonDetails} details - The Pokémon details.
+     * @returns {void} This method does not return any value.
+     */
+    downloadDetails(details) {
+        const url = URL.createObjectURL(new Blob([formatDetailsAsJson(details)], { type: 'application/json' }));
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${details.name}.json`;
+        link.click();
+
+        // Revoked once the download has started
+        setTimeout(() => URL.revokeObjectURL(url));
+    }
+
+    /**
+     * Creates a status message shown while loading or on errors.
+     *
+     * @function
+     * @param {string} text - The message text.
+     * @returns {HTMLElement} - The message element.
+     */
+    createMessage(text) {
+        const message = createElementWithClass('p', 'detail__message');
+        message.textContent = text;
+        return message;
+    }
+}
+
+// Define the custom element
+customElements.define('pokemon-detail', PokemonDetail);
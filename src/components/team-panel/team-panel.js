@@ -0,0 +1,582 @@
+/**
+ * @module
+ * @description
+ * Module for the team builder panel: the saved teams, the Pokémon of the active team and its type analysis.
+ */
+
+import { TEAM_CONFIG, TYPE_COLORS } from '../../config/constants.js';
+import { translate } from '../../config/i18n.js';
+import { analyzeTeam } from '../../modules/team-analysis.js';
+import { loadTypeChart } from '../../modules/type-matchups.js';
+import apiService from '../../services/api-service.js';
+import teamService from '../../services/team-service.js';
+import { createElementWithClass } from '../../utils/helper.js';
+
+/**
+ * Custom element representing the team builder panel.
+ *
+ * @class
+ * @extends HTMLElement
+ */
+class TeamPanel extends HTMLElement {
+
+    /**
+     * Creates an instance of TeamPanel.
+     * @constructor
+     */
+    constructor() {
+        super();
+        this.attachShadow({ mode: 'open' });
+        this.pokemonById = new Map();
+        this.requestId = 0;
+        this.previousFocus = null;
+        this.draggedPosition = null;
+        this.render();
+
+        teamService.onChange(() => {
+            if (this.isOpen()) this.update();
+        });
+    }
+
+    /**
+     * Renders the panel shell and styles. The team is rendered by `update`.
+     *
+     * @function
+     * @returns {void} This method does not return any value.
+     */
+    render() {
+        const shadow = this.shadowRoot;
+
+        shadow.innerHTML = '';
+
+        this.panel = createElementWithClass('aside', 'team');
+        this.panel.setAttribute('aria-labelledby', 'team-title');
+
+        const header = createElementWithClass('div', 'team__header');
+        const title = createElementWithClass('h2', 'team__title');
+        title.id = 'team-title';
+        title.textContent = translate('teamBuilder');
+
+        this.closeButton = createElementWithClass('button', 'team__close');
+        this.closeButton.setAttribute('aria-label', translate('close'));
+        this.closeButton.textContent = '✕';
+        header.append(title, this.closeButton);
+
+        this.teamSelect = createElementWithClass('select', 'team__select');
+        this.nameInput = createElementWithClass('input', 'team__name');
+        this.nameInput.maxLength = 40;
+
+        const actions = createElementWithClass('div', 'team__actions');
+        actions.append(
+            this.createActionButton('new', translate('newTeam'), 'team__action'),
+            this.shareButton = this.createActionButton('share', translate('shareTeam'), 'team__action'),
+            this.createActionButton('delete', translate('deleteTeam'), 'team__action', 'team__action--danger')
+        );
+
+        this.shareLink = createElementWithClass('input', 'team__share-link');
+        this.shareLink.readOnly = true;
+        this.shareLink.hidden = true;
+        this.shareLink.setAttribute('aria-label', translate('shareLink'));
+
+        const controls = createElementWithClass('div', 'team__controls');
+        controls.append(
+            this.createLabel(translate('savedTeams'), this.teamSelect),
+            this.createLabel(translate('teamName'), this.nameInput),
+            actions,
+            this.shareLink
+        );
+
+        this.status = createElementWithClass('p', 'team__status');
+        this.status.setAttribute('role', 'status');
+
+        this.memberList = createElementWithClass('ol', 'team__members');
+        this.analysis = createElementWithClass('div', 'team__analysis');
+
+        this.panel.append(header, controls, this.status, this.memberList, this.analysis);
+
+        const linkStylesheet = document.createElement('link');
+        linkStylesheet.rel = 'stylesheet';
+        linkStylesheet.href = 'src/components/team-panel/team-panel.css';
+
+        shadow.append(linkStylesheet, this.panel);
+
+        this.closeButton.addEventListener('click', () => this.close());
+        this.teamSelect.addEventListener('change', () => teamService.selectTeam(Number(this.teamSelect.value)));
+        this.nameInput.addEventListener('change', () => {
+            if (!teamService.renameTeam(teamService.getActiveIndex(), this.nameInput.value)) {
+                this.nameInput.value = teamService.getActiveTeam().name;
+            }
+        });
+        this.panel.addEventListener('click', (event) => this.handleClick(event));
+        this.panel.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape') this.close();
+        });
+
+        this.memberList.addEventListener('dragstart', (event) => this.handleDragStart(event));
+        this.memberList.addEventListener('dragover', (event) => {
+            if (this.draggedPosition !== null) event.preventDefault();
+        });
+        this.memberList.addEventListener('drop', (event) => this.handleDrop(event));
+        this.memberList.addEventListener('dragend', () => {
+            this.draggedPosition = null;
+        });
+    }
+
+    /**
+     * Keeps the Pokémon list used to show the name and the sprite of the team members.
+     *
+     * @function
+     * @param {Array<{ id: number, name: string, sprite: string }>} pokemonList - The Pokémon.
+     * @returns {void} This method does not return any value.
+     */
+    setPokemon(pokemonList) {
+        this.pokemonById = new Map(pokemonList.map(pokemon => [pokemon.id, pokemon]));
+        if (this.isOpen()) this.update();
+    }
+
+    /**
+     * Opens the panel on the active team.
+     *
+     * @function
+     * @returns {Promise<void>} Resolves when the team and its analysis have been rendered.
+     */
+    async open() {
+        if (!this.isOpen()) {
+            this.previousFocus = document.activeElement;
+            this.panel.classList.add('team--visible');
+            this.closeButton.focus();
+        }
+
+        await this.update();
+    }
+
+    /**
+     * Closes the panel and gives the focus back to the element that opened it.
+     *
+     * @function
+     * @fires TeamPanel#team-close
+     * @returns {void} This method does not return any value.
+     */
+    close() {
+        if (!this.isOpen()) return;
+
+        // Discard any pending analysis
+        this.requestId += 1;
+        this.panel.classList.remove('team--visible');
+        this.shareLink.hidden = true;
+        this.status.textContent = '';
+        this.previousFocus?.focus();
+        this.dispatchEvent(new CustomEvent('team-close'));
+    }
+
+    /**
+     * Checks whether the panel is open.
+     *
+     * @function
+     * @returns {boolean} - True if the panel is visible.
+     */
+    isOpen() {
+        return this.panel.classList.contains('team--visible');
+    }
+
+    /**
+     * Shows a message in the status line of the panel, announced to screen readers.
+     *
+     * @function
+     * @param {string} text - The message.
+     * @returns {void} This method does not return any value.
+     */
+    announce(text) {
+        this.status.textContent = text;
+    }
+
+    /**
+     * Renders the saved teams and the active team, then loads the types of its Pokémon to analyse it.
+     *
+     * @async
+     * @function
+     * @returns {Promise<void>} Resolves when the analysis has been rendered, or has failed.
+     */
+    async update() {
+        const team = teamService.getActiveTeam();
+        const requestId = ++this.requestId;
+
+        this.teamSelect.replaceChildren(...teamService.getTeams().map((savedTeam, index) => {
+            const option = new Option(`${savedTeam.name} (${savedTeam.members.length}/${TEAM_CONFIG.maxSize})`, index);
+            option.selected = index === teamService.getActiveIndex();
+            return option;
+        }));
+        this.nameInput.value = team.name;
+        this.shareButton.disabled = team.members.length === 0;
+
+        this.renderMembers(team.members);
+        this.analysis.replaceChildren();
+        if (team.members.length === 0) return;
+
+        try {
+            const [types, chart] = await Promise.all([
+                Promise.all(team.members.map(id => this.fetchTypes(id))),
+                loadTypeChart()
+            ]);
+            // Ignore analyses of a team that has changed since
+            if (requestId !== this.requestId) return;
+
+            const typesById = new Map(team.members.map((id, index) => [id, types[index]]));
+            const members = team.members.map(id => ({ id, types: typesById.get(id) }))
+                .filter(member => member.types.length > 0);
+
+            this.renderMembers(team.members, typesById);
+            this.renderAnalysis(analyzeTeam(members, chart));
+        } catch (error) {
+            console.error('[TeamPanel] Error loading the type analysis:', error);
+            if (requestId === this.requestId) {
+                this.analysis.replaceChildren(this.createMessage(translate('teamAnalysisError')));
+            }
+        }
+    }
+
+    /**
+     * Fetches the types of a team member. A member whose types fail to load is left out of the analysis.
+     *
+     * @async
+     * @function
+     * @param {number} id - The national Pokédex number of the Pokémon.
+     * @returns {Promise<Array<string>>} - The type names, empty when they could not be loaded.
+     */
+    async fetchTypes(id) {
+        try {
+            return await apiService.fetchPokemonTypeNames(id);
+        } catch (error) {
+            console.error(`[TeamPanel] Error loading the types of <${id}>:`, error);
+            return [];
+        }
+    }
+
+    /**
+     * Renders the Pokémon of the active team, then its empty slots.
+     *
+     * @function
+     * @param {Array<number>} members - The national Pokédex numbers of the Pokémon, in team order.
+     * @param {Map<number, Array<string>>} [typesById=new Map()] - The types of each Pokémon, once loaded.
+     * @returns {void} This method does not return any value.
+     */
+    renderMembers(members, typesById = new Map()) {
+        const focused = this.shadowRoot.activeElement;
+        const focusedAction = focused?.dataset.action && focused.dataset.id
+            ? `[data-action='${focused.dataset.action}'][data-id='${focused.dataset.id}']`
+            : null;
+
+        const items = members.map((id, position) => {
+            const pokemon = this.pokemonById.get(id);
+            const name = pokemon?.name || '';
+
+            const item = createElementWithClass('li', 'team__member');
+            item.draggable = true;
+            item.dataset.position = position;
+
+            const sprite = createElementWithClass('img', 'team__sprite');
+            sprite.alt = '';
+            sprite.src = pokemon?.sprite || '#';
+
+            const label = createElementWithClass('span', 'team__member-name');
+            label.textContent = `#${id} ${name}`;
+
+            const types = createElementWithClass('span', 'team__types');
+            (typesById.get(id) || []).forEach(type => types.appendChild(this.createTypeChip(type)));
+
+            const buttons = createElementWithClass('span', 'team__member-buttons');
+            buttons.append(
+                this.createMemberButton('up', id, position, '↑', `${translate('moveUp')}: ${name}`, position === 0),
+                this.createMemberButton('down', id, position, '↓', `${translate('moveDown')}: ${name}`, position === members.length - 1),
+                this.createMemberButton('remove', id, position, '✕', `${translate('removeFromTeam')}: ${name}`)
+            );
+
+            item.append(sprite, label, types, buttons);
+            return item;
+        });
+
+        const emptySlots = Array.from({ length: TEAM_CONFIG.maxSize - members.length }, () => {
+            const slot = createElementWithClass('li', 'team__member', 'team__member--empty');
+            slot.textContent = translate('emptySlot');
+            return slot;
+        });
+
+        this.memberList.replaceChildren(...items, ...emptySlots);
+
+        if (members.length === 0) {
+            this.announce(translate('emptyTeam'));
+        }
+
+        // Keep the focus on the button used, e.g. to move a Pokémon several times in a row
+        const refocused = focusedAction && this.memberList.querySelector(focusedAction);
+        if (refocused && !refocused.disabled) {
+            refocused.focus();
+        } else if (focusedAction) {
+            this.closeButton.focus();
+        }
+    }
+
+    /**
+     * Renders the type analysis of the team: its shared weaknesses, how each attacking type hits it,
+     * and the types it hits super effectively.
+     *
+     * @function
+     * @param {import('../../modules/team-analysis.js').TeamAnalysis} analysis - The analysis.
+     * @returns {void} This method does not return any value.
+     */
+    renderAnalysis({ defense, sharedWeaknesses, coverage, uncovered }) {
+        const weaknesses = this.createSection(translate('sharedWeaknesses'));
+        const weaknessTypes = createElementWithClass('p', 'team__types');
+        if (sharedWeaknesses.length > 0) {
+            sharedWeaknesses.forEach(type => weaknessTypes.appendChild(this.createTypeChip(type)));
+        } else {
+            weaknessTypes.textContent = translate('none');
+        }
+        weaknesses.appendChild(weaknessTypes);
+
+        const defensive = this.createSection(translate('defensiveCoverage'));
+        const table = createElementWithClass('table', 'team__table');
+        const head = table.createTHead().insertRow();
+        ['attackingType', 'weak', 'resist', 'immune'].forEach(key => {
+            const cell = document.createElement('th');
+            cell.scope = 'col';
+            cell.textContent = translate(key);
+            head.appendChild(cell);
+        });
+
+        const body = table.createTBody();
+        defense.forEach(({ type, weak, resist, immune }) => {
+            const row = body.insertRow();
+            if (sharedWeaknesses.includes(type)) row.classList.add('team__row--shared');
+
+            const heading = document.createElement('th');
+            heading.scope = 'row';
+            heading.appendChild(this.createTypeChip(type));
+            row.appendChild(heading);
+
+            [['weak', weak], ['resist', resist], ['immune', immune]].forEach(([key, count]) => {
+                const cell = row.insertCell();
+                cell.className = count > 0 ? `team__count team__count--${key}` : 'team__count';
+                cell.textContent = count;
+            });
+        });
+        defensive.appendChild(table);
+
+        const offensive = this.createSection(translate('offensiveCoverage'));
+        const coverageTypes = createElementWithClass('p', 'team__types');
+        coverage.forEach(({ type, attackers }) => {
+            const chip = this.createTypeChip(type);
+            if (attackers.length === 0) {
+                chip.classList.add('team__type--uncovered');
+            } else {
+                chip.title = attackers.map(translate).join(', ');
+            }
+            coverageTypes.appendChild(chip);
+        });
+
+        const uncoveredText = createElementWithClass('p', 'team__note');
+        uncoveredText.textContent = `${translate('notCovered')}: ${uncovered.length > 0 ? uncovered.map(translate).join(', ') : translate('none')}`;
+        offensive.append(coverageTypes, uncoveredText);
+
+        this.analysis.replaceChildren(weaknesses, defensive, offensive);
+    }
+
+    /**
+     * Handles the buttons of the panel: the team actions and the buttons of each Pokémon.
+     *
+     * @function
+     * @param {MouseEvent} event - The click event.
+     * @returns {void} This method does not return any value.
+     */
+    handleClick(event) {
+        const button = event.target.closest('button[data-action]');
+        if (!button) return;
+
+        const position = Number(button.dataset.position);
+        this.announce('');
+
+        switch (button.dataset.action) {
+            case 'new':
+                teamService.createTeam();
+                this.nameInput.focus();
+                this.nameInput.select();
+                break;
+            case 'delete':
+                teamService.deleteTeam(teamService.getActiveIndex());
+                break;
+            case 'share':
+                this.share();
+                break;
+            case 'up':
+                teamService.moveMember(position, position - 1);
+                break;
+            case 'down':
+                teamService.moveMember(position, position + 1);
+                break;
+            case 'remove':
+                teamService.removeMember(Number(button.dataset.id));
+                break;
+        }
+    }
+
+    /**
+     * Starts dragging a Pokémon of the team, to drop it at another position.
+     *
+     * @function
+     * @param {DragEvent} event - The dragstart event.
+     * @returns {void} This method does not return any value.
+     */
+    handleDragStart(event) {
+        const item = event.target.closest('.team__member:not(.team__member--empty)');
+        if (!item) return;
+
+        this.draggedPosition = Number(item.dataset.position);
+        event.dataTransfer.effectAllowed = 'move';
+        event.dataTransfer.setData('text/plain', item.dataset.position);
+    }
+
+    /**
+     * Moves the dragged Pokémon to the position it is dropped on, the end of the team for an empty slot.
+     *
+     * @function
+     * @param {DragEvent} event - The drop event.
+     * @returns {void} This method does not return any value.
+     */
+    handleDrop(event) {
+        const item = event.target.closest('.team__member');
+        if (this.draggedPosition === null || !item) return;
+
+        event.preventDefault();
+        const lastPosition = teamService.getActiveTeam().members.length - 1;
+        const position = item.dataset.position === undefined ? lastPosition : Number(item.dataset.position);
+
+        teamService.moveMember(this.draggedPosition, position);
+        this.draggedPosition = null;
+    }
+
+    /**
+     * Shows the link to the active team and copies it to the clipboard when possible.
+     * The link opens the `#/team/<Pokédex numbers>/<name>` route, which adds the team to the saved ones.
+     *
+     * @async
+     * @function
+     * @returns {Promise<void>} Resolves when the link has been shown, and copied if possible.
+     */
+    async share() {
+        const { name, members } = teamService.getActiveTeam();
+        const url = `${location.origin}${location.pathname}${location.search}#/team/${members.join(',')}/${encodeURIComponent(name)}`;
+
+        this.shareLink.value = url;
+        this.shareLink.hidden = false;
+        this.shareLink.focus();
+        this.shareLink.select();
+
+        // Otherwise the link is selected, ready to be copied by hand
+        if (!navigator.clipboard) return;
+
+        try {
+            await navigator.clipboard.writeText(url);
+            this.announce(translate('linkCopied'));
+        } catch (error) {
+            console.error('[TeamPanel] Error copying the team link:', error);
+        }
+    }
+
+    /**
+     * Creates a button of the team actions.
+     *
+     * @function
+     * @param {string} action - The action, read by `handleClick`.
+     * @param {string} text - The button text.
+     * @param {...string} classes - The classes of the button.
+     * @returns {HTMLButtonElement} - The button.
+     */
+    createActionButton(action, text, ...classes) {
+        const button = createElementWithClass('button', ...classes);
+        button.type = 'button';
+        button.dataset.action = action;
+        button.textContent = text;
+        return button;
+    }
+
+    /**
+     * Creates a button of a team member.
+     *
+     * @function
+     * @param {string} action - The action, read by `handleClick`.
+     * @param {number} id - The national Pokédex number of the Pokémon.
+     * @param {number} position - Its position in the team.
+     * @param {string} text - The button text.
+     * @param {string} label - The accessible label of the button.
+     * @param {boolean} [disabled=false] - Whether the button is disabled.
+     * @returns {HTMLButtonElement} - The button.
+     */
+    createMemberButton(action, id, position, text, label, disabled = false) {
+        const button = this.createActionButton(action, text, 'team__member-button');
+        button.dataset.id = id;
+        button.dataset.position = position;
+        button.setAttribute('aria-label', label);
+        button.title = label;
+        button.disabled = disabled;
+        return button;
+    }
+
+    /**
+     * Wraps a control in a label.
+     *
+     * @function
+     * @param {string} text - The label text.
+     * @param {HTMLElement} control - The control.
+     * @returns {HTMLLabelElement} - The label.
+     */
+    createLabel(text, control) {
+        const label = createElementWithClass('label', 'team__label');
+        label.append(text, control);
+        return label;
+    }
+
+    /**
+     * Creates a section of the analysis.
+     *
+     * @function
+     * @param {string} text - The section title.
+     * @returns {HTMLElement} - The section.
+     */
+    createSection(text) {
+        const section = createElementWithClass('section', 'team__section');
+        const title = createElementWithClass('h3', 'team__section-title');
+        title.textContent = text;
+        section.appendChild(title);
+        return section;
+    }
+
+    /**
+     * Creates a chip of a type, in the color of the type.
+     *
+     * @function
+     * @param {string} type - The type name.
+     * @returns {HTMLElement} - The chip.
+     */
+    createTypeChip(type) {
+        const chip = createElementWithClass('span', 'team__type');
+        chip.textContent = translate(type);
+        chip.style.backgroundColor = TYPE_COLORS[type] || TYPE_COLORS.unknown;
+        return chip;
+    }
+
+    /**
+     * Creates a message shown on errors.
+     *
+     * @function
+     * @param {string} text - The message text.
+     * @returns {HTMLElement} - The message element.
+     */
+    createMessage(text) {
+        const message = createElementWithClass('p', 'team__message');
+        message.textContent = text;
+        return message;
+    }
+}
+
+// Define the custom element
+customElements.define('team-panel', TeamPanel);
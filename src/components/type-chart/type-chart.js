@@ -0,0 +1,354 @@
+/**
+ * @module
+ * @description
+ * Module for displaying the type matchup chart and the type effectiveness calculator in a modal dialog.
+ */
+
+import { TYPE_COLORS } from '../../config/constants.js';
+import { translate } from '../../config/i18n.js';
+import { formatMultiplier, getDefensiveMatchups, getMultiplier, groupByMultiplier, loadTypeChart } from '../../modules/type-matchups.js';
+import { createElementWithClass } from '../../utils/helper.js';
+
+/**
+ * Classes of the chart cells and of the calculator result, by damage multiplier.
+ * @type {Object<number, string>}
+ */
+const EFFECTIVENESS_MODIFIERS = { 0: 'none', 0.25: 'weak', 0.5: 'weak', 1: 'normal', 2: 'strong', 4: 'strong' };
+
+/**
+ * Custom element representing the type chart modal.
+ *
+ * @class
+ * @extends HTMLElement
+ */
+class TypeChart extends HTMLElement {
+
+    /**
+     * Creates an instance of TypeChart.
+     * @constructor
+     */
+    constructor() {
+        super();
+        this.attachShadow({ mode: 'open' });
+        this.chart = null;
+        this.previousFocus = null;
+        this.handleKeydown = this.handleKeydown.bind(this);
+        this.render();
+    }
+
+    /**
+     * Renders the modal shell and styles. The chart is rendered by `renderChart` once loaded.
+     *
+     * @function
+     * @returns {void} This method does not return any value.
+     */
+    render() {
+        const shadow = this.shadowRoot;
+
+        shadow.innerHTML = '';
+
+        this.overlay = createElementWithClass('div', 'chart');
+
+        const dialog = createElementWithClass('div', 'chart__dialog');
+        dialog.setAttribute('role', 'dialog');
+        dialog.setAttribute('aria-modal', 'true');
+        dialog.setAttribute('aria-labelledby', 'chart-title');
+
+        this.closeButton = createElementWithClass('button', 'chart__close');
+        this.closeButton.setAttribute('aria-label', translate('close'));
+        this.closeButton.textContent = '✕';
+
+        const title = createElementWithClass('h2', 'chart__title');
+        title.id = 'chart-title';
+        title.textContent = translate('typeChart');
+
+        this.body = createElementWithClass('div', 'chart__body');
+
+        dialog.append(this.closeButton, title, this.body);
+        this.overlay.appendChild(dialog);
+
+        const linkStylesheet = document.createElement('link');
+        linkStylesheet.rel = 'stylesheet';
+        linkStylesheet.href = 'src/components/type-chart/type-chart.css';
+
+        shadow.append(linkStylesheet, this.overlay);
+
+        this.overlay.addEventListener('click', (event) => {
+            if (event.target === this.overlay) this.close();
+        });
+        this.closeButton.addEventListener('click', () => this.close());
+    }
+
+    /**
+     * Opens the modal, loading the type chart the first time.
+     *
+     * @async
+     * @function
+     * @returns {Promise<void>} Resolves when the chart has been rendered, or has failed to load.
+     */
+    async open() {
+        if (this.isOpen()) return;
+
+        this.previousFocus = document.activeElement;
+        this.overlay.classList.add('chart--visible');
+        document.addEventListener('keydown', this.handleKeydown);
+        this.closeButton.focus();
+
+        if (this.chart) return;
+
+        this.body.replaceChildren(this.createMessage(translate('loadingTypeChart')));
+        try {
+            this.chart = await loadTypeChart();
+            this.renderChart();
+        } catch (error) {
+            console.error('[TypeChart] Error loading the type chart:', error);
+            this.body.replaceChildren(this.createMessage(translate('typeChartError')));
+        }
+    }
+
+    /**
+     * Closes the modal and gives the focus back to the element that opened it.
+     *
+     * @function
+     * @fires TypeChart#chart-close
+     * @returns {void} This method does not return any value.
+     */
+    close() {
+        if (!this.isOpen()) return;
+
+        this.overlay.classList.remove('chart--visible');
+        document.removeEventListener('keydown', this.handleKeydown);
+        this.previousFocus?.focus();
+        this.dispatchEvent(new CustomEvent('chart-close'));
+    }
+
+    /**
+     * Checks whether the modal is open.
+     *
+     * @function
+     * @returns {boolean} - True if the modal is visible.
+     */
+    isOpen() {
+        return this.overlay.classList.contains('chart--visible');
+    }
+
+    /**
+     * Handles the keyboard shortcuts of the modal: Escape closes it.
+     *
+     * @function
+     * @param {KeyboardEvent} event - The keydown event.
+     * @returns {void} This method does not return any value.
+     */
+    handleKeydown(event) {
+        if (event.key === 'Escape') this.close();
+    }
+
+    /**
+     * Renders the calculator and the matchup chart, then shows the first calculation.
+     *
+     * @function
+     * @returns {void} This method does not return any value.
+     */
+    renderChart() {
+        const { types } = this.chart;
+        const typeOptions = (...extra) => [...extra, ...types.map(type => new Option(translate(type), type))];
+
+        this.attackSelect = createElementWithClass('select', 'chart__select');
+        this.attackSelect.append(...typeOptions());
+        this.defenseSelect = createElementWithClass('select', 'chart__select');
+        this.defenseSelect.append(...typeOptions());
+        this.secondDefenseSelect = createElementWithClass('select', 'chart__select');
+        this.secondDefenseSelect.append(...typeOptions(new Option(translate('none'), '')));
+
+        this.result = createElementWithClass('output', 'chart__result');
+        this.result.setAttribute('aria-live', 'polite');
+
+        const calculator = createElementWithClass('form', 'chart__calculator');
+        calculator.setAttribute('aria-label', translate('typeCalculator'));
+        calculator.append(
+            this.createLabel(translate('attackingType'), this.attackSelect),
+            this.createLabel(translate('defendingType'), this.defenseSelect),
+            this.createLabel(translate('secondType'), this.secondDefenseSelect),
+            this.result
+        );
+        calculator.addEventListener('submit', (event) => event.preventDefault());
+        calculator.addEventListener('change', () => this.updateCalculation());
+
+        this.profile = createElementWithClass('div', 'chart__profile');
+
+        const tableContainer = createElementWithClass('div', 'chart__table-container');
+        tableContainer.appendChild(this.createTable());
+
+        const hint = createElementWithClass('p', 'chart__hint');
+        hint.textContent = translate('typeChartHint');
+
+        this.body.replaceChildren(calculator, this.profile, hint, tableContainer);
+        this.updateCalculation();
+    }
+
+    /**
+     * Creates the matchup table: a row per attacking type and a column per defending type.
+     * Clicking a cell sets the calculator to its matchup.
+     *
+     * @function
+     * @returns {HTMLTableElement} - The table.
+     */
+    createTable() {
+        const { types } = this.chart;
+        const table = createElementWithClass('table', 'chart__table');
+
+        const caption = document.createElement('caption');
+        caption.className = 'chart__caption';
+        caption.textContent = `${translate('attackingType')} ↓ · ${translate('defendingType')} →`;
+        table.appendChild(caption);
+
+        const head = table.createTHead().insertRow();
+        head.appendChild(document.createElement('td'));
+        types.forEach(type => {
+            const heading = this.createTypeHeading(type, 'col');
+            heading.dataset.defense = type;
+            head.appendChild(heading);
+        });
+
+        const body = table.createTBody();
+        types.forEach(attackType => {
+            const row = body.insertRow();
+            row.dataset.attack = attackType;
+            row.appendChild(this.createTypeHeading(attackType, 'row'));
+
+            types.forEach(type => {
+                const multiplier = getMultiplier(this.chart, attackType, [type]);
+                const cell = row.insertCell();
+                cell.className = `chart__cell chart__cell--${EFFECTIVENESS_MODIFIERS[multiplier]}`;
+                cell.dataset.attack = attackType;
+                cell.dataset.defense = type;
+                cell.textContent = multiplier === 1 ? '' : formatMultiplier(multiplier);
+                cell.title = `${translate(attackType)} → ${translate(type)}: ${formatMultiplier(multiplier)}`;
+            });
+        });
+
+        table.addEventListener('click', (event) => {
+            const cell = event.target.closest('.chart__cell');
+            if (!cell) return;
+
+            this.attackSelect.value = cell.dataset.attack;
+            this.defenseSelect.value = cell.dataset.defense;
+            this.secondDefenseSelect.value = '';
+            this.updateCalculation();
+        });
+
+        this.table = table;
+        return table;
+    }
+
+    /**
+     * Shows the multiplier of the calculator matchup, e.g. "Electric → Water/Flying: 4×", the defensive matchups
+     * of the defending types, and highlights the matchup in the chart.
+     *
+     * @function
+     * @returns {void} This method does not return any value.
+     */
+    updateCalculation() {
+        const attackType = this.attackSelect.value;
+        const defendingTypes = [...new Set([this.defenseSelect.value, this.secondDefenseSelect.value].filter(Boolean))];
+        const multiplier = getMultiplier(this.chart, attackType, defendingTypes);
+
+        const label = createElementWithClass('span', 'chart__result-label');
+        label.textContent = `${translate(attackType)} → ${defendingTypes.map(translate).join('/')}: `;
+        const value = createElementWithClass('strong', 'chart__result-value', `chart__result-value--${EFFECTIVENESS_MODIFIERS[multiplier]}`);
+        value.textContent = formatMultiplier(multiplier);
+        this.result.replaceChildren(label, value);
+
+        this.renderProfile(defendingTypes);
+
+        this.table.querySelectorAll('.chart__cell--selected, .chart__row--selected, .chart__heading--selected')
+            .forEach(element => element.classList.remove('chart__cell--selected', 'chart__row--selected', 'chart__heading--selected'));
+        this.table.querySelector(`tr[data-attack='${attackType}']`).classList.add('chart__row--selected');
+        defendingTypes.forEach(type => {
+            this.table.querySelector(`th[data-defense='${type}']`).classList.add('chart__heading--selected');
+            this.table.querySelector(`td[data-attack='${attackType}'][data-defense='${type}']`).classList.add('chart__cell--selected');
+        });
+    }
+
+    /**
+     * Renders the weaknesses, resistances and immunities of the defending types of the calculator.
+     *
+     * @function
+     * @param {Array<string>} defendingTypes - The defending types.
+     * @returns {void} This method does not return any value.
+     */
+    renderProfile(defendingTypes) {
+        const title = createElementWithClass('h3', 'chart__profile-title');
+        title.textContent = `${translate('typeMatchups')}: ${defendingTypes.map(translate).join('/')}`;
+
+        const list = createElementWithClass('dl', 'chart__matchups');
+        groupByMultiplier(getDefensiveMatchups(this.chart, defendingTypes)).forEach(({ multiplier, types }) => {
+            const term = createElementWithClass('dt', 'chart__multiplier', `chart__multiplier--${EFFECTIVENESS_MODIFIERS[multiplier]}`);
+            term.textContent = formatMultiplier(multiplier);
+            const badges = createElementWithClass('dd', 'chart__badges');
+            badges.append(...types.map(type => this.createTypeBadge(type)));
+            list.append(term, badges);
+        });
+
+        this.profile.replaceChildren(title, list);
+    }
+
+    /**
+     * Creates a heading of the chart, in the color of its type.
+     *
+     * @function
+     * @param {string} type - The type name.
+     * @param {string} scope - `row` for an attacking type, `col` for a defending type.
+     * @returns {HTMLTableCellElement} - The heading.
+     */
+    createTypeHeading(type, scope) {
+        const heading = createElementWithClass('th', 'chart__heading', `chart__heading--${scope}`);
+        heading.scope = scope;
+        heading.appendChild(this.createTypeBadge(type));
+        return heading;
+    }
+
+    /**
+     * Creates a badge of a type, in the color of the type.
+     *
+     * @function
+     * @param {string} type - The type name.
+     * @returns {HTMLElement} - The badge.
+     */
+    createTypeBadge(type) {
+        const badge = createElementWithClass('span', 'chart__type');
+        badge.textContent = translate(type);
+        badge.style.backgroundColor = TYPE_COLORS[type] || TYPE_COLORS.unknown;
+        return badge;
+    }
+
+    /**
+     * Wraps a control in a label.
+     *
+     * @function
+     * @param {string} text - The label text.
+     * @param {HTMLElement} control - The control.
+     * @returns {HTMLLabelElement} - The label.
+     */
+    createLabel(text, control) {
+        const label = createElementWithClass('label', 'chart__label');
+        label.append(text, control);
+        return label;
+    }
+
+    /**
+     * Creates a status message shown while loading or on errors.
+     *
+     * @function
+     * @param {string} text - The message text.
+     * @returns {HTMLElement} - The message element.
+     */
+    createMessage(text) {
+        const message = createElementWithClass('p', 'chart__message');
+        message.textContent = text;
+        return message;
+    }
+}
+
+// Define the custom element
+customElements.define('type-chart', TypeChart);
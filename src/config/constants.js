@@ -10,6 +10,183 @@ export const API_BASE_URL = 'https://pokeapi.co/api/v2';
  */
 export const API_ASSETS_URL = 'https://assets.pokemon.com/assets';
 
+/**
+ * Base URL for the small Pokémon sprites, named after the national Pokédex number (e.g. `25.png`).
+ * @constant {string}
+ */
+export const API_SPRITES_URL = 'https://raw.githubusercontent.com/PokeAPI/sprites/master/sprites/pokemon';
+
+/**
+ * Data sources the API service can read from, selectable with the `source` URL parameter (e.g. `?source=fixtures`).
+ * - `live`: the public PokéAPI.
+ * - `mirror`: a self-hosted PokéAPI mirror served from the same origin as the app.
+ * - `fixtures`: the static JSON dataset bundled in `src/fixtures`, for working without network.
+ * @constant {Object<string, Object>}
+ */
+export const DATA_SOURCES = {
+    live: { type: 'remote', apiBaseUrl: API_BASE_URL, assetsUrl: API_ASSETS_URL, spritesUrl: API_SPRITES_URL },
+    mirror: { type: 'remote', apiBaseUrl: '/api/v2', assetsUrl: API_ASSETS_URL, spritesUrl: API_SPRITES_URL },
+    fixtures: { type: 'fixture', basePath: 'src/fixtures', assetsUrl: API_ASSETS_URL, spritesUrl: API_SPRITES_URL }
+};
+
+/**
+ * Name of the data source used when none is requested in the URL.
+ * @constant {string}
+ */
+export const DEFAULT_DATA_SOURCE = 'live';
+
+/**
+ * URL parameter used to pick a data source.
+ * @constant {string}
+ */
+export const DATA_SOURCE_PARAM = 'source';
+
+/**
+ * Colors used to represent each Pokémon type.
+ * @constant {Object<string, string>}
+ */
+export const TYPE_COLORS = {
+    normal: '#a8a77a',
+    fighting: '#c22e28',
+    flying: '#a98ff3',
+    poison: '#a33ea1',
+    ground: '#e2bf65',
+    rock: '#b6a136',
+    bug: '#a6b91a',
+    ghost: '#735797',
+    steel: '#b7b7ce',
+    fire: '#ee8130',
+    water: '#6390f0',
+    grass: '#7ac74c',
+    electric: '#f7d02c',
+    psychic: '#f95587',
+    ice: '#96d9d6',
+    dragon: '#6f35fc',
+    dark: '#705746',
+    fairy: '#d685ad',
+    stellar: '#40b5a5',
+    unknown: '#68a090',
+    shadow: '#4b3f6b'
+};
+
+/**
+ * One day in milliseconds, used to express cache TTLs.
+ * @constant {number}
+ */
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Configuration for the persistent API response cache.
+ * TTLs are keyed by endpoint path prefix; the longest matching prefix wins.
+ * Entries past their TTL are still served while they are revalidated in the background.
+ * @constant {Object}
+ * @property {string} dbName - IndexedDB database name.
+ * @property {number} dbVersion - IndexedDB database version.
+ * @property {string} storeName - IndexedDB object store name.
+ * @property {number} defaultTtl - TTL in milliseconds for endpoints without an override.
+ * @property {Object<string, number>} endpointTtl - TTL in milliseconds per endpoint path prefix.
+ */
+export const CACHE_CONFIG = {
+    dbName: 'poke-code-cache',
+    dbVersion: 1,
+    storeName: 'responses',
+    defaultTtl: 7 * DAY,
+    endpointTtl: {
+        '/pokedex': 30 * DAY,
+        '/type': 30 * DAY,
+        '/pokemon-color': 90 * DAY,
+        '/gender': 90 * DAY,
+        '/generation': 90 * DAY,
+        '/pokemon-habitat': 90 * DAY,
+        '/pokemon-shape': 90 * DAY,
+        '/egg-group': 90 * DAY,
+        '/evolution-chain': 30 * DAY,
+        '/pokemon-species': 30 * DAY,
+        '/pokemon/': 30 * DAY
+    }
+};
+
+/**
+ * Configuration for the HTTP request pipeline.
+ * @constant {Object}
+ * @property {number} maxRetries - Retries after the first attempt for retryable failures.
+ * @property {number} baseDelay - Backoff delay in milliseconds before the first retry, doubled on each retry.
+ * @property {number} maxDelay - Upper bound in milliseconds for the backoff delay.
+ * @property {number} timeout - Milliseconds before a single attempt is aborted.
+ * @property {number} maxConcurrent - Maximum number of requests in flight at once.
+ * @property {number} backgroundConcurrent - Requests made at once while loading data of every Pokémon, below `maxConcurrent` so filter requests are not queued behind them.
+ * @property {Array<number>} retryStatuses - HTTP statuses that are retried.
+ */
+export const HTTP_CONFIG = {
+    maxRetries: 3,
+    baseDelay: 500,
+    maxDelay: 8000,
+    timeout: 10000,
+    maxConcurrent: 6,
+    backgroundConcurrent: 4,
+    retryStatuses: [408, 429, 500, 502, 503, 504]
+};
+
+/**
+ * Configuration for the search box.
+ * @constant {Object}
+ * @property {number} debounceDelay - Milliseconds without typing before the search is run, 0 to run it on every keystroke.
+ */
+export const SEARCH_CONFIG = {
+    debounceDelay: 200
+};
+
+/**
+ * Configuration for the team builder.
+ * @constant {Object}
+ * @property {number} maxSize - Maximum number of Pokémon in a team.
+ * @property {string} storageKey - localStorage key under which the teams are saved.
+ */
+export const TEAM_CONFIG = {
+    maxSize: 6,
+    storageKey: 'poke-code-teams'
+};
+
+/**
+ * Configuration for the comparison of Pokémon.
+ * @constant {Object}
+ * @property {number} minSize - Minimum number of Pokémon to compare.
+ * @property {number} maxSize - Maximum number of Pokémon to compare.
+ */
+export const COMPARE_CONFIG = {
+    minSize: 2,
+    maxSize: 4
+};
+
+/**
+ * Configuration of the Pokédexes the dataset can be switched to.
+ * @constant {Object}
+ * @property {string} defaultName - Pokédex shown by default, whose numbers are the ids of the Pokémon.
+ * @property {number} listLimit - Number of Pokédexes requested at once, above the default page size of the API.
+ */
+export const POKEDEX_CONFIG = {
+    defaultName: 'national',
+    listLimit: 100
+};
+
+/**
+ * Layout of the Pokémon cards, only the cards near the viewport being in the page.
+ * The sizes have to match `pokemon-card.less` and `.content__cards`.
+ * @constant {Object}
+ * @property {number} cardWidth - Width of a card in pixels.
+ * @property {number} cardHeight - Height of a card in pixels.
+ * @property {number} gap - Space between cards in pixels.
+ * @property {number} overscanRows - Rows of cards kept in the page above and below the viewport.
+ * @property {number} preloadMargin - Distance in pixels from the end of the cards at which the next batch is loaded.
+ */
+export const CARDS_CONFIG = {
+    cardWidth: 200,
+    cardHeight: 277,
+    gap: 20,
+    overscanRows: 2,
+    preloadMargin: 600
+};
+
 /**
  * @const {HTMLElement} header - The header container element.
  */
@@ -20,11 +197,23 @@ const headerContainer = document.getElementById('header');
  * @property {HTMLElement} headerElms.searchInput - Input field for search in the header.
  * @property {HTMLElement} headerElms.searchDropdown - Search dropdown in the header.
  * @property {HTMLElement} headerElms.resetSearchBox - Button to reset the search in the header.
+ * @property {HTMLElement} headerElms.searchChips - Chips of the filters typed in the search.
+ * @property {HTMLElement} headerElms.searchError - Errors of the search query.
+ * @property {HTMLElement} headerElms.searchStatus - Live region announcing the number of search results.
+ * @property {HTMLElement} headerElms.typeChartButton - Button opening the type chart.
+ * @property {HTMLElement} headerElms.teamButton - Button opening the team builder.
+ * @property {HTMLElement} headerElms.teamCount - Number of Pokémon in the active team, in the team button.
  */
 export const headerElms = {
     searchInput: headerContainer.querySelector('.header__search-input'),
     searchDropdown: headerContainer.querySelector('.header__search-dropdown'),
-    resetSearchBox: headerContainer.querySelector('.header__search-cross')
+    resetSearchBox: headerContainer.querySelector('.header__search-cross'),
+    searchChips: headerContainer.querySelector('.header__search-chips'),
+    searchError: headerContainer.querySelector('.header__search-error'),
+    searchStatus: headerContainer.querySelector('.header__search-status'),
+    typeChartButton: headerContainer.querySelector('#type-chart-button'),
+    teamButton: headerContainer.querySelector('#team-button'),
+    teamCount: headerContainer.querySelector('.header__team-count')
 };
 
 /**
@@ -44,13 +233,38 @@ const contentContainer = document.getElementById('content');
 
 /**
  * @const {Object} contentElms - Elements within the content container.
+ * @property {HTMLElement} contentElms.pokedexControl - Container for the control of the Pokédex.
+ * @property {HTMLElement} contentElms.sortControls - Container for the controls of the sort order.
+ * @property {HTMLElement} contentElms.compareBar - Bar listing the Pokémon picked to be compared.
+ * @property {HTMLElement} contentElms.compareStatus - Names of the Pokémon picked to be compared.
+ * @property {HTMLElement} contentElms.compareButton - Button opening the comparison.
+ * @property {HTMLElement} contentElms.compareClearButton - Button clearing the Pokémon picked to be compared.
  * @property {HTMLElement} contentElms.cardsContainer - Container for Pokémon cards.
  * @property {HTMLElement} contentElms.loadMoreButton - Button to load more Pokémon cards.
+ * @property {HTMLElement} contentElms.loadMoreContainer - Container of the load more button, at the end of the cards.
+ * @property {HTMLElement} contentElms.noResultsMessage - Message shown when no Pokémon match the filters.
+ * @property {HTMLElement} contentElms.errorMessage - Message shown when the data needed to filter could not be loaded.
  * @property {HTMLElement} contentElms.loader - Pokéball loader shown during loads.
+ * @property {HTMLElement} contentElms.detailView - Modal showing the details of a Pokémon.
+ * @property {HTMLElement} contentElms.teamPanel - Panel of the team builder.
+ * @property {HTMLElement} contentElms.typeChart - Modal showing the type chart and the type calculator.
+ * @property {HTMLElement} contentElms.compareView - Modal comparing Pokémon side by side.
  */
 export const contentElms = {
+    pokedexControl: contentContainer.querySelector('.content__pokedex'),
+    sortControls: contentContainer.querySelector('.content__sort'),
+    compareBar: contentContainer.querySelector('.content__compare'),
+    compareStatus: contentContainer.querySelector('.content__compare-status'),
+    compareButton: contentContainer.querySelector('#compare-button'),
+    compareClearButton: contentContainer.querySelector('#compare-clear-button'),
     cardsContainer: contentContainer.querySelector('.content__cards'),
     loadMoreButton: contentContainer.querySelector('.content__button'),
+    loadMoreContainer: contentContainer.querySelector('.content__button-container'),
     noResultsMessage: contentContainer.querySelector('.content__no-results'),
-    loader: contentContainer.querySelector('pokeball-loader')
+    errorMessage: contentContainer.querySelector('.content__error'),
+    loader: contentContainer.querySelector('pokeball-loader'),
+    detailView: contentContainer.querySelector('pokemon-detail'),
+    teamPanel: contentContainer.querySelector('team-panel'),
+    typeChart: contentContainer.querySelector('type-chart'),
+    compareView: contentContainer.querySelector('pokemon-compare')
 };
\ No newline at end of file
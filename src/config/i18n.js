@@ -0,0 +1,403 @@
+/**
+ * Locale used when the page language is not supported or a label is missing.
+ * @constant {string}
+ */
+export const DEFAULT_LOCALE = 'en';
+
+/**
+ * Field and filter labels per locale.
+ * @constant {Object<string, Object<string, string>>}
+ */
+export const LABELS = {
+    en: {
+        number: 'Number',
+        name: 'Name',
+        genus: 'Category',
+        types: 'Types',
+        description: 'Description',
+        color: 'Color',
+        colors: 'Colors',
+        captureRate: 'Capture rate',
+        habitat: 'Habitat',
+        eggGroups: 'Egg groups',
+        isLegendary: 'Is legendary',
+        isMythical: 'Is mythical',
+        legendary: 'Legendary',
+        mythical: 'Mythical',
+        abilities: 'Abilities',
+        hidden: 'hidden',
+        height: 'Height',
+        weight: 'Weight',
+        baseStats: 'Base stats',
+        total: 'Total',
+        profile: 'Profile',
+        copyDetails: 'Copy details',
+        detailsCopied: 'Copied',
+        copyError: 'Could not copy',
+        downloadJson: 'Download JSON',
+        genderRatio: 'Gender ratio',
+        genderless: 'Genderless',
+        male: 'Male',
+        female: 'Female',
+        unknown: 'Unknown',
+        yes: 'Yes',
+        no: 'No',
+        'hp': 'HP',
+        'attack': 'Attack',
+        'defense': 'Defense',
+        'special-attack': 'Sp. Atk',
+        'special-defense': 'Sp. Def',
+        'speed': 'Speed',
+        all: 'All',
+        any: 'Any',
+        matchMode: '{filter} match mode',
+        exclude: 'Exclude',
+        resetFilter: 'Reset filter',
+        baseStatTotal: 'Base stat total',
+        statsTitle: 'STATS',
+        minimum: 'minimum',
+        maximum: 'maximum',
+        loadingStats: 'Loading stats…',
+        pokedex: 'Pokédex',
+        sortBy: 'Sort by',
+        thenBy: 'then by',
+        none: 'None',
+        ascending: 'Ascending',
+        descending: 'Descending',
+        sortDirection: 'Sort direction',
+        cacheStats: 'Cache: {hits} hits · {staleHits} stale · {misses} misses',
+        invalidNumberToken: '"{token}" is not a number or a range of numbers, e.g. #25 or #1-151.',
+        unknownStat: 'Unknown stat "{key}" in "{token}". Use one of: {keys}.',
+        notNegatable: '"{token}" cannot be negated, reverse the comparison instead.',
+        notANumber: '"{value}" is not a number in "{token}".',
+        missingValue: '"{token}" has no value.',
+        invalidRange: '"{token}" is not a value or a range, e.g. {param}:100, {param}:100-150 or {param}:100-.',
+        unknownFilter: 'Unknown filter "{key}" in "{token}". Use one of: {keys}.',
+        unknownOption: 'Unknown {param} "{options}" in "{token}".',
+        removeToken: 'Remove {token}',
+        result: 'result',
+        results: 'results',
+        noResults: 'No results',
+        team: 'Team',
+        teamBuilder: 'Team builder',
+        teamName: 'Team name',
+        savedTeams: 'Saved teams',
+        newTeam: 'New team',
+        deleteTeam: 'Delete team',
+        shareTeam: 'Share team',
+        shareLink: 'Share link',
+        linkCopied: 'Link copied to the clipboard',
+        addToTeam: 'Add to team',
+        removeFromTeam: 'Remove from team',
+        teamFull: 'The team already has 6 Pokémon',
+        emptySlot: 'Empty slot',
+        emptyTeam: 'Add Pokémon with the + button of their cards.',
+        moveUp: 'Move up',
+        moveDown: 'Move down',
+        close: 'Close',
+        defensiveCoverage: 'Defensive coverage',
+        offensiveCoverage: 'Offensive coverage',
+        attackingType: 'Attacking type',
+        weak: 'Weak',
+        resist: 'Resist',
+        immune: 'Immune',
+        sharedWeaknesses: 'Shared weaknesses',
+        notCovered: 'No super effective attack against',
+        teamAnalysisError: 'The type analysis could not be loaded.',
+        typeChart: 'Type chart',
+        typeCalculator: 'Type effectiveness calculator',
+        defendingType: 'Defending type',
+        secondType: 'Second type',
+        typeMatchups: 'Type matchups',
+        typeChartHint: 'Damage multiplier of each attacking type against each defending type, blank cells being 1×. Click a cell to calculate it.',
+        loadingTypeChart: 'Loading the type chart…',
+        typeChartError: 'The type chart could not be loaded.',
+        weakness: 'Weakness',
+        resistance: 'Resistance',
+        immunity: 'Immunity',
+        compare: 'Compare',
+        comparison: 'Comparison',
+        compareHint: 'Compare (Shift + click on the card)',
+        compareFull: 'Up to 4 Pokémon can be compared at once',
+        statsRadar: 'Radar chart of the base stats',
+        matchupDifferences: 'Matchup differences',
+        noMatchupDifferences: 'Every attacking type hits these Pokémon equally.',
+        loadingComparison: 'Loading the comparison…',
+        comparisonError: 'The comparison could not be loaded.',
+        evolution: 'Evolution',
+        loadingDetails: 'Loading {pokemon}…',
+        detailsError: 'The details of {name} could not be loaded.',
+        loadingEvolution: 'Loading the evolution chain…',
+        evolutionError: 'The evolution chain could not be loaded.',
+        noEvolution: 'This Pokémon does not evolve.',
+        familyFilter: 'Same evolution family as',
+        levelUp: 'Level up',
+        level: 'Level',
+        useItem: 'Use',
+        'trade': 'Trade',
+        holding: 'holding',
+        tradedFor: 'for',
+        friendship: 'friendship',
+        affection: 'affection',
+        beauty: 'beauty',
+        'time-day': 'during the day',
+        'time-night': 'at night',
+        'time-dusk': 'at dusk',
+        knowing: 'knowing',
+        knowingMoveType: 'knowing a move of type',
+        atLocation: 'at',
+        inParty: 'in the party',
+        whileRaining: 'while raining',
+        upsideDown: 'with the console upside down',
+        'normal': 'Normal',
+        'fighting': 'Fighting',
+        'flying': 'Flying',
+        'poison': 'Poison',
+        'ground': 'Ground',
+        'rock': 'Rock',
+        'bug': 'Bug',
+        'ghost': 'Ghost',
+        'steel': 'Steel',
+        'fire': 'Fire',
+        'water': 'Water',
+        'grass': 'Grass',
+        'electric': 'Electric',
+        'psychic': 'Psychic',
+        'ice': 'Ice',
+        'dragon': 'Dragon',
+        'dark': 'Dark',
+        'fairy': 'Fairy',
+        'stellar': 'Stellar',
+        'shadow': 'Shadow',
+        'black': 'Black',
+        'blue': 'Blue',
+        'brown': 'Brown',
+        'gray': 'Gray',
+        'green': 'Green',
+        'pink': 'Pink',
+        'purple': 'Purple',
+        'red': 'Red',
+        'white': 'White',
+        'yellow': 'Yellow',
+        'generation-i': 'Generation I',
+        'generation-ii': 'Generation II',
+        'generation-iii': 'Generation III',
+        'generation-iv': 'Generation IV',
+        'generation-v': 'Generation V',
+        'generation-vi': 'Generation VI',
+        'generation-vii': 'Generation VII',
+        'generation-viii': 'Generation VIII',
+        'generation-ix': 'Generation IX'
+    },
+    es: {
+        number: 'Número',
+        name: 'Nombre',
+        genus: 'Categoría',
+        types: 'Tipos',
+        description: 'Descripción',
+        color: 'Color',
+        colors: 'Colores',
+        captureRate: 'Ratio de captura',
+        habitat: 'Hábitat',
+        eggGroups: 'Grupos huevo',
+        isLegendary: 'Es legendario',
+        isMythical: 'Es singular',
+        legendary: 'Legendario',
+        mythical: 'Singular',
+        abilities: 'Habilidades',
+        hidden: 'oculta',
+        height: 'Altura',
+        weight: 'Peso',
+        baseStats: 'Estadísticas base',
+        total: 'Total',
+        profile: 'Perfil',
+        copyDetails: 'Copiar datos',
+        detailsCopied: 'Copiado',
+        copyError: 'No se pudo copiar',
+        downloadJson: 'Descargar JSON',
+        genderRatio: 'Proporción de género',
+        genderless: 'Sin género',
+        male: 'Macho',
+        female: 'Hembra',
+        unknown: 'Desconocido',
+        yes: 'Sí',
+        no: 'No',
+        'hp': 'PS',
+        'attack': 'Ataque',
+        'defense': 'Defensa',
+        'special-attack': 'At. Esp.',
+        'special-defense': 'Def. Esp.',
+        'speed': 'Velocidad',
+        all: 'Todos',
+        any: 'Cualquiera',
+        matchMode: 'Modo de coincidencia de {filter}',
+        exclude: 'Excluir',
+        resetFilter: 'Restablecer filtro',
+        baseStatTotal: 'Total de estadísticas base',
+        statsTitle: 'ESTADÍSTICAS',
+        minimum: 'mínimo',
+        maximum: 'máximo',
+        loadingStats: 'Cargando estadísticas…',
+        pokedex: 'Pokédex',
+        sortBy: 'Ordenar por',
+        thenBy: 'después por',
+        none: 'Ninguno',
+        ascending: 'Ascendente',
+        descending: 'Descendente',
+        sortDirection: 'Sentido del orden',
+        cacheStats: 'Caché: {hits} aciertos · {staleHits} obsoletos · {misses} fallos',
+        invalidNumberToken: '"{token}" no es un número ni un rango de números, p. ej. #25 o #1-151.',
+        unknownStat: 'Estadística desconocida "{key}" en "{token}". Usa una de: {keys}.',
+        notNegatable: '"{token}" no se puede negar, invierte la comparación.',
+        notANumber: '"{value}" no es un número en "{token}".',
+        missingValue: '"{token}" no tiene valor.',
+        invalidRange: '"{token}" no es un valor ni un rango, p. ej. {param}:100, {param}:100-150 o {param}:100-.',
+        unknownFilter: 'Filtro desconocido "{key}" en "{token}". Usa uno de: {keys}.',
+        unknownOption: '{param} desconocido "{options}" en "{token}".',
+        removeToken: 'Quitar {token}',
+        result: 'resultado',
+        results: 'resultados',
+        noResults: 'Sin resultados',
+        team: 'Equipo',
+        teamBuilder: 'Creador de equipos',
+        teamName: 'Nombre del equipo',
+        savedTeams: 'Equipos guardados',
+        newTeam: 'Nuevo equipo',
+        deleteTeam: 'Borrar equipo',
+        shareTeam: 'Compartir equipo',
+        shareLink: 'Enlace para compartir',
+        linkCopied: 'Enlace copiado al portapapeles',
+        addToTeam: 'Añadir al equipo',
+        removeFromTeam: 'Quitar del equipo',
+        teamFull: 'El equipo ya tiene 6 Pokémon',
+        emptySlot: 'Hueco libre',
+        emptyTeam: 'Añade Pokémon con el botón + de sus cartas.',
+        moveUp: 'Subir',
+        moveDown: 'Bajar',
+        close: 'Cerrar',
+        defensiveCoverage: 'Cobertura defensiva',
+        offensiveCoverage: 'Cobertura ofensiva',
+        attackingType: 'Tipo atacante',
+        weak: 'Débil',
+        resist: 'Resiste',
+        immune: 'Inmune',
+        sharedWeaknesses: 'Debilidades compartidas',
+        notCovered: 'Sin ataque súper eficaz contra',
+        teamAnalysisError: 'No se ha podido cargar el análisis de tipos.',
+        typeChart: 'Tabla de tipos',
+        typeCalculator: 'Calculadora de eficacia de tipos',
+        defendingType: 'Tipo defensor',
+        secondType: 'Segundo tipo',
+        typeMatchups: 'Eficacia de tipos',
+        typeChartHint: 'Multiplicador de daño de cada tipo atacante contra cada tipo defensor; las casillas vacías son 1×. Pulsa una casilla para calcularla.',
+        loadingTypeChart: 'Cargando la tabla de tipos…',
+        typeChartError: 'No se ha podido cargar la tabla de tipos.',
+        weakness: 'Debilidad',
+        resistance: 'Resistencia',
+        immunity: 'Inmunidad',
+        compare: 'Comparar',
+        comparison: 'Comparación',
+        compareHint: 'Comparar (Mayús + clic en la tarjeta)',
+        compareFull: 'Se pueden comparar hasta 4 Pokémon a la vez',
+        statsRadar: 'Gráfico radial de las estadísticas base',
+        matchupDifferences: 'Diferencias de eficacia',
+        noMatchupDifferences: 'Todos los tipos atacantes afectan por igual a estos Pokémon.',
+        loadingComparison: 'Cargando la comparación…',
+        comparisonError: 'No se ha podido cargar la comparación.',
+        evolution: 'Evolución',
+        loadingDetails: 'Cargando {pokemon}…',
+        detailsError: 'No se han podido cargar los detalles de {name}.',
+        loadingEvolution: 'Cargando la cadena evolutiva…',
+        evolutionError: 'No se ha podido cargar la cadena evolutiva.',
+        noEvolution: 'Este Pokémon no evoluciona.',
+        familyFilter: 'Misma familia evolutiva que',
+        levelUp: 'Subir de nivel',
+        level: 'Nivel',
+        useItem: 'Usar',
+        'trade': 'Intercambio',
+        holding: 'llevando',
+        tradedFor: 'por',
+        friendship: 'amistad',
+        affection: 'afecto',
+        beauty: 'belleza',
+        'time-day': 'de día',
+        'time-night': 'de noche',
+        'time-dusk': 'al atardecer',
+        knowing: 'sabiendo',
+        knowingMoveType: 'sabiendo un movimiento de tipo',
+        atLocation: 'en',
+        inParty: 'en el equipo',
+        whileRaining: 'mientras llueve',
+        upsideDown: 'con la consola boca abajo',
+        'normal': 'Normal',
+        'fighting': 'Lucha',
+        'flying': 'Volador',
+        'poison': 'Veneno',
+        'ground': 'Tierra',
+        'rock': 'Roca',
+        'bug': 'Bicho',
+        'ghost': 'Fantasma',
+        'steel': 'Acero',
+        'fire': 'Fuego',
+        'water': 'Agua',
+        'grass': 'Planta',
+        'electric': 'Eléctrico',
+        'psychic': 'Psíquico',
+        'ice': 'Hielo',
+        'dragon': 'Dragón',
+        'dark': 'Siniestro',
+        'fairy': 'Hada',
+        'stellar': 'Astral',
+        'shadow': 'Oscuro',
+        'black': 'Negro',
+        'blue': 'Azul',
+        'brown': 'Marrón',
+        'gray': 'Gris',
+        'green': 'Verde',
+        'pink': 'Rosa',
+        'purple': 'Morado',
+        'red': 'Rojo',
+        'white': 'Blanco',
+        'yellow': 'Amarillo',
+        'generation-i': 'Generación I',
+        'generation-ii': 'Generación II',
+        'generation-iii': 'Generación III',
+        'generation-iv': 'Generación IV',
+        'generation-v': 'Generación V',
+        'generation-vi': 'Generación VI',
+        'generation-vii': 'Generación VII',
+        'generation-viii': 'Generación VIII',
+        'generation-ix': 'Generación IX'
+    }
+};
+
+/**
+ * Returns the locale of the page if it is supported, otherwise the default locale.
+ *
+ * @returns {string} - The locale code, e.g. `en`.
+ */
+export const getLocale = () => {
+    const lang = (document.documentElement.lang || DEFAULT_LOCALE).slice(0, 2).toLowerCase();
+    return Object.hasOwn(LABELS, lang) ? lang : DEFAULT_LOCALE;
+};
+
+/**
+ * Returns the label for a key in the given locale, falling back to the default locale and then to the key itself.
+ *
+ * @param {string} key - The label key.
+ * @param {string} [locale=getLocale()] - The locale code.
+ * @returns {string} - The localized label.
+ */
+export const translate = (key, locale = getLocale()) => LABELS[locale]?.[key] ?? LABELS[DEFAULT_LOCALE][key] ?? key;
+
+/**
+ * Returns the label for a key with its `{name}` placeholders replaced by the given values,
+ * e.g. `Remove type:fire` for `removeToken` and `{ token: 'type:fire' }`.
+ *
+ * @param {string} key - The label key.
+ * @param {Object<string, string|number>} values - The value of each placeholder, by name.
+ * @param {string} [locale=getLocale()] - The locale code.
+ * @returns {string} - The localized label with the values.
+ */
+export const formatLabel = (key, values, locale = getLocale()) =>
+    translate(key, locale).replace(/\{(\w+)\}/g, (placeholder, name) => Object.hasOwn(values, name) ? String(values[name]) : placeholder);
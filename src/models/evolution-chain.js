@@ -0,0 +1,110 @@
+/**
+ * @module evolution-chain
+ * @description Normalized evolution tree built from the raw `/evolution-chain` response.
+ */
+
+/**
+ * @typedef {Object} EvolutionCondition
+ * @property {string} trigger - What starts the evolution, e.g. `level-up`, `use-item` or `trade`.
+ * @property {number|null} minLevel - Minimum level.
+ * @property {string|null} item - Item used on the Pokémon, e.g. `thunder-stone`.
+ * @property {string|null} heldItem - Item held by the Pokémon.
+ * @property {number|null} minHappiness - Minimum friendship.
+ * @property {number|null} minAffection - Minimum affection.
+ * @property {number|null} minBeauty - Minimum beauty.
+ * @property {string|null} timeOfDay - `day`, `night` or `dusk`, null at any time.
+ * @property {string|null} knownMove - Move the Pokémon has to know.
+ * @property {string|null} knownMoveType - Type of a move the Pokémon has to know.
+ * @property {string|null} location - Location where the Pokémon has to level up.
+ * @property {string|null} partySpecies - Species that has to be in the party.
+ * @property {string|null} partyType - Type of a Pokémon that has to be in the party.
+ * @property {string|null} tradeSpecies - Species the Pokémon has to be traded for.
+ * @property {string|null} gender - `female` or `male`, null for both.
+ * @property {number|null} relativePhysicalStats - 1 when Attack has to be higher than Defense, -1 when lower,
+ * 0 when equal, null when it does not matter.
+ * @property {boolean} needsOverworldRain - Whether it has to rain.
+ * @property {boolean} turnUpsideDown - Whether the device has to be turned upside down.
+ */
+
+/**
+ * @typedef {Object} EvolutionStage
+ * @property {number} id - National Pokédex number of the species.
+ * @property {string} name - API name of the species.
+ * @property {string} url - URL of the species.
+ * @property {boolean} isBaby - Whether the species is a baby Pokémon.
+ * @property {Array<EvolutionCondition>} conditions - The ways the previous stage evolves into this one, any of them
+ * being enough; empty for the first stage.
+ * @property {Array<EvolutionStage>} evolvesTo - The stages it evolves into, several for branching families.
+ */
+
+/**
+ * Genders of the `gender` field of the evolution details.
+ * @type {Object<number, string>}
+ */
+const GENDERS = { 1: 'female', 2: 'male' };
+
+/**
+ * Returns the national Pokédex number at the end of a species URL.
+ *
+ * @param {string} url - The URL, e.g. `https://pokeapi.co/api/v2/pokemon-species/25/`.
+ * @returns {number} - The number, e.g. 25.
+ */
+const getSpeciesId = (url) => Number(url.match(/\/(\d+)\/?$/)?.[1]);
+
+/**
+ * Normalizes the raw evolution details of a stage.
+ *
+ * @param {Object} details - An entry of `evolution_details`.
+ * @returns {EvolutionCondition} - The condition.
+ */
+const createCondition = (details) => ({
+    trigger: details.trigger?.name || 'other',
+    minLevel: details.min_level ?? null,
+    item: details.item?.name || null,
+    heldItem: details.held_item?.name || null,
+    minHappiness: details.min_happiness ?? null,
+    minAffection: details.min_affection ?? null,
+    minBeauty: details.min_beauty ?? null,
+    timeOfDay: details.time_of_day || null,
+    knownMove: details.known_move?.name || null,
+    knownMoveType: details.known_move_type?.name || null,
+    location: details.location?.name || null,
+    partySpecies: details.party_species?.name || null,
+    partyType: details.party_type?.name || null,
+    tradeSpecies: details.trade_species?.name || null,
+    gender: GENDERS[details.gender] || null,
+    relativePhysicalStats: details.relative_physical_stats ?? null,
+    needsOverworldRain: Boolean(details.needs_overworld_rain),
+    turnUpsideDown: Boolean(details.turn_upside_down)
+});
+
+/**
+ * Normalizes a raw stage of the chain and the stages it evolves into.
+ *
+ * @param {Object} link - A raw `chain` link.
+ * @returns {EvolutionStage} - The stage.
+ */
+const createStage = (link) => ({
+    id: getSpeciesId(link.species.url),
+    name: link.species.name,
+    url: link.species.url,
+    isBaby: Boolean(link.is_baby),
+    conditions: (link.evolution_details || []).map(createCondition),
+    evolvesTo: (link.evolves_to || []).map(createStage)
+});
+
+/**
+ * Builds the evolution tree of an `/evolution-chain` response.
+ *
+ * @param {Object} chain - The `/evolution-chain` response.
+ * @returns {EvolutionStage} - The first stage of the family.
+ */
+export const createEvolutionChain = (chain) => createStage(chain.chain);
+
+/**
+ * Returns the species names of every stage of an evolution tree.
+ *
+ * @param {EvolutionStage} stage - The first stage of the tree.
+ * @returns {Array<string>} - The names, each stage before the ones it evolves into.
+ */
+export const getFamilyNames = (stage) => [stage.name, ...stage.evolvesTo.flatMap(getFamilyNames)];
@@ -0,0 +1,166 @@
+/**
+ * @module pokemon-details
+ * @description Normalized Pokémon detail model built from the raw `/pokemon-species`, `/pokemon` and `/type` responses.
+ */
+
+import { DEFAULT_LOCALE, getLocale } from '../config/i18n.js';
+
+/**
+ * @typedef {Object} DamageRelations
+ * @property {Array<string>} doubleDamageFrom - Types that deal double damage to this type.
+ * @property {Array<string>} halfDamageFrom - Types that deal half damage to this type.
+ * @property {Array<string>} noDamageFrom - Types that deal no damage to this type.
+ * @property {Array<string>} doubleDamageTo - Types this type deals double damage to.
+ * @property {Array<string>} halfDamageTo - Types this type deals half damage to.
+ * @property {Array<string>} noDamageTo - Types this type deals no damage to.
+ */
+
+/**
+ * @typedef {Object} PokemonType
+ * @property {string} name - API name of the type, e.g. `fire`.
+ * @property {string} label - Localized name of the type.
+ * @property {DamageRelations} damageRelations - The damage relations of the type.
+ */
+
+/**
+ * @typedef {Object} PokemonDetails
+ * @property {number} id - National Pokédex number.
+ * @property {string} name - API name of the species, e.g. `mr-mime`.
+ * @property {string} displayName - Localized name of the species.
+ * @property {Object<string, string>} names - Names of the species by language code.
+ * @property {string} genus - Localized category, e.g. "Mouse Pokémon".
+ * @property {string} description - Localized Pokédex flavor text.
+ * @property {string|null} artwork - URL of the official artwork.
+ * @property {string|null} sprite - URL of the front sprite.
+ * @property {Array<PokemonType>} types - Types in slot order.
+ * @property {Array<{name: string, value: number}>} stats - Base stats, e.g. `{ name: 'speed', value: 90 }`.
+ * @property {number} baseStatTotal - Sum of the base stats.
+ * @property {Array<{name: string, hidden: boolean}>} abilities - Abilities, flagging the hidden one.
+ * @property {number} height - Height in meters.
+ * @property {number} weight - Weight in kilograms.
+ * @property {string|null} color - Pokédex color.
+ * @property {string|null} habitat - Habitat, null for species without one.
+ * @property {Array<string>} eggGroups - Egg groups.
+ * @property {number} captureRate - Capture rate, from 0 to 255.
+ * @property {{male: number, female: number}|null} genderRatio - Percentage of each gender, null when genderless.
+ * @property {boolean} isLegendary - Whether the species is legendary.
+ * @property {boolean} isMythical - Whether the species is mythical.
+ * @property {boolean} isBaby - Whether the species is a baby Pokémon.
+ * @property {string|null} generation - Generation that introduced the species, e.g. `generation-i`.
+ * @property {string|null} shape - Body shape.
+ * @property {string|null} evolutionChainUrl - URL of the evolution chain.
+ * @property {string|null} speciesUrl - URL of the species.
+ */
+
+/**
+ * @typedef {Object} PokemonStats
+ * @property {number} hp - Base HP.
+ * @property {number} attack - Base Attack.
+ * @property {number} defense - Base Defense.
+ * @property {number} special-attack - Base Special Attack.
+ * @property {number} special-defense - Base Special Defense.
+ * @property {number} speed - Base Speed.
+ * @property {number} total - Sum of the base stats.
+ * @property {number} height - Height in meters.
+ * @property {number} weight - Weight in kilograms.
+ */
+
+/**
+ * Picks the entry of a localized list in the given locale, falling back to the default locale.
+ *
+ * @param {Array<Object>} entries - Entries with a `language.name` property.
+ * @param {string} locale - The locale code.
+ * @returns {Object|undefined} - The matching entry, the last one if there are several.
+ */
+const pickLocalized = (entries = [], locale) => {
+    const byLanguage = (language) => entries.filter(entry => entry.language.name === language).pop();
+    return byLanguage(locale) || byLanguage(DEFAULT_LOCALE);
+};
+
+/**
+ * Normalizes the raw `damage_relations` of a `/type` response into lists of type names.
+ *
+ * @param {Object} [relations={}] - The raw damage relations.
+ * @returns {DamageRelations} - The normalized damage relations.
+ */
+export const normalizeDamageRelations = (relations = {}) => {
+    const names = (list = []) => list.map(type => type.name);
+    return {
+        doubleDamageFrom: names(relations.double_damage_from),
+        halfDamageFrom: names(relations.half_damage_from),
+        noDamageFrom: names(relations.no_damage_from),
+        doubleDamageTo: names(relations.double_damage_to),
+        halfDamageTo: names(relations.half_damage_to),
+        noDamageTo: names(relations.no_damage_to)
+    };
+};
+
+/**
+ * Builds the stats of a Pokémon used to filter and sort, from its `/pokemon` response.
+ *
+ * @param {Object} pokemon - The `/pokemon` response.
+ * @returns {PokemonStats} - The base stats, their total, the height and the weight.
+ */
+export const createPokemonStats = (pokemon) => {
+    const stats = Object.fromEntries(pokemon.stats.map(({ base_stat, stat }) => [stat.name, base_stat]));
+
+    return {
+        ...stats,
+        total: Object.values(stats).reduce((sum, value) => sum + value, 0),
+        height: pokemon.height / 10,
+        weight: pokemon.weight / 10
+    };
+};
+
+/**
+ * Builds the normalized detail model of a Pokémon.
+ *
+ * @param {Object} raw - The raw API responses.
+ * @param {Object} raw.species - The `/pokemon-species` response.
+ * @param {Object} raw.pokemon - The `/pokemon` response of the default form.
+ * @param {Array<Object>} [raw.types=[]] - The `/type` responses of the Pokémon types.
+ * @param {string} [locale=getLocale()] - The locale used for names and texts.
+ * @returns {PokemonDetails} - The normalized Pokémon details.
+ */
+export const createPokemonDetails = ({ species, pokemon, types = [] }, locale = getLocale()) => {
+    const typesByName = new Map(types.map(type => [type.name, type]));
+    const stats = pokemon.stats.map(({ base_stat, stat }) => ({ name: stat.name, value: base_stat }));
+    const flavor = pickLocalized(species.flavor_text_entries, locale);
+    const femaleRatio = species.gender_rate / 8 * 100;
+
+    return {
+        id: species.id,
+        name: species.name,
+        displayName: pickLocalized(species.names, locale)?.name || species.name,
+        names: Object.fromEntries((species.names || []).map(entry => [entry.language.name, entry.name])),
+        genus: pickLocalized(species.genera, locale)?.genus || '',
+        description: flavor ? flavor.flavor_text.replace(/[\f\n\r]+/g, ' ') : '',
+        artwork: pokemon.sprites?.other?.['official-artwork']?.front_default || null,
+        sprite: pokemon.sprites?.front_default || null,
+        types: pokemon.types.map(({ type }) => {
+            const typeData = typesByName.get(type.name);
+            return {
+                name: type.name,
+                label: pickLocalized(typeData?.names, locale)?.name || type.name,
+                damageRelations: normalizeDamageRelations(typeData?.damage_relations)
+            };
+        }),
+        stats,
+        baseStatTotal: stats.reduce((sum, stat) => sum + stat.value, 0),
+        abilities: pokemon.abilities.map(({ ability, is_hidden }) => ({ name: ability.name, hidden: is_hidden })),
+        height: pokemon.height / 10,
+        weight: pokemon.weight / 10,
+        color: species.color?.name || null,
+        habitat: species.habitat?.name || null,
+        eggGroups: (species.egg_groups || []).map(group => group.name),
+        captureRate: species.capture_rate,
+        genderRatio: species.gender_rate < 0 ? null : { male: 100 - femaleRatio, female: femaleRatio },
+        isLegendary: Boolean(species.is_legendary),
+        isMythical: Boolean(species.is_mythical),
+        isBaby: Boolean(species.is_baby),
+        generation: species.generation?.name || null,
+        shape: species.shape?.name || null,
+        evolutionChainUrl: species.evolution_chain?.url || null,
+        speciesUrl: pokemon.species?.url || null
+    };
+};
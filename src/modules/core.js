@@ -1,14 +1,44 @@
-import { contentElms, headerElms } from "../config/constants.js";
+import { COMPARE_CONFIG, contentElms, headerElms, HTTP_CONFIG, POKEDEX_CONFIG } from "../config/constants.js";
 import apiService from '../services/api-service.js';
+import filterService from '../services/filter-service.js';
+import { FILTER_DIMENSIONS, createEmptySelection, loadOptionSets } from './dimensions.js';
 import { getSelectedFilters } from "./filters.js";
-import { renderCards, showSearchDropdown } from "./ui.js";
+import { RANGE_FILTERS, createOpenRange, hasActiveRange } from './ranges.js';
+import { parseSearchQuery } from './search-query.js';
+import { createDefaultSort, sortUsesStats } from './sorting.js';
+import { getFillingCardCount, getSelectedPokedex, getSelectedSort, renderCards, renderCompareSelection, renderSearchChips, showSearchDropdown, updateFilterCounts, updateSortControls } from "./ui.js";
+import { syncUrlWithFilters } from "./url-state.js";
 
 
 /**
- * Array to hold the initial Pokémon data.
+ * The Pokémon of the national Pokédex. The data loaded in the background is kept on them, whatever the selected Pokédex.
  * @type {Array<Object>}
  */
-const pokemonData = [];
+let nationalData = [];
+
+/**
+ * The Pokémon of the national Pokédex by id.
+ * @type {Map<number, Object>}
+ */
+let nationalById = new Map();
+
+/**
+ * The name of the Pokédex whose Pokémon are filtered.
+ * @type {string}
+ */
+let pokedexName = POKEDEX_CONFIG.defaultName;
+
+/**
+ * The Pokémon of the selected Pokédex, in its order.
+ * @type {Array<Object>}
+ */
+let pokemonData = [];
+
+/**
+ * The Pokémon data by id, to display the results of the filter engine.
+ * @type {Map<number, Object>}
+ */
+let pokemonById = new Map();
 
 /**
  * Array to hold the filtered Pokémon data.
@@ -17,267 +47,527 @@ const pokemonData = [];
 let filteredData = [];
 
 /**
- * Index to manage the current batch of displayed Pokémon.
- * @type {number}
+ * The most relevant results for the words of the search query, from the last filtering.
+ * @type {Array<{pokemon: Object, match: import('./search-index.js').SearchMatch|null}>}
  */
-let currentBatchIndex = 0;
+let searchSuggestions = [];
 
 /**
- * The number of Pokémon to display per batch.
+ * The number of results suggested in the search dropdown.
  * @type {number}
  */
-const batchSize = 20;
+const suggestionCount = 5;
 
 /**
- * Map to hold Pokémon types.
- * @type {Map<string, {url: string, data: Promise<Array<string>> | Array<string> | null}>}
+ * Sets of option Pokémon names already sent to the filter engine.
+ * @type {WeakSet<Set<string>>}
  */
-export let typeMap = new Map();
+const sentOptionNames = new WeakSet();
 
 /**
- * Map to hold Pokémon colors.
- * @type {Map<string, {url: string, data: Promise<Array<string>> | Array<string> | null}>}
+ * Number of the latest filter run. A run that finds a newer one started while it was loading throws its results away,
+ * so slow requests cannot overwrite the results of a later search.
+ * @type {number}
  */
-export let colorMap = new Map();
+let filterGeneration = 0;
 
 /**
- * Map to hold Pokémon genders.
- * @type {Map<string, {url: string, data: Promise<Array<string>> | Array<string> | null}>}
+ * The number of filtered Pokémon loaded so far, the cards near the viewport being rendered among them.
+ * @type {number}
  */
-export let genderMap = new Map();
+let loadedCount = 0;
 
+/**
+ * The Pokémon picked to be compared, in the order they were picked.
+ * @type {Array<Object>}
+ */
+let compareSelection = [];
 
+/**
+ * The number of Pokémon to display per batch.
+ * @type {number}
+ */
+const batchSize = 20;
 
 /**
- * Fetches Pokémon data from the API and adds it to the `pokemonData` array.
+ * The number of Pokémon whose background data is handed to the filter engine at once.
+ * @type {number}
+ */
+const engineUpdateSize = 100;
+
+/**
+ * Fetches the Pokémon of the national Pokédex from the API and makes them the filtered Pokémon.
  * 
  * @async
  * @function getPokemonData
  * @returns {Promise<void>} A promise that resolves when the Pokémon data has been fetched 
- * and added to the array.
+ * and handed to the filter engine.
  */
 export const getPokemonData = async () => {
-    pokemonData.push(...await apiService.fetchPokemonData());
+    nationalData = await apiService.fetchPokemonData();
+    nationalById = new Map(nationalData.map(pokemon => [pokemon.id, pokemon]));
+    contentElms.teamPanel.setPokemon(nationalData);
+    contentElms.detailView.setPokemon(nationalData);
+    await usePokedex(POKEDEX_CONFIG.defaultName, nationalData);
 }
 
 /**
- * Fetches Pokémon types from the API and populates the typeMap with the retrieved data.
+ * Fetches the names of the Pokédexes the dataset can be switched to.
+ * Without them, only the national Pokédex is offered.
+ *
  * @async
- * @returns {Promise<void>} A promise that resolves when the typeMap is populated.
+ * @function
+ * @returns {Promise<Array<string>>} A promise that resolves to the names of the Pokédexes.
  */
-export const getPokemonTypes = async () => {
-    typeMap = new Map(Object.entries(await apiService.fetchPokemonTypes()));
-}
+export const getPokedexNames = async () => {
+    try {
+        return await apiService.fetchPokedexNames();
+    } catch (error) {
+        console.error('[getPokedexNames] Error fetching the Pokédexes:', error);
+        return [POKEDEX_CONFIG.defaultName];
+    }
+};
 
 /**
- * Fetches Pokémon colors from the API and populates the colorMap with the retrieved data.
+ * Fetches the Pokémon of a Pokédex, numbered by their entry number in it.
+ *
  * @async
- * @returns {Promise<void>} A promise that resolves when the colorMap is populated.
+ * @param {string} name - The name of the Pokédex.
+ * @returns {Promise<Array<Object>>} A promise that resolves to the Pokémon, the national ones for the default Pokédex.
+ * @throws {Error} - Throws an error if the fetch operation fails.
  */
-export const getPokemonColors = async () => {
-    colorMap = new Map(Object.entries(await apiService.fetchPokemonColors()));
-}
+const fetchPokedex = async (name) => name === POKEDEX_CONFIG.defaultName ? nationalData : apiService.fetchPokemonData(name);
 
 /**
- * Fetches Pokémon genders from the API and populates the genderMap with the retrieved data.
+ * Makes the Pokémon of a Pokédex the filtered Pokémon. They get the data already loaded for the national ones,
+ * the rest reaching the filter engine by id as it loads. The Pokémon picked to be compared are kept if they are in it.
+ *
  * @async
- * @returns {Promise<void>} A promise that resolves when the genderMap is populated.
+ * @param {string} name - The name of the Pokédex.
+ * @param {Array<Object>} entries - The Pokémon of the Pokédex, as returned by `fetchPokedex`.
+ * @returns {Promise<void>} A promise that resolves when the Pokémon have been handed to the filter engine.
  */
-export const getPokemonGenders = async () => {
-    genderMap = new Map(Object.entries(await apiService.fetchPokemonGenders()));
-}
+const usePokedex = async (name, entries) => {
+    pokedexName = name;
+    pokemonData = entries.map(entry => ({ ...entry, ...nationalById.get(entry.id), number: entry.number }));
+    pokemonById = new Map(pokemonData.map(pokemon => [pokemon.id, pokemon]));
+
+    compareSelection = compareSelection.map(pokemon => pokemonById.get(pokemon.id)).filter(Boolean);
+    renderCompareSelection(compareSelection);
+
+    await filterService.setPokemon(pokemonData);
+};
+
+/**
+ * Loads a piece of data of every Pokémon of the national Pokédex that does not have it yet, a few requests at a time,
+ * and hands it to the filter engine in batches of `engineUpdateSize`. Pokémon whose data fails to load are left without it.
+ *
+ * @async
+ * @param {string} property - The property of the Pokémon receiving the data, e.g. `stats`.
+ * @param {Function} fetchValue - Fetches the data of a Pokémon.
+ * @param {Function} [onProgress] - Called with the number of Pokémon processed and the total, first with 0 and then after each one.
+ * @returns {Promise<void>} A promise that resolves when every Pokémon has been processed.
+ */
+const loadForEachPokemon = async (property, fetchValue, onProgress = () => {}) => {
+    const queue = nationalData.filter(pokemon => !pokemon[property]);
+    const total = queue.length;
+    const loaded = [];
+    let processed = 0;
+
+    const sendLoaded = () => {
+        if (loaded.length > 0) {
+            filterService.updatePokemon(property, loaded.splice(0));
+        }
+    };
+
+    const loadNext = async () => {
+        while (queue.length > 0) {
+            const pokemon = queue.shift();
+            try {
+                pokemon[property] = await fetchValue(pokemon);
+                loaded.push([pokemon.id, pokemon[property]]);
+                if (loaded.length >= engineUpdateSize) sendLoaded();
+            } catch (error) {
+                console.error(`[loadForEachPokemon] Error fetching the ${property} of <${pokemon.name}>:`, error);
+            }
+            onProgress(++processed, total);
+        }
+    };
+
+    onProgress(processed, total);
+    await Promise.all(Array.from({ length: HTTP_CONFIG.backgroundConcurrent }, loadNext));
+    sendLoaded();
+};
+
+/**
+ * Loads the stats of every Pokémon into its `stats` property, for the range filters.
+ * Meant to run in the background: the data is filtered again once done if a range or the sort order was waiting for them.
+ *
+ * @async
+ * @function loadPokemonStats
+ * @param {Function} onProgress - Called with the number of Pokémon processed and the total after each one.
+ * @returns {Promise<void>} A promise that resolves when every Pokémon has been processed.
+ */
+export const loadPokemonStats = async (onProgress) => {
+    await loadForEachPokemon('stats', pokemon => apiService.fetchPokemonStats(pokemon.id), onProgress);
+
+    const { ranges } = getSelectedFilters();
+    const query = parseSearchQuery(headerElms.searchInput.value);
+    if (hasActiveRange(ranges) || hasActiveRange(query.ranges) || sortUsesStats(getSelectedSort())) {
+        await filterData();
+    }
+};
 
 /**
- * Filters the Pokémon data based on the search query and selected filters.
+ * Loads the names in every language of every Pokémon into its `names` property, so they can be searched.
+ * Meant to run in the background: the data is filtered again once done if words are being searched.
+ *
+ * @async
+ * @function loadPokemonNames
+ * @returns {Promise<void>} A promise that resolves when every Pokémon has been processed.
+ */
+export const loadPokemonNames = async () => {
+    await loadForEachPokemon('names', pokemon => apiService.fetchPokemonNames(pokemon.url));
+
+    if (parseSearchQuery(headerElms.searchInput.value).terms.length > 0) {
+        await filterData();
+    }
+};
+
+/**
+ * Filters the Pokémon data based on the search query and selected filters, switching to the selected Pokédex first.
+ * Results of a run overtaken by a newer one are thrown away.
  * 
- * @returns {Promise<void>} - Resolves when the data has been filtered and displayed.
+ * @returns {Promise<boolean>} - Resolves when the data has been filtered, with true if it was displayed
+ * and false if a newer run started meanwhile.
  */
 
 export const filterData = async () => {
+    const generation = ++filterGeneration;
     contentElms.loader.show();
 
-    const query = headerElms.searchInput.value.trim().toLowerCase();
-
-    headerElms.resetSearchBox.classList.toggle('header__search-cross--visible', query !== '');
+    try {
+        const query = parseSearchQuery(headerElms.searchInput.value);
 
-    const { types, colors, gender } = getSelectedFilters();
+        headerElms.resetSearchBox.classList.toggle('header__search-cross--visible', query.tokens.length > 0);
+        renderSearchChips(query.tokens);
 
-    const filteredDataPromises = pokemonData.map(async pokemon => {
+        const filters = getSelectedFilters();
+        const pokedex = getSelectedPokedex();
 
-        const matchesQuery = query === '' || pokemon.name.toLowerCase().includes(query) || pokemon.id.toString().includes(query);
+        syncUrlWithFilters();
 
-        const [matchesType, matchesColor, matchesGender] = await Promise.all([
-            checkMatchType(pokemon.name, types),
-            checkMatchColor(pokemon.name, colors),
-            checkMatchGender(pokemon.name, gender)
+        const [optionSets, entries] = await Promise.all([
+            loadFilterSets(filters, query),
+            pokedex === pokedexName ? null : fetchPokedex(pokedex)
         ]);
 
-        return matchesQuery && matchesType && matchesColor && matchesGender ? pokemon : null;
-    });
-
-    try {
-        const filteredDataResults = await Promise.all(filteredDataPromises);
-        filteredData = filteredDataResults.filter(pokemon => pokemon !== null);
+        if (generation !== filterGeneration) {
+            return false;
+        }
 
-        currentBatchIndex = 0;
-        contentElms.cardsContainer.innerHTML = '';
+        if (entries) {
+            await usePokedex(pokedex, entries);
+        }
 
-        const hasResults = filteredData.length > 0;
-        contentElms.noResultsMessage.classList.toggle('content__no-results--visible', !hasResults);
+        const { ids, suggestions, counts } = await filterService.filter({
+            query,
+            filters,
+            dimensions: syncOptionSets(optionSets),
+            sort: getSelectedSort(),
+            suggestions: suggestionCount
+        });
 
-        if (hasResults) {
-            loadNextBatch();
-        } else {
-            contentElms.loadMoreButton.classList.remove('content__button--visible');
+        if (generation !== filterGeneration) {
+            return false;
         }
+
+        filteredData = ids.map(id => pokemonById.get(id));
+        searchSuggestions = suggestions.map(({ id, match }) => ({ pokemon: pokemonById.get(id), match }));
+
+        contentElms.errorMessage.classList.remove('content__error--visible');
+        showResults();
+
+        updateFilterCounts(counts);
+        return true;
     } catch (error) {
+        if (generation !== filterGeneration) {
+            return false;
+        }
+
         console.error('[filterData] Error filtering data:', error);
-        contentElms.noResultsMessage.classList.add('content__no-results--visible');
+        renderCards([], 0);
+        contentElms.loadMoreButton.classList.remove('content__button--visible');
+        contentElms.noResultsMessage.classList.remove('content__no-results--visible');
+        contentElms.errorMessage.classList.add('content__error--visible');
+        return true;
     } finally {
+        // Every run hides the loader it showed, overtaken or not, so it stays visible until the last one is done
         contentElms.loader.hide();
     }
 };
 
 /**
- * Filters the Pokémon data based on the search query and displays a dropdown with the top 5 results.
+ * Sorts the filtered Pokémon data with the selected sort order, through the filter engine, and displays it again
+ * from the first batch.
+ *
+ * @async
+ * @function
+ * @returns {Promise<void>} - Resolves when the sorted data has been displayed.
+ */
+export const sortResults = async () => {
+    updateSortControls();
+    await filterData();
+};
+
+/**
+ * Displays the filtered Pokémon data, or the no results message when there is none.
+ * As many Pokémon as fill the page down to the viewport are loaded, at least a batch, so the scroll position is kept.
+ *
+ * @returns {void}
+ */
+const showResults = () => {
+    loadedCount = Math.min(filteredData.length, Math.max(batchSize, getFillingCardCount()));
+    renderCards(filteredData, loadedCount);
+
+    contentElms.noResultsMessage.classList.toggle('content__no-results--visible', filteredData.length === 0);
+    contentElms.loadMoreButton.classList.toggle('content__button--visible', loadedCount < filteredData.length);
+};
+
+/**
+ * Filters the Pokémon data based on the search query and displays a dropdown with the 5 most relevant results,
+ * announcing the total number of results. The dropdown is left as is when a newer filter run started meanwhile.
  * 
  * @async
  * @returns {Promise<void>} - Resolves when the data has been filtered and the dropdown has been updated.
  */
 
 export const filterDataFromSearchBar = async () => {
-    await filterData();
-    const dropdownData = filteredData.slice(0, 5);
-    showSearchDropdown(dropdownData);
+    if (!await filterData()) return;
+
+    showSearchDropdown(searchSuggestions, filteredData.length);
 }
 
 /**
- * Loads and renders the next batch of filtered Pokémon data.
+ * Loads the next batch of filtered Pokémon data, when scrolling close to the end of the cards
+ * or with the load more button.
  *
  * @function
- * @returns {void}
+ * @returns {boolean} - False if every filtered Pokémon was already loaded.
  */
 export const loadNextBatch = () => {
-    if (currentBatchIndex >= filteredData.length) {
+    if (loadedCount >= filteredData.length) {
         contentElms.loadMoreButton.classList.remove('content__button--visible');
-        return;
+        return false;
     }
 
     contentElms.loader.show();
 
-    const batch = filteredData.slice(currentBatchIndex, currentBatchIndex + batchSize);
-    currentBatchIndex += batchSize;
+    loadedCount = Math.min(filteredData.length, loadedCount + batchSize);
+    renderCards(filteredData, loadedCount);
 
-    renderCards(batch);
-
-    const hasMoreData = currentBatchIndex < filteredData.length;
+    const hasMoreData = loadedCount < filteredData.length;
     contentElms.loadMoreButton.classList.toggle('content__button--visible', hasMoreData);
 
     contentElms.loader.hide();
+    return true;
 };
 
 /**
- * Checks if a Pokémon matches any of the specified types.
- * 
- * @param {string} pokemonName - The name of the Pokémon.
- * @param {Array<string>} types - The list of types to check against.
- * @returns {Promise<boolean>} - True if the Pokémon matches any type, otherwise false.
- */
-const checkMatchType = async (pokemonName, types) => {
-    if (types.length === 0) return true;
-
-    for await (const type of types) {
-        let typeElm = typeMap.get(type);
-
-        if (typeElm && typeElm.data.length === 0) {
-            typeElm.data = apiService.fetchSpecificTypePokemons(typeElm.url)
-                .then(pokemonList => {
-                    typeElm.data = pokemonList;
-                    return pokemonList;
-                })
-                .catch(error => {
-                    console.error(`[checkMatchType] Error fetching type data for <${type}>:`, error);
-                    return [];
-                });
-
-            typeMap.set(type, typeElm);
-        }
+ * Checks whether a Pokémon is in the national Pokédex.
+ *
+ * @function
+ * @param {number|string} id - The national Pokédex number.
+ * @returns {boolean} - True if a Pokémon has that number.
+ */
+export const hasPokemon = (id) => nationalById.has(Number(id));
 
-        const typeData = await typeElm.data;
-        if (typeData.includes(pokemonName)) {
-            return true;
-        }
+/**
+ * Finds a Pokémon of the selected Pokédex by id or by name.
+ *
+ * @param {number|string} idOrName - The id or the name of the Pokémon.
+ * @returns {Object|undefined} - The Pokémon, undefined if none has that id or name.
+ */
+const findPokemon = (idOrName) => {
+    const key = String(idOrName).toLowerCase();
+    return pokemonById.get(Number(key)) || pokemonData.find(pokemon => pokemon.name === key);
+};
+
+/**
+ * Picks a Pokémon to be compared, or unpicks it when it was picked.
+ * Nothing is picked once the comparison is full, the compare bar saying so instead.
+ *
+ * @function
+ * @param {number} id - The national Pokédex number of the Pokémon.
+ * @returns {void}
+ */
+export const toggleComparePokemon = (id) => {
+    const pokemon = pokemonById.get(Number(id));
+    if (!pokemon) return;
+
+    if (compareSelection.includes(pokemon)) {
+        compareSelection = compareSelection.filter(picked => picked !== pokemon);
+    } else if (compareSelection.length >= COMPARE_CONFIG.maxSize) {
+        renderCompareSelection(compareSelection, true);
+        return;
+    } else {
+        compareSelection = [...compareSelection, pokemon];
     }
 
-    return false;
+    renderCompareSelection(compareSelection);
 };
 
 /**
- * Checks if a Pokémon matches any of the specified colors.
- * 
- * @param {string} pokemonName - The name of the Pokémon.
- * @param {Array<string>} colors - The list of colors to check against.
- * @returns {Promise<boolean>} - True if the Pokémon matches any color, otherwise false.
- */
-const checkMatchColor = async (pokemonName, colors) => {
-    if (colors.length === 0) return true;
-
-    for await (const color of colors) {
-        let colorElm = colorMap.get(color);
-
-        if (colorElm && colorElm.data.length === 0) {
-            colorElm.data = apiService.fetchSpecificColorPokemons(colorElm.url)
-                .then(pokemonList => {
-                    colorElm.data = pokemonList;
-                    return pokemonList;
-                })
-                .catch(error => {
-                    console.error(`[checkMatchColor] Error fetching color data for <${color}>:`, error);
-                    return [];
-                });
-
-            colorMap.set(color, colorElm);
-        }
+ * Unpicks every Pokémon picked to be compared.
+ *
+ * @function
+ * @returns {void}
+ */
+export const clearCompareSelection = () => {
+    compareSelection = [];
+    renderCompareSelection(compareSelection);
+};
 
-        const colorData = await colorElm.data;
-        if (colorData.includes(pokemonName)) {
-            return true;
-        }
+/**
+ * Returns the Pokémon picked to be compared.
+ *
+ * @function
+ * @returns {Array<Object>} - The Pokémon, in the order they were picked.
+ */
+export const getCompareSelection = () => compareSelection;
+
+/**
+ * Opens the comparison of the given Pokémon, which become the ones picked to be compared.
+ *
+ * @function
+ * @param {Array<number|string>} idsOrNames - The ids or the names of the Pokémon to compare.
+ * @returns {boolean} - False if a Pokémon is unknown, or if there are too few or too many of them.
+ */
+export const openComparison = (idsOrNames) => {
+    const list = [...new Set(idsOrNames.map(findPokemon))];
+    const isValid = list.every(Boolean)
+        && list.length >= COMPARE_CONFIG.minSize
+        && list.length <= COMPARE_CONFIG.maxSize;
+
+    if (!isValid) {
+        return false;
     }
 
-    return false;
+    compareSelection = list;
+    renderCompareSelection(compareSelection);
+    contentElms.compareView.open(list);
+    return true;
 };
 
 /**
- * Checks if a Pokémon matches any of the specified genders.
- * 
- * @param {string} pokemonName - The name of the Pokémon.
- * @param {Array<string>} gender - The gender to check against.
- * @returns {Promise<boolean>} - True if the Pokémon matches any gender, otherwise false.
- */
-const checkMatchGender = async (pokemonName, gender) => {
-    if (gender === 'all') return true;
-
-    let genderElm = genderMap.get(gender);
-
-    if (genderElm && genderElm.data.length === 0) {
-        genderElm.data = apiService.fetchSpecificGenderPokemons(genderElm.url)
-            .then(pokemonList => {
-                genderElm.data = pokemonList;
-                return pokemonList;
-            })
-            .catch(error => {
-                console.error(`[checkMatchGender] Error fetching gender data for <${gender}>:`, error);
-                return [];
-            });
-
-        genderMap.set(gender, genderElm);
+ * Opens the detail view of a Pokémon, navigable through the current filtered results.
+ * Pokémon hidden by the current filters are opened within the whole selected Pokédex instead,
+ * and Pokémon that are not in it within the national Pokédex.
+ *
+ * @function
+ * @param {number|string} idOrName - The id or the name of the Pokémon to show.
+ * @returns {boolean} - False if no Pokémon has that id or name.
+ */
+export const openPokemonDetail = (idOrName) => {
+    const key = String(idOrName).toLowerCase();
+    const matches = pokemon => String(pokemon.id) === key || pokemon.name === key;
+
+    let list = filteredData;
+    let index = list.findIndex(matches);
+
+    if (index === -1) {
+        list = pokemonData;
+        index = list.findIndex(matches);
     }
 
-    const genderData = await genderElm.data;
-    if (genderData.includes(pokemonName)) {
-        return true;
+    if (index === -1) {
+        list = nationalData;
+        index = list.findIndex(matches);
+    }
+
+    if (index === -1) {
+        return false;
+    }
+
+    // Already shown, e.g. when the route changed because of the detail view's own navigation
+    if (contentElms.detailView.getCurrentItem() !== list[index]) {
+        contentElms.detailView.open(list, index);
+    }
+
+    return true;
+};
+
+/**
+ * Loads the Pokémon names of the options of every filter dimension.
+ * The options picked or excluded in the sidebar or in the search query have to load.
+ *
+ * @async
+ * @param {Object<string, import('./dimensions.js').Selection>} filters - The selection of each dimension.
+ * @param {import('./search-query.js').ParsedQuery} [query] - The parsed search query.
+ * @returns {Promise<Map<string, Map<string, Set<string>|null>>>} - The Pokémon names of each option, by dimension.
+ * @throws {Error} - Throws an error if a picked or excluded option could not be loaded.
+ */
+const loadFilterSets = async (filters, query = parseSearchQuery('')) => {
+    const entries = await Promise.all(FILTER_DIMENSIONS.map(async dimension => {
+        const selections = [filters[dimension.key], ...query.filters.filter(({ key }) => key === dimension.key).map(({ selection }) => selection)];
+        const selection = {
+            ...filters[dimension.key],
+            include: selections.flatMap(({ include }) => include),
+            exclude: selections.flatMap(({ exclude }) => exclude)
+        };
+
+        return [dimension.key, await loadOptionSets(dimension, selection)];
+    }));
+
+    return new Map(entries);
+};
+
+/**
+ * Sends the Pokémon names of the options loaded since the last filtering to the filter engine,
+ * and describes the filter dimensions for it.
+ *
+ * @param {Map<string, Map<string, Set<string>|null>>} optionSets - The Pokémon names of each option, by dimension.
+ * @returns {Array<import('./filter-engine.js').EngineDimension>} - The filter dimensions, in sidebar order.
+ */
+const syncOptionSets = (optionSets) => {
+    const entries = [];
+
+    const dimensions = FILTER_DIMENSIONS.map(({ key, multiple }) => ({
+        key,
+        multiple,
+        options: [...optionSets.get(key)].map(([option, names]) => {
+            if (names && !sentOptionNames.has(names)) {
+                sentOptionNames.add(names);
+                entries.push([key, option, [...names]]);
+            }
+            return [option, Boolean(names)];
+        })
+    }));
+
+    if (entries.length > 0) {
+        filterService.setOptionNames(entries);
     }
 
-    return false;
-};
\ No newline at end of file
+    return dimensions;
+};
+
+/**
+ * Builds the options of every filter dimension, with the total number of Pokémon of each option.
+ * 
+ * @async
+ * @returns {Promise<Object<string, Array<{value: string, count: number|null}>>>} - The options of each dimension.
+ */
+export const getFilterOptions = async () => {
+    const filters = Object.fromEntries(FILTER_DIMENSIONS.map(dimension => [dimension.key, createEmptySelection()]));
+    const ranges = Object.fromEntries(RANGE_FILTERS.map(({ key }) => [key, createOpenRange()]));
+
+    const { counts } = await filterService.filter({
+        query: parseSearchQuery(''),
+        filters: { ...filters, ranges },
+        dimensions: syncOptionSets(await loadFilterSets(filters)),
+        sort: createDefaultSort(),
+        suggestions: 0
+    });
+
+    return counts;
+};
@@ -0,0 +1,284 @@
+/**
+ * @module dimensions
+ * @description Filter dimensions of the sidebar, e.g. the types or the habitats.
+ * The options of a dimension are loaded from the API, each with the URL of its Pokémon list, and a Pokémon
+ * matches an option when its name is in that list. Adding a filter only takes a new entry in `FILTER_DIMENSIONS`.
+ */
+
+import apiService from '../services/api-service.js';
+import { transformStructuredData } from '../utils/helper.js';
+
+/**
+ * @typedef {Object} FilterDimension
+ * @property {string} key - Key of the dimension in the selected filters, e.g. `types`.
+ * @property {string} name - Name of its inputs and prefix of their ids, e.g. `type` for `#type-fire`.
+ * @property {string} param - Query string parameter storing the selection, e.g. `type`.
+ * @property {string} title - Title of the filter in the sidebar.
+ * @property {string} variant - How the options are rendered: `type`, `color`, `gender`, `list` or `select`.
+ * @property {boolean} multiple - Whether several options can be picked, otherwise one or `all`.
+ * @property {boolean} matchMode - Whether the picked options can be matched with `any` or `all`.
+ * @property {boolean} exclude - Whether options can be excluded.
+ * @property {boolean} deferred - Whether the Pokémon lists are only loaded once an option is picked, for
+ * dimensions that are expensive to load.
+ * @property {boolean} loadsTogether - Whether the Pokémon lists of every option come from one shared load, so a
+ * deferred dimension loads them all once one option is picked.
+ * @property {Function} fetchOptions - Fetches the options, as returned by `transformStructuredData`.
+ * @property {Function} fetchPokemons - Fetches the Pokémon names of an option, from its URL and its name.
+ */
+
+/**
+ * @typedef {Object} Selection
+ * @property {Array<string>} include - The picked options.
+ * @property {Array<string>} exclude - The excluded options.
+ * @property {string} mode - `any` to match one of the picked options, `all` to match every one of them.
+ */
+
+/**
+ * Fetches the Pokémon species names of an option of a species-based resource.
+ *
+ * @param {string} url - The URL of the option.
+ * @returns {Promise<Array<string>>} - The Pokémon species names.
+ */
+const fetchSpeciesNames = url => apiService.fetchSpeciesNames(url);
+
+/**
+ * Filter dimensions, in sidebar order.
+ * @type {Array<FilterDimension>}
+ */
+export const FILTER_DIMENSIONS = [
+    {
+        key: 'types',
+        name: 'type',
+        param: 'type',
+        title: 'TYPE',
+        variant: 'type',
+        multiple: true,
+        matchMode: true,
+        exclude: true,
+        deferred: false,
+        loadsTogether: false,
+        fetchOptions: () => apiService.fetchPokemonTypes(),
+        fetchPokemons: url => apiService.fetchSpecificTypePokemons(url)
+    },
+    {
+        key: 'colors',
+        name: 'color',
+        param: 'color',
+        title: 'COLOR',
+        variant: 'color',
+        multiple: true,
+        matchMode: true,
+        exclude: false,
+        deferred: false,
+        loadsTogether: false,
+        fetchOptions: () => apiService.fetchPokemonColors(),
+        fetchPokemons: url => apiService.fetchSpecificColorPokemons(url)
+    },
+    {
+        key: 'gender',
+        name: 'gender',
+        param: 'gender',
+        title: 'GENDER',
+        variant: 'gender',
+        multiple: false,
+        matchMode: false,
+        exclude: false,
+        deferred: false,
+        loadsTogether: false,
+        fetchOptions: () => apiService.fetchPokemonGenders(),
+        fetchPokemons: url => apiService.fetchSpecificGenderPokemons(url)
+    },
+    {
+        key: 'generations',
+        name: 'generation',
+        param: 'gen',
+        title: 'GENERATION',
+        variant: 'list',
+        multiple: true,
+        matchMode: false,
+        exclude: false,
+        deferred: false,
+        loadsTogether: false,
+        fetchOptions: () => apiService.fetchResourceList('/generation'),
+        fetchPokemons: fetchSpeciesNames
+    },
+    {
+        key: 'habitats',
+        name: 'habitat',
+        param: 'habitat',
+        title: 'HABITAT',
+        variant: 'list',
+        multiple: true,
+        matchMode: false,
+        exclude: false,
+        deferred: false,
+        loadsTogether: false,
+        fetchOptions: () => apiService.fetchResourceList('/pokemon-habitat'),
+        fetchPokemons: fetchSpeciesNames
+    },
+    {
+        key: 'shapes',
+        name: 'shape',
+        param: 'shape',
+        title: 'SHAPE',
+        variant: 'list',
+        multiple: true,
+        matchMode: false,
+        exclude: false,
+        deferred: false,
+        loadsTogether: false,
+        fetchOptions: () => apiService.fetchResourceList('/pokemon-shape'),
+        fetchPokemons: fetchSpeciesNames
+    },
+    {
+        key: 'eggGroups',
+        name: 'egg-group',
+        param: 'egg',
+        title: 'EGG GROUP',
+        variant: 'list',
+        multiple: true,
+        matchMode: true,
+        exclude: false,
+        deferred: false,
+        loadsTogether: false,
+        fetchOptions: () => apiService.fetchResourceList('/egg-group'),
+        fetchPokemons: fetchSpeciesNames
+    },
+    {
+        // Flags of the species, there is no list endpoint for them: every species is fetched once an option is picked
+        key: 'status',
+        name: 'status',
+        param: 'status',
+        title: 'STATUS',
+        variant: 'list',
+        multiple: true,
+        matchMode: false,
+        exclude: true,
+        deferred: true,
+        loadsTogether: true,
+        fetchOptions: async () => transformStructuredData([
+            { name: 'legendary', url: null },
+            { name: 'mythical', url: null }
+        ]),
+        fetchPokemons: (url, name) => apiService.fetchSpeciesNamesWithFlag(name)
+    },
+    {
+        // Every Pokémon is an option, matching its evolution family: only the picked one loads its evolution chain
+        key: 'families',
+        name: 'family',
+        param: 'family',
+        title: 'FAMILY',
+        variant: 'select',
+        multiple: false,
+        matchMode: false,
+        exclude: false,
+        deferred: true,
+        loadsTogether: false,
+        fetchOptions: async () => transformStructuredData(await apiService.fetchPokemonData()),
+        fetchPokemons: url => apiService.fetchFamilyNames(url)
+    }
+];
+
+/**
+ * Options of each dimension, with their Pokémon names once loaded.
+ * @type {Map<string, Map<string, {url: string, data: Promise<Set<string>> | Set<string> | Array<string>, loaded?: boolean}>>}
+ */
+const optionMaps = new Map(FILTER_DIMENSIONS.map(dimension => [dimension.key, new Map()]));
+
+/**
+ * Returns a selection that matches every Pokémon.
+ *
+ * @returns {Selection} - The empty selection.
+ */
+export const createEmptySelection = () => ({ include: [], exclude: [], mode: 'any' });
+
+/**
+ * Fetches the options of every dimension. A dimension whose options cannot be loaded is left without options,
+ * so the other filters stay usable.
+ *
+ * @async
+ * @returns {Promise<void>} - Resolves when the options of every dimension have been loaded or have failed.
+ */
+export const loadDimensionOptions = async () => {
+    await Promise.all(FILTER_DIMENSIONS.map(async dimension => {
+        try {
+            optionMaps.set(dimension.key, new Map(Object.entries(await dimension.fetchOptions())));
+        } catch (error) {
+            console.error(`[loadDimensionOptions] Error fetching the options of <${dimension.key}>:`, error);
+        }
+    }));
+};
+
+/**
+ * Returns the option names of a dimension.
+ *
+ * @param {FilterDimension} dimension - The dimension.
+ * @returns {Array<string>} - The option names, in API order.
+ */
+export const getOptionNames = (dimension) => [...optionMaps.get(dimension.key).keys()];
+
+/**
+ * Loads the Pokémon names of an option, e.g. every fire Pokémon of the types.
+ * The request is made once and shared between callers, and every caller gets the same set, so it can be indexed
+ * once; on failure the option is reset so the next call retries.
+ *
+ * @param {FilterDimension} dimension - The dimension.
+ * @param {string} name - The option to load, e.g. `fire`.
+ * @returns {Promise<Set<string>>} - The Pokémon names, empty for unknown options.
+ */
+const loadOption = async (dimension, name) => {
+    const elm = optionMaps.get(dimension.key).get(name);
+    if (!elm) return new Set();
+
+    // Options without any Pokémon are loaded too, hence the flag instead of checking for an empty list
+    if (!elm.loaded && Array.isArray(elm.data)) {
+        elm.data = dimension.fetchPokemons(elm.url, name)
+            .then(pokemonList => {
+                elm.data = new Set(pokemonList);
+                elm.loaded = true;
+                return elm.data;
+            })
+            .catch(error => {
+                console.error(`[loadOption] Error fetching data for <${dimension.key}:${name}>:`, error);
+                elm.data = [];
+                throw error;
+            });
+    }
+
+    return elm.data;
+};
+
+/**
+ * Loads the Pokémon names of every option of a dimension as sets.
+ *
+ * Options that fail to load, and the options of deferred dimensions that are not loaded yet, get null.
+ * Every option of a dimension loaded together is loaded once one of them is picked, excluded or loaded.
+ * A failure of a picked or excluded option is thrown instead, since the selection cannot be applied without it.
+ *
+ * @async
+ * @param {FilterDimension} dimension - The dimension.
+ * @param {Selection} selection - The selection of the dimension.
+ * @returns {Promise<Map<string, Set<string>|null>>} - The Pokémon names of each option.
+ */
+export const loadOptionSets = async (dimension, selection) => {
+    const options = optionMaps.get(dimension.key);
+    const isGroupRequested = dimension.loadsTogether && (selection.include.length > 0 || selection.exclude.length > 0
+        || [...options.values()].some(elm => elm.loaded));
+
+    const entries = await Promise.all(getOptionNames(dimension).map(async name => {
+        const isSelected = selection.include.includes(name) || selection.exclude.includes(name);
+
+        if (dimension.deferred && !isSelected && !isGroupRequested && !options.get(name).loaded) {
+            return [name, null];
+        }
+
+        try {
+            return [name, await loadOption(dimension, name)];
+        } catch (error) {
+            if (isSelected) throw error;
+            return [name, null];
+        }
+    }));
+
+    return new Map(entries);
+};
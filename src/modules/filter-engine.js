@@ -0,0 +1,192 @@
+/**
+ * @module filter-engine
+ * @description Evaluates the search and the filters on the Pokémon data: word matches, filter selections, ranges,
+ * sort order, facet counts and search suggestions. It has no DOM access and exchanges plain data only, so it can run
+ * in the filter worker as well as on the main thread, see the `filter-service` module.
+ */
+
+import { createFilterIndex, intersectIds, selectAllIds, selectIds, withOption } from './filter-index.js';
+import { matchesRanges } from './ranges.js';
+import { findMatches, rankByRelevance } from './search-index.js';
+import { sortPokemon } from './sorting.js';
+
+/**
+ * @typedef {Object} EngineDimension
+ * @property {string} key - Key of the dimension, e.g. `types`.
+ * @property {boolean} multiple - Whether several options can be picked, otherwise the counts start with `all`.
+ * @property {Array<Array>} options - `[name, loaded]` of each option, `loaded` being whether its Pokémon names are
+ * usable, see `setOptionNames`.
+ */
+
+/**
+ * @typedef {Object} FilterRequest
+ * @property {import('./search-query.js').ParsedQuery} query - The parsed search query.
+ * @property {Object} filters - The selection of each dimension by key, and the sidebar `ranges`.
+ * @property {Array<EngineDimension>} dimensions - The filter dimensions, in sidebar order.
+ * @property {import('./sorting.js').Sort} sort - The sort order of the results.
+ * @property {number} suggestions - The number of most relevant results to suggest.
+ */
+
+/**
+ * @typedef {Object} FilterResult
+ * @property {Array<number>} ids - The ids of the matching Pokémon, sorted.
+ * @property {Array<{id: number, match: import('./search-index.js').SearchMatch|null}>} suggestions - The ids of the
+ * most relevant results for the searched words, with the match of the first word.
+ * @property {Object<string, Array<{value: string, count: number|null}>>} counts - The options of each dimension with
+ * the number of results they would give, `count` is null when the option is not loaded.
+ */
+
+/**
+ * Finds the Pokémon matching each word of a parsed query, see `findMatches`.
+ * Excluded words are not matched with typos, so they only remove the Pokémon they really name.
+ *
+ * @param {Array<Object>} pokemonList - The Pokémon to search.
+ * @param {import('./search-query.js').ParsedQuery} query - The parsed query.
+ * @returns {Array<Map<Object, import('./search-index.js').SearchMatch>>} - The matches of each word, in `terms` order.
+ */
+const findTermMatches = (pokemonList, { terms }) =>
+    terms.map(({ value, negated }) => findMatches(pokemonList, value, { fuzzy: !negated }));
+
+/**
+ * Checks a Pokémon against the words, the Pokédex numbers and the stat ranges of a parsed query.
+ * The filters typed in it are matched through the filter index.
+ *
+ * @param {Object} pokemon - The Pokémon.
+ * @param {import('./search-query.js').ParsedQuery} query - The parsed query.
+ * @param {Array<Map<Object, import('./search-index.js').SearchMatch>>} termMatches - The matches of each word,
+ * see `findTermMatches`.
+ * @returns {boolean} - True if the Pokémon has every word, none of the excluded ones, a number in the ranges
+ * and stats within the ranges.
+ */
+const matchesQuery = (pokemon, { terms, ids, ranges }, termMatches) => {
+    const inRange = ({ min, max }) => pokemon.id >= min && pokemon.id <= max;
+
+    return terms.every((term, index) => termMatches[index].has(pokemon) !== term.negated)
+        && (ids.include.length === 0 || ids.include.some(inRange))
+        && !ids.exclude.some(inRange)
+        && matchesRanges(pokemon.stats, ranges);
+};
+
+/**
+ * Counts, for each option of every filter dimension, the Pokémon that would match if it were picked,
+ * given the search query, the ranges and the selection of the other dimensions.
+ * Dimensions with a single choice start with an `all` option.
+ *
+ * @param {import('./filter-index.js').FilterIndex} filterIndex - The filter index.
+ * @param {Array<Object>} candidates - The Pokémon matching the search query and the ranges.
+ * @param {Map<string, Map<string, Set<string>|null>>} optionSets - The Pokémon names of each option, by dimension.
+ * @param {Object<string, import('./dimensions.js').Selection>} filters - The selection of each dimension.
+ * @param {Array<EngineDimension>} dimensions - The filter dimensions.
+ * @returns {Object<string, Array<{value: string, count: number|null}>>} - The options of each dimension.
+ */
+const getFacetCounts = (filterIndex, candidates, optionSets, filters, dimensions) => {
+    const candidateIds = new Set(candidates.map(({ id }) => id));
+    const selectedIds = new Map(dimensions.map(({ key }) =>
+        [key, selectIds(filterIndex, optionSets.get(key), filters[key])]));
+
+    return Object.fromEntries(dimensions.map(dimension => {
+        const sets = optionSets.get(dimension.key);
+        // Candidates matching the selection of the other dimensions
+        const others = dimensions
+            .filter(other => other !== dimension)
+            .reduce((ids, other) => intersectIds(ids, selectedIds.get(other.key)), candidateIds);
+
+        const options = [...sets].map(([value, names]) => {
+            const selection = withOption(filters[dimension.key], value);
+            return {
+                value,
+                count: names ? intersectIds(others, selectIds(filterIndex, sets, selection)).size : null
+            };
+        });
+
+        return [dimension.key, dimension.multiple ? options : [{ value: 'all', count: others.size }, ...options]];
+    }));
+};
+
+/**
+ * Class holding the searchable copy of the Pokémon data and answering filter requests.
+ *
+ * @class
+ */
+export class FilterEngine {
+
+    /**
+     * Creates an instance of FilterEngine, without any Pokémon.
+     * @constructor
+     */
+    constructor() {
+        this.pokemonList = [];
+        this.pokemonById = new Map();
+        this.filterIndex = createFilterIndex([]);
+        this.optionNames = new Map();
+    }
+
+    /**
+     * Replaces the Pokémon data, keeping what is searched and filtered of each Pokémon.
+     *
+     * @param {Array<Object>} pokemonList - The Pokémon, with their `id`, `number` in the selected Pokédex, `name`, and `names` and `stats` once loaded.
+     * @returns {void}
+     */
+    setPokemon(pokemonList) {
+        this.pokemonList = pokemonList.map(({ id, number, name, names, stats }) => ({ id, number, name, names, stats }));
+        this.pokemonById = new Map(this.pokemonList.map(pokemon => [pokemon.id, pokemon]));
+        this.filterIndex = createFilterIndex(this.pokemonList);
+    }
+
+    /**
+     * Sets a piece of data of some Pokémon, e.g. their stats once loaded.
+     *
+     * @param {string} property - The property of the Pokémon receiving the data, `stats` or `names`.
+     * @param {Array<Array>} values - `[id, value]` of each Pokémon.
+     * @returns {void}
+     */
+    updatePokemon(property, values) {
+        values.forEach(([id, value]) => {
+            const pokemon = this.pokemonById.get(id);
+            if (pokemon) pokemon[property] = value;
+        });
+    }
+
+    /**
+     * Sets the Pokémon names of some options of the filter dimensions, replacing the ones set before.
+     *
+     * @param {Array<Array>} entries - `[dimension key, option, Pokémon names]` of each option.
+     * @returns {void}
+     */
+    setOptionNames(entries) {
+        entries.forEach(([key, option, names]) => {
+            if (!this.optionNames.has(key)) {
+                this.optionNames.set(key, new Map());
+            }
+            this.optionNames.get(key).set(option, new Set(names));
+        });
+    }
+
+    /**
+     * Filters, sorts and counts the Pokémon for a search query and a selection of filters.
+     *
+     * @param {FilterRequest} request - The filter request.
+     * @returns {FilterResult} - The results.
+     */
+    filter({ query, filters, dimensions, sort, suggestions }) {
+        const optionSets = new Map(dimensions.map(({ key, options }) => [key, new Map(options.map(([option, loaded]) =>
+            [option, loaded ? this.optionNames.get(key)?.get(option) ?? null : null]))]));
+
+        const termMatches = findTermMatches(this.pokemonList, query);
+        const queryIds = selectAllIds(this.filterIndex, optionSets, query.filters);
+        const candidates = this.pokemonList.filter(pokemon => queryIds.has(pokemon.id)
+            && matchesQuery(pokemon, query, termMatches) && matchesRanges(pokemon.stats, filters.ranges));
+
+        const selectedIds = selectAllIds(this.filterIndex, optionSets, dimensions.map(({ key }) => ({ key, selection: filters[key] })));
+        const results = sortPokemon(candidates.filter(pokemon => selectedIds.has(pokemon.id)), sort);
+
+        const searchedMatches = termMatches.filter((_, index) => !query.terms[index].negated);
+        const suggested = suggestions > 0 ? rankByRelevance(results, searchedMatches).slice(0, suggestions) : [];
+
+        return {
+            ids: results.map(({ id }) => id),
+            suggestions: suggested.map(({ pokemon, match }) => ({ id: pokemon.id, match })),
+            counts: getFacetCounts(this.filterIndex, candidates, optionSets, filters, dimensions)
+        };
+    }
+}
@@ -0,0 +1,134 @@
+/**
+ * @module filter-index
+ * @description Filter engine for the filter dimensions, answering selections with set operations on Pokémon ids.
+ * The Pokémon names of each option are turned once into a set of ids, an inverted index from the option to its
+ * Pokémon, so a selection is the union, intersection or difference of a few sets instead of a check of every
+ * Pokémon against every picked option.
+ */
+
+/**
+ * @typedef {Object} FilterIndex
+ * @property {Set<number>} ids - The id of every indexed Pokémon.
+ * @property {Map<string, number>} idsByName - The id of each Pokémon, by name.
+ * @property {WeakMap<Set<string>, Set<number>>} optionIds - The ids of each option, by its set of Pokémon names.
+ */
+
+/**
+ * Indexes a list of Pokémon.
+ *
+ * @param {Array<Object>} pokemonList - The Pokémon, each with an `id` and a `name`.
+ * @returns {FilterIndex} - The index.
+ */
+export const createFilterIndex = (pokemonList) => ({
+    ids: new Set(pokemonList.map(({ id }) => id)),
+    idsByName: new Map(pokemonList.map(({ id, name }) => [name, id])),
+    optionIds: new WeakMap()
+});
+
+/**
+ * Returns the ids of the Pokémon of an option, computed once per set of names.
+ * Names of Pokémon that are not indexed, e.g. alternate forms, are left out.
+ *
+ * @param {FilterIndex} index - The index.
+ * @param {Set<string>|null|undefined} names - The Pokémon names of the option, null when it is not loaded.
+ * @returns {Set<number>} - The ids, empty for an option that is not loaded.
+ */
+const getOptionIds = (index, names) => {
+    if (!names) return new Set();
+
+    let ids = index.optionIds.get(names);
+    if (!ids) {
+        ids = new Set();
+        names.forEach(name => {
+            const id = index.idsByName.get(name);
+            if (id !== undefined) ids.add(id);
+        });
+        index.optionIds.set(names, ids);
+    }
+
+    return ids;
+};
+
+/**
+ * Returns the ids in both sets.
+ *
+ * @param {Set<number>} a - A set of ids.
+ * @param {Set<number>} b - Another set of ids.
+ * @returns {Set<number>} - The common ids.
+ */
+export const intersectIds = (a, b) => {
+    if (a === b) return a;
+
+    const [smaller, larger] = a.size <= b.size ? [a, b] : [b, a];
+    const result = new Set();
+    smaller.forEach(id => {
+        if (larger.has(id)) result.add(id);
+    });
+    return result;
+};
+
+/**
+ * Returns the ids in any of the sets.
+ *
+ * @param {Array<Set<number>>} sets - The sets of ids.
+ * @returns {Set<number>} - Every id.
+ */
+const unionIds = (sets) => {
+    const result = new Set();
+    sets.forEach(set => set.forEach(id => result.add(id)));
+    return result;
+};
+
+/**
+ * Returns the ids of the Pokémon matching the selection of a dimension: in one of the picked options, or in
+ * every one of them in `all` mode, and in none of the excluded options.
+ *
+ * @param {FilterIndex} index - The index.
+ * @param {Map<string, Set<string>|null>} sets - The Pokémon names of each option of the dimension.
+ * @param {import('./dimensions.js').Selection} selection - The selection of the dimension.
+ * @returns {Set<number>} - The matching ids, every indexed id for an empty selection.
+ */
+export const selectIds = (index, sets, { include, exclude, mode }) => {
+    const optionIds = option => getOptionIds(index, sets.get(option));
+
+    let ids = index.ids;
+    if (include.length > 0) {
+        ids = mode === 'all'
+            ? include.map(optionIds).reduce(intersectIds)
+            : unionIds(include.map(optionIds));
+    }
+
+    if (exclude.length > 0) {
+        const excluded = unionIds(exclude.map(optionIds));
+        ids = new Set([...ids].filter(id => !excluded.has(id)));
+    }
+
+    return ids;
+};
+
+/**
+ * Returns the ids of the Pokémon matching several selections, each of one dimension.
+ *
+ * @param {FilterIndex} index - The index.
+ * @param {Map<string, Map<string, Set<string>|null>>} optionSets - The Pokémon names of each option, by dimension.
+ * @param {Array<{key: string, selection: import('./dimensions.js').Selection}>} selections - The selections,
+ * with the key of their dimension.
+ * @returns {Set<number>} - The ids matching every selection.
+ */
+export const selectAllIds = (index, optionSets, selections) => selections
+    .map(({ key, selection }) => selectIds(index, optionSets.get(key), selection))
+    .reduce(intersectIds, index.ids);
+
+/**
+ * Returns the selection of a dimension once one of its options is picked: in `any` mode the option replaces the
+ * picked ones, in `all` mode it is added to them. An excluded option is no longer excluded.
+ *
+ * @param {import('./dimensions.js').Selection} selection - The selection of the dimension.
+ * @param {string} option - The picked option.
+ * @returns {import('./dimensions.js').Selection} - The selection with the option.
+ */
+export const withOption = ({ include, exclude, mode }, option) => ({
+    include: mode === 'all' ? [...new Set([...include, option])] : [option],
+    exclude: exclude.filter(excluded => excluded !== option),
+    mode
+});
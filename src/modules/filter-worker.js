@@ -0,0 +1,23 @@
+/**
+ * @module filter-worker
+ * @description Entry point of the filter worker, running the filter engine off the main thread.
+ * Each message `{id, method, args}` calls a method of the engine and is answered with `{id, result}`,
+ * or `{id, error}` when the method throws.
+ */
+
+import { FilterEngine } from './filter-engine.js';
+
+/**
+ * The filter engine of the worker.
+ * @type {FilterEngine}
+ */
+const engine = new FilterEngine();
+
+self.addEventListener('message', ({ data: { id, method, args } }) => {
+    try {
+        self.postMessage({ id, result: engine[method](...args) });
+    } catch (error) {
+        console.error(`[filter-worker] Error running <${method}>:`, error);
+        self.postMessage({ id, error: error.message });
+    }
+});
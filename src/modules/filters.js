@@ -1,119 +1,159 @@
-
 import { filterData } from "./core.js";
 import { sidebarContainer, headerElms } from "../config/constants.js";
+import { FILTER_DIMENSIONS } from './dimensions.js';
+import { RANGE_FILTERS, createRange } from './ranges.js';
+import { updateRangeOutputs } from './ui.js';
 
 /**
- * Gets the selected filters for types, colors, and genders.
+ * Gets the selected filters of every filter dimension and the selected ranges.
  *
  * @function
- * @returns {Object} - Object containing arrays of selected types, colors and gender.
+ * @returns {Object<string, *>} - The picked and excluded options and the match mode (`any` or `all`) of each
+ * dimension, keyed by dimension, e.g. `{ types: { include: ['fire'], exclude: [], mode: 'any' } }`,
+ * and the range of each range filter under `ranges`, e.g. `{ ranges: { speed: { min: 100, max: null }, ... } }`.
  */
-export const getSelectedFilters = () => {
-    const selectedFilters = {
-        types: [],
-        colors: [],
-        gender: ''
-    };
-
-    const filterMap = {
-        types: ".sidebar__type-checkbox:checked",
-        colors: ".sidebar__color-checkbox:checked",
-    };
-
-    Object.keys(filterMap).forEach(key => {
-        sidebarContainer.querySelectorAll(filterMap[key]).forEach(el => {
-            selectedFilters[key].push(el.value);
-        });
-    });
+export const getSelectedFilters = () => ({
+    ...Object.fromEntries(FILTER_DIMENSIONS.map(dimension => {
+        const values = (name) => [...sidebarContainer.querySelectorAll(`input[name='${name}']:checked, select[name='${name}'] option:checked`)]
+            .map(el => el.value)
+            .filter(value => value !== 'all');
 
-    const genderEl = sidebarContainer.querySelector(".sidebar__gender-radio:checked");
-    if (genderEl) {
-        selectedFilters.gender = genderEl.value;
-    }
+        return [dimension.key, {
+            include: values(dimension.name),
+            exclude: values(`${dimension.name}-exclude`),
+            mode: getMatchMode(dimension)
+        }];
+    })),
+    ranges: getSelectedRanges()
+});
 
-    return selectedFilters;
+/**
+ * Gets the range selected on the sliders of each range filter.
+ *
+ * @returns {Object<string, import('./ranges.js').Range>} - The range of each filter, by key.
+ */
+const getSelectedRanges = () => Object.fromEntries(RANGE_FILTERS.map(filter => {
+    const value = (side) => Number(sidebarContainer.querySelector(`input[name='range-${filter.key}-${side}']`)?.value ?? filter[side]);
+    return [filter.key, createRange(filter, value('min'), value('max'))];
+}));
+
+/**
+ * Gets the match mode selected for a filter dimension.
+ *
+ * @param {import('./dimensions.js').FilterDimension} dimension - The dimension.
+ * @returns {string} - `any` or `all`.
+ */
+const getMatchMode = (dimension) => sidebarContainer.querySelector(`input[name='${dimension.name}-mode']:checked`)?.value || 'any';
+
+/**
+ * Keeps an option from being both picked and excluded: checking one of its boxes unchecks the other.
+ *
+ * @param {Event} event - The change event of a sidebar control.
+ * @returns {void}
+ */
+export const toggleExclusion = (event) => {
+    const { target } = event;
+    if (target.type !== 'checkbox' || !target.checked) return;
+
+    const opposite = target.name.endsWith('-exclude') ? target.name.replace(/-exclude$/, '') : `${target.name}-exclude`;
+    const oppositeCheckbox = sidebarContainer.querySelector(`input[name='${opposite}'][value='${target.value}']`);
+
+    if (oppositeCheckbox) {
+        oppositeCheckbox.checked = false;
+    }
 };
 
 /**
- * Resets all filters by calling the `resetTypeFilter`, `resetColorFilter`, and `resetGenderFilter` functions and recalculate data.
- * 
+ * Resets all filters by resetting every filter dimension and the ranges, and recalculate data.
+ *
  * @returns {void} - This function does not return any value.
  */
 export const resetAllFilters = async () => {
-    resetTypeFilter();
-    resetColorFilter();
-    resetGenderFilter();
+    FILTER_DIMENSIONS.forEach(resetFilter);
+    resetRanges();
     await filterData();
 };
 
 /**
- * Resets the color filter and updates the displayed data based on the current filters.
+ * Resets the ranges and updates the displayed data based on the current filters.
  *
  * @async
- * @function resetColorFilterClick
  * @returns {Promise<void>} A promise that resolves when the data filtering is complete.
  */
-export const resetColorFilterClick = async () => {
-    resetColorFilter();
+export const resetRangesClick = async () => {
+    resetRanges();
     await filterData();
-}
+};
 
 /**
- * Resets the color filter by unchecking all selected color checkboxes.
- * 
+ * Moves the sliders of every range filter back to their bounds.
+ *
  * @returns {void} - This function does not return any value.
  */
-export const resetColorFilter = async () => {
-    sidebarContainer.querySelectorAll(".sidebar__color-checkbox:checked").forEach((checkbox) => {
-        checkbox.checked = false;
+export const resetRanges = () => {
+    RANGE_FILTERS.forEach(filter => {
+        ['min', 'max'].forEach(side => {
+            const slider = sidebarContainer.querySelector(`input[name='range-${filter.key}-${side}']`);
+            if (slider) {
+                slider.value = filter[side];
+            }
+        });
     });
+    updateRangeOutputs();
 };
 
 /**
- * Resets the type filter and updates the displayed data based on the current filters.
+ * Resets a filter dimension and updates the displayed data based on the current filters.
  *
  * @async
- * @function resetTypeFilterClick
+ * @function resetFilterClick
+ * @param {string} key - The key of the dimension, e.g. `types`.
  * @returns {Promise<void>} A promise that resolves when the data filtering is complete.
  */
-export const resetTypeFilterClick = async () => {
-    resetTypeFilter();
-    await filterData();
-}
+export const resetFilterClick = async (key) => {
+    const dimension = FILTER_DIMENSIONS.find(elm => elm.key === key);
+    if (dimension) {
+        resetFilter(dimension);
+        await filterData();
+    }
+};
 
 /**
- * Resets the type filter by unchecking all selected type checkboxes.
- * 
+ * Resets a filter dimension: unchecks its picked and excluded options, selects its "all" radio button or option
+ * if it has one, and matches any of its options again.
+ *
+ * @param {import('./dimensions.js').FilterDimension} dimension - The dimension.
  * @returns {void} - This function does not return any value.
  */
-export const resetTypeFilter = () => {
-    sidebarContainer.querySelectorAll(".sidebar__type-checkbox:checked").forEach((checkbox) => {
-        checkbox.checked = false;
+export const resetFilter = (dimension) => {
+    const { name } = dimension;
+
+    sidebarContainer.querySelectorAll(`input[name='${name}'], input[name='${name}-exclude']`).forEach((input) => {
+        input.checked = input.type === 'radio' && input.value === 'all';
+    });
+
+    sidebarContainer.querySelectorAll(`select[name='${name}']`).forEach((select) => {
+        select.value = 'all';
     });
+
+    const anyRadioButton = sidebarContainer.querySelector(`input[name='${name}-mode'][value='any']`);
+    if (anyRadioButton) {
+        anyRadioButton.checked = true;
+    }
 };
 
 /**
- * Resets the gender filter and updates the displayed data based on the current filters.
+ * Removes a token from the search query, e.g. when its chip is closed, and refilter.
  *
  * @async
- * @function resetGenderFilterClick
+ * @param {number} start - Index of the token in the query.
+ * @param {number} end - Index after the token in the query.
  * @returns {Promise<void>} A promise that resolves when the data filtering is complete.
  */
-export const resetGenderFilterClick = async () => {
-    resetGenderFilter();
+export const removeSearchToken = async (start, end) => {
+    const { value } = headerElms.searchInput;
+    headerElms.searchInput.value = `${value.slice(0, start)} ${value.slice(end)}`.replace(/\s+/g, ' ').trim();
     await filterData();
-}
-
-/**
- * Resets the gender filter by selecting the "all" radio button and ensuring that no other gender radio buttons are selected.
- * 
- * @returns {void} - This function does not return any value.
- */
-export const resetGenderFilter = async () => {
-    const allRadioButton = sidebarContainer.querySelector(".sidebar__gender-radio[id='all']");
-    if (allRadioButton) {
-        allRadioButton.checked = true;
-    }
 };
 
 /**
@@ -125,4 +165,4 @@ export const resetSearchBoxFilter = async () => {
     headerElms.searchInput.value = '';
     headerElms.resetSearchBox.classList.remove('header__search-cross--visible');
     await filterData();
-};
\ No newline at end of file
+};
@@ -3,12 +3,42 @@
  * @description Module for initializing the application.
  */
 
-import { contentElms, headerElms, mobileFilterButton, sidebarContainer } from '../config/constants.js';
-import { getPokemonColors, getPokemonGenders, getPokemonTypes, filterData, filterDataFromSearchBar, getPokemonData, loadNextBatch } from './core.js';
-import { resetAllFilters, resetColorFilterClick, resetGenderFilterClick, resetSearchBoxFilter, resetTypeFilterClick } from "./filters.js";
-import { hideSidebar, showSidebar } from "./ui.js";
+import { CARDS_CONFIG, contentElms, headerElms, mobileFilterButton, SEARCH_CONFIG, sidebarContainer } from '../config/constants.js';
+import { clearCompareSelection, filterData, filterDataFromSearchBar, getCompareSelection, getPokedexNames, getPokemonData, getFilterOptions, hasPokemon, loadNextBatch, loadPokemonNames, loadPokemonStats, openComparison, openPokemonDetail, sortResults, toggleComparePokemon } from './core.js';
+import { FILTER_DIMENSIONS, loadDimensionOptions } from './dimensions.js';
+import { removeSearchToken, resetAllFilters, resetFilterClick, resetRangesClick, resetSearchBoxFilter, toggleExclusion } from "./filters.js";
+import { RANGE_FILTERS } from './ranges.js';
+import { SORT_KEYS } from './sorting.js';
+import apiService from '../services/api-service.js';
+import { navigate, registerNotFound, registerRoute, startRouter } from './router.js';
+import teamService from '../services/team-service.js';
+import { clearCacheClick, closeSearchDropdown, handleSearchKeydown, hideSidebar, renderCacheStats, renderFilterDimensions, renderFilterOptions, renderPokedexSelect, renderRangeFilters, renderSortControls, renderStatsProgress, renderTeamMarks, scheduleVisibleCardsUpdate, showSidebar, toggleTeamMember } from "./ui.js";
+import { restoreFiltersFromUrl } from './url-state.js';
+import { debounce } from '../utils/helper.js';
 
 
+/**
+ * Loads the next batch of cards when the end of the cards gets close to the viewport, for infinite scrolling.
+ * Without IntersectionObserver the load more button is the only way to load more.
+ *
+ * @returns {void}
+ */
+const observeEndOfCards = () => {
+    if (!('IntersectionObserver' in window)) return;
+
+    const observer = new IntersectionObserver((entries) => {
+        if (!entries.some(entry => entry.isIntersecting)) return;
+
+        // Observed again after a load, so a batch that does not reach the viewport is followed by the next one
+        if (loadNextBatch()) {
+            observer.unobserve(contentElms.loadMoreContainer);
+            observer.observe(contentElms.loadMoreContainer);
+        }
+    }, { rootMargin: `${CARDS_CONFIG.preloadMargin}px 0px` });
+
+    observer.observe(contentElms.loadMoreContainer);
+};
+
 /**
  * Initializes event listeners for various elements in the application.
  * 
@@ -17,57 +47,163 @@ import { hideSidebar, showSidebar } from "./ui.js";
  */
 const initializeEventListeners = async () => {
 
-    headerElms.searchInput.addEventListener('input', filterDataFromSearchBar);
+    headerElms.searchInput.addEventListener('input', debounce(filterDataFromSearchBar, SEARCH_CONFIG.debounceDelay));
+    headerElms.searchInput.addEventListener('keydown', handleSearchKeydown);
+    headerElms.searchInput.addEventListener('blur', closeSearchDropdown);
+    // Keep the focus in the search box when an option is clicked, so the dropdown is not closed before the click
+    headerElms.searchDropdown.addEventListener('pointerdown', (event) => event.preventDefault());
     headerElms.resetSearchBox.addEventListener('click', resetSearchBoxFilter);
+    headerElms.searchChips.addEventListener('click', async (event) => {
+        const removeButton = event.target.closest('.header__search-chip-remove');
+        if (removeButton) await removeSearchToken(Number(removeButton.dataset.start), Number(removeButton.dataset.end));
+    });
 
     sidebarContainer.addEventListener('click', async (event) => {
-        if (event.target.matches('#reset-type-button')) await resetTypeFilterClick();
-        if (event.target.matches('#reset-color-button')) await resetColorFilterClick();
-        if (event.target.matches('#reset-gender-button')) await resetGenderFilterClick();
+        const resetButton = event.target.closest('.sidebar__filter-button[data-dimension]');
+        if (resetButton) await resetFilterClick(resetButton.dataset.dimension);
+        if (event.target.closest('#reset-ranges-button')) await resetRangesClick();
         if (event.target.matches('#reset-all-button')) resetAllFilters();
+        if (event.target.closest('#clear-cache-button')) await clearCacheClick();
         if (event.target.closest('.sidebar__close-button')) hideSidebar();
     });
 
+    // Registered first, so the include/exclude boxes of an option are consistent before filtering
+    sidebarContainer.querySelector('.sidebar__main-fieldset').addEventListener('change', toggleExclusion);
     sidebarContainer.querySelector('.sidebar__main-fieldset').addEventListener('change', await filterData);
 
+    contentElms.pokedexControl.addEventListener('change', filterData);
+    contentElms.sortControls.addEventListener('change', sortResults);
     contentElms.loadMoreButton.addEventListener('click', loadNextBatch);
+    observeEndOfCards();
+
+    window.addEventListener('scroll', scheduleVisibleCardsUpdate, { passive: true });
+    window.addEventListener('resize', scheduleVisibleCardsUpdate);
+
+    contentElms.cardsContainer.addEventListener('pokemon-select', (event) => navigate(`/pokemon/${event.detail.id}`));
+    contentElms.detailView.addEventListener('detail-navigate', (event) => navigate(`/pokemon/${event.detail.id}`));
+    contentElms.detailView.addEventListener('detail-close', () => navigate('/'));
+
+    headerElms.typeChartButton.addEventListener('click', () => navigate('/types'));
+    contentElms.typeChart.addEventListener('chart-close', () => navigate('/'));
+
+    headerElms.teamButton.addEventListener('click', () => navigate('/team'));
+    contentElms.cardsContainer.addEventListener('team-toggle', (event) => toggleTeamMember(event.detail.id));
+    contentElms.teamPanel.addEventListener('team-close', () => navigate('/'));
+
+    contentElms.cardsContainer.addEventListener('compare-toggle', (event) => toggleComparePokemon(event.detail.id));
+    contentElms.compareButton.addEventListener('click', () => {
+        navigate(`/compare/${getCompareSelection().map(pokemon => pokemon.id).join(',')}`);
+    });
+    contentElms.compareClearButton.addEventListener('click', clearCompareSelection);
+    contentElms.compareView.addEventListener('compare-close', () => navigate('/'));
 
     mobileFilterButton.addEventListener('click', showSidebar);
+
+    // Back/forward between filter states; hash-only changes are handled by the router
+    window.addEventListener('popstate', async () => {
+        if (restoreFiltersFromUrl()) await filterData();
+    });
+
+    renderCacheStats(apiService.getCacheStats());
+    apiService.onCacheStatsChange(renderCacheStats);
+
+    renderTeamMarks();
+    teamService.onChange(renderTeamMarks);
 }
 
 
 /**
- * Loads the initial data for Pokémon, types, colors, and genders, then applies the initial filter.
+ * Loads the initial data for Pokémon, the Pokédexes and the options of the filter dimensions, renders the filters,
+ * then applies the initial filter, which switches to the Pokédex of the URL.
+ * The stats used by the range filters and the names searched in other languages are then loaded in the background.
  * 
  * @returns {Promise<void>} - Resolves when the data has been loaded and the initial filter has been applied.
  */
 const loadInitialData = async () => {
     contentElms.loader.show();
+    renderFilterDimensions(FILTER_DIMENSIONS);
+    renderRangeFilters(RANGE_FILTERS);
+    renderSortControls(SORT_KEYS);
 
     try {
-        await Promise.all([
+        const [pokedexNames] = await Promise.all([
+            getPokedexNames(),
             getPokemonData(),
-            getPokemonTypes(),
-            getPokemonColors(),
-            getPokemonGenders()
+            loadDimensionOptions()
         ]);
 
+        renderPokedexSelect(pokedexNames);
+        renderFilterOptions(FILTER_DIMENSIONS, await getFilterOptions());
+        restoreFiltersFromUrl();
         await filterData();
     } catch (error) {
         console.error('Error loading initial data:', error);
+        return;
     } finally {
         contentElms.loader.hide();
     }
+
+    // Not awaited, the results are usable without them
+    loadPokemonStats(renderStatsProgress).then(loadPokemonNames);
 };
 
 /**
- * Initializes the component by setting up event listeners and loading the initial data.
+ * Registers the routes of the application: `#/` for the results, `#/pokemon/<id or name>` for a Pokémon,
+ * `#/types` for the type chart, `#/team` for the team builder, `#/team/<Pokédex numbers>/<name>` for a shared team
+ * and `#/compare/<ids or names>` for the comparison of 2 to 4 Pokémon.
+ * 
+ * @returns {void} This function does not return any value.
+ */
+const initializeRoutes = () => {
+    registerRoute('/', () => {
+        contentElms.detailView.close();
+        contentElms.typeChart.close();
+        contentElms.teamPanel.close();
+        contentElms.compareView.close();
+    });
+
+    registerRoute('/types', () => contentElms.typeChart.open());
+
+    registerRoute('/pokemon/:id', ({ id }) => {
+        if (!openPokemonDetail(id)) {
+            console.warn(`[router] Unknown Pokémon <${id}>`);
+            navigate('/');
+        }
+    });
+
+    registerRoute('/team', () => contentElms.teamPanel.open());
+
+    // The shared team is saved, then the link is replaced so going back does not add it again
+    const importTeam = ({ members, name = '' }) => {
+        teamService.importTeam(name, members.split(',').filter(hasPokemon));
+        navigate('/team', { replace: true });
+    };
+    registerRoute('/team/:members', importTeam);
+    registerRoute('/team/:members/:name', importTeam);
+
+    registerRoute('/compare/:pokemon', ({ pokemon }) => {
+        if (!openComparison(pokemon.split(','))) {
+            console.warn(`[router] Invalid comparison <${pokemon}>`);
+            navigate('/');
+        }
+    });
+
+    registerNotFound((path) => {
+        console.warn(`[router] Unknown route <${path}>`);
+        navigate('/');
+    });
+}
+
+/**
+ * Initializes the component by setting up event listeners, loading the initial data and opening the linked view.
  * 
  * @returns {Promise<void>}
  */
 const initializeComponent = async () => {
     initializeEventListeners();
+    initializeRoutes();
     await loadInitialData();
+    await startRouter();
 }
 
 // Set up the event to load initial data when the document is loaded.
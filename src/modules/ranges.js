@@ -0,0 +1,119 @@
+/**
+ * @module ranges
+ * @description Range filters of the sidebar, on the base stats, their total, the height and the weight.
+ * The values come from the stats of each Pokémon, loaded in the background, and a range left at one of its
+ * bounds does not filter on that side.
+ */
+
+/**
+ * @typedef {Object} RangeFilter
+ * @property {string} key - Key of the value in the Pokémon stats, e.g. `special-attack`.
+ * @property {string} param - Query string parameter storing the range, e.g. `spa`.
+ * @property {string} label - Translation key of the label.
+ * @property {number} min - Lower bound of the slider.
+ * @property {number} max - Upper bound of the slider.
+ * @property {number} step - Step of the slider.
+ * @property {string} unit - Unit shown after the values, empty for stats.
+ */
+
+/**
+ * @typedef {Object} Range
+ * @property {number|null} min - The minimum value, null when the range is open below.
+ * @property {number|null} max - The maximum value, null when the range is open above.
+ */
+
+/**
+ * Range filters, in sidebar order. The bounds cover the default form of every Pokémon.
+ * @type {Array<RangeFilter>}
+ */
+export const RANGE_FILTERS = [
+    { key: 'hp', param: 'hp', label: 'hp', min: 0, max: 255, step: 1, unit: '' },
+    { key: 'attack', param: 'atk', label: 'attack', min: 0, max: 255, step: 1, unit: '' },
+    { key: 'defense', param: 'def', label: 'defense', min: 0, max: 255, step: 1, unit: '' },
+    { key: 'special-attack', param: 'spa', label: 'special-attack', min: 0, max: 255, step: 1, unit: '' },
+    { key: 'special-defense', param: 'spd', label: 'special-defense', min: 0, max: 255, step: 1, unit: '' },
+    { key: 'speed', param: 'spe', label: 'speed', min: 0, max: 255, step: 1, unit: '' },
+    { key: 'total', param: 'bst', label: 'baseStatTotal', min: 0, max: 800, step: 1, unit: '' },
+    { key: 'height', param: 'height', label: 'height', min: 0, max: 20, step: 0.1, unit: 'm' },
+    { key: 'weight', param: 'weight', label: 'weight', min: 0, max: 1000, step: 0.1, unit: 'kg' }
+];
+
+/**
+ * Returns a range that matches every Pokémon.
+ *
+ * @returns {Range} - The open range.
+ */
+export const createOpenRange = () => ({ min: null, max: null });
+
+/**
+ * Builds the range of a filter from two values, opening each side that is at its bound.
+ *
+ * @param {RangeFilter} filter - The range filter.
+ * @param {number} min - The minimum value.
+ * @param {number} max - The maximum value.
+ * @returns {Range} - The range, with both values within the bounds of the filter.
+ */
+export const createRange = (filter, min, max) => {
+    const clamp = value => Math.min(filter.max, Math.max(filter.min, value));
+    const [low, high] = [clamp(min), clamp(max)].sort((a, b) => a - b);
+
+    return {
+        min: low > filter.min ? low : null,
+        max: high < filter.max ? high : null
+    };
+};
+
+/**
+ * Checks whether a range filters anything.
+ *
+ * @param {Range} range - The range.
+ * @returns {boolean} - True if one of its sides is closed.
+ */
+export const isRangeActive = ({ min, max }) => min !== null || max !== null;
+
+/**
+ * Checks whether any range of a set of ranges filters anything.
+ *
+ * @param {Object<string, Range>} ranges - The range of each filter, by key.
+ * @returns {boolean} - True if one of the ranges is active.
+ */
+export const hasActiveRange = (ranges) => RANGE_FILTERS.some(({ key }) => isRangeActive(ranges[key]));
+
+/**
+ * Checks the stats of a Pokémon against the range of every range filter.
+ * A Pokémon whose stats are not loaded yet only matches when no range is active.
+ *
+ * @param {import('../models/pokemon-details.js').PokemonStats|undefined} stats - The stats of the Pokémon.
+ * @param {Object<string, Range>} ranges - The range of each filter, by key.
+ * @returns {boolean} - True if the Pokémon is within every range.
+ */
+export const matchesRanges = (stats, ranges) => RANGE_FILTERS.every(({ key }) => {
+    const { min, max } = ranges[key];
+
+    if (!isRangeActive(ranges[key])) return true;
+    if (!stats) return false;
+    return (min === null || stats[key] >= min) && (max === null || stats[key] <= max);
+});
+
+/**
+ * Writes a range as `<min>-<max>`, leaving out the open sides, e.g. `100-` or `500-600`.
+ *
+ * @param {Range} range - The range.
+ * @returns {string} - The range, empty when it is not active.
+ */
+export const formatRange = (range) => isRangeActive(range) ? `${range.min ?? ''}-${range.max ?? ''}` : '';
+
+/**
+ * Reads a range written by `formatRange`. Malformed ranges are open.
+ *
+ * @param {RangeFilter} filter - The range filter.
+ * @param {string} text - The range, e.g. `100-`.
+ * @returns {Range} - The range.
+ */
+export const parseRange = (filter, text) => {
+    const match = /^(\d+(?:\.\d+)?)?-(\d+(?:\.\d+)?)?$/.exec(text || '');
+    if (!match) return createOpenRange();
+
+    const [, min = filter.min, max = filter.max] = match;
+    return createRange(filter, Number(min), Number(max));
+};
@@ -0,0 +1,120 @@
+/**
+ * @module router
+ * @description Minimal hash-based router, so views can be linked to and work on static hosting.
+ * Routes look like `#/pokemon/25`; parameters are declared with a colon, e.g. `/pokemon/:id`.
+ */
+
+/**
+ * Registered routes, in registration order.
+ * @type {Array<{pattern: RegExp, keys: Array<string>, handler: Function}>}
+ */
+const routes = [];
+
+/**
+ * Handler called when no route matches the current hash.
+ * @type {Function|null}
+ */
+let notFoundHandler = null;
+
+/**
+ * Registers a route.
+ *
+ * @param {string} path - The route path, e.g. `/pokemon/:id`.
+ * @param {Function} handler - Called with the decoded route parameters when the route becomes active.
+ * @returns {void}
+ */
+export const registerRoute = (path, handler) => {
+    const keys = [];
+    const source = path.replace(/:(\w+)/g, (_, key) => {
+        keys.push(key);
+        return '([^/]+)';
+    });
+
+    routes.push({ pattern: new RegExp(`^${source}/?$`), keys, handler });
+};
+
+/**
+ * Registers the handler called when no route matches.
+ *
+ * @param {Function} handler - Called with the unmatched path.
+ * @returns {void}
+ */
+export const registerNotFound = (handler) => {
+    notFoundHandler = handler;
+};
+
+/**
+ * Returns the path of the current hash, `/` when there is none.
+ *
+ * @returns {string} - The current route path.
+ */
+export const getCurrentPath = () => location.hash.replace(/^#/, '') || '/';
+
+/**
+ * Navigates to a route path, adding a history entry. Does nothing if the path is already active.
+ *
+ * @param {string} path - The route path, e.g. `/pokemon/25`.
+ * @param {Object} [options={}] - Navigation options.
+ * @param {boolean} [options.replace=false] - Replaces the current history entry instead of adding one.
+ * @returns {void}
+ */
+export const navigate = (path, { replace = false } = {}) => {
+    if (getCurrentPath() === path) return;
+
+    if (replace) {
+        location.replace(`${location.pathname}${location.search}#${path}`);
+    } else {
+        location.hash = path;
+    }
+};
+
+/**
+ * Decodes the parameters of a matched route.
+ *
+ * @param {Array<string>} keys - The names of the parameters.
+ * @param {Array<string>} match - The match of the route pattern.
+ * @returns {Object<string, string>|null} - The decoded parameters, null if one is malformed, e.g. `%E0`.
+ */
+const decodeParams = (keys, match) => {
+    try {
+        return Object.fromEntries(keys.map((key, index) => [key, decodeURIComponent(match[index + 1])]));
+    } catch (error) {
+        console.warn(`[decodeParams] Malformed route parameter in <${match[0]}>:`, error);
+        return null;
+    }
+};
+
+/**
+ * Runs the handler of the route matching the current hash.
+ * Paths with a malformed parameter are handled as unknown routes.
+ *
+ * @returns {Promise<void>} - Resolves when the route handler has finished.
+ */
+const handleRoute = async () => {
+    const path = getCurrentPath();
+
+    for (const { pattern, keys, handler } of routes) {
+        const match = path.match(pattern);
+        if (match) {
+            const params = decodeParams(keys, match);
+            if (!params) break;
+
+            await handler(params);
+            return;
+        }
+    }
+
+    if (notFoundHandler) {
+        await notFoundHandler(path);
+    }
+};
+
+/**
+ * Starts listening to hash changes and handles the current route.
+ *
+ * @returns {Promise<void>} - Resolves when the initial route has been handled.
+ */
+export const startRouter = async () => {
+    window.addEventListener('hashchange', handleRoute);
+    await handleRoute();
+};
@@ -0,0 +1,344 @@
+/**
+ * @module search-index
+ * @description Name search with relevance ranking and typo tolerance.
+ * Each Pokémon is found by its name, its names in other languages once loaded (`pokemon.names`),
+ * or its number in the selected or the national Pokédex.
+ * Names are compared without case, accents, spaces or punctuation, so `mr mime` finds `mr-mime`.
+ * Matches are ranked exact, then prefix, then substring, then fuzzy, i.e. within a small edit distance,
+ * the closest fuzzy matches first.
+ */
+
+/**
+ * @typedef {Object} SearchMatch
+ * @property {number} tier - 0 for an exact match, 1 for a prefix, 2 for a substring, 3 for a fuzzy match.
+ * @property {number} distance - Edit distance of a fuzzy match, 0 otherwise.
+ * @property {string} name - The matched name as written, e.g. `Mr. Mime` or `ピカチュウ`, or the number.
+ * @property {Array<Array<number>>} highlights - `[start, end)` ranges of the matched characters in `name`.
+ */
+
+/**
+ * @typedef {Object} IndexedName
+ * @property {string} name - The name as written.
+ * @property {string} key - The name without case, accents, spaces or punctuation.
+ * @property {Array<number>} positions - Index in `name` of each character of `key`.
+ */
+
+/**
+ * Tiers of the matches, best first.
+ * @type {Object<string, number>}
+ */
+export const MATCH_TIERS = { exact: 0, prefix: 1, substring: 2, fuzzy: 3 };
+
+/**
+ * Shortest search text matched with typos, shorter ones match too many names.
+ * @type {number}
+ */
+const FUZZY_MIN_LENGTH = 3;
+
+/**
+ * Indexed names of each Pokémon, rebuilt when its alternate names are loaded.
+ * @type {WeakMap<Object, {source: Array<string>|undefined, names: Array<IndexedName>}>}
+ */
+const indexedNames = new WeakMap();
+
+/**
+ * Reduces a character to what is compared: lowercase, without accents, and nothing for spaces and punctuation.
+ *
+ * @param {string} char - The character.
+ * @returns {string} - The compared characters, usually one or none.
+ */
+const normalizeChar = (char) => char.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+
+/**
+ * Reduces a text to what is compared, see `normalizeChar`.
+ *
+ * @param {string} text - The text, e.g. `Mr. Mime`.
+ * @returns {string} - The compared text, e.g. `mrmime`.
+ */
+export const normalizeSearchText = (text) => [...text].map(normalizeChar).join('');
+
+/**
+ * Indexes a name, keeping where each compared character comes from to highlight it.
+ *
+ * @param {string} name - The name.
+ * @returns {IndexedName} - The indexed name.
+ */
+const indexName = (name) => {
+    let key = '';
+    const positions = [];
+    let index = 0;
+
+    for (const char of name) {
+        const normalized = normalizeChar(char);
+        key += normalized;
+        positions.push(...Array(normalized.length).fill(index));
+        index += char.length;
+    }
+
+    return { name, key, positions };
+};
+
+/**
+ * Returns the indexed names of a Pokémon: its name first, then its other names.
+ *
+ * @param {Object} pokemon - The Pokémon.
+ * @returns {Array<IndexedName>} - The indexed names.
+ */
+const getIndexedNames = (pokemon) => {
+    const cached = indexedNames.get(pokemon);
+    if (cached && cached.source === pokemon.names) {
+        return cached.names;
+    }
+
+    const names = [...new Set([pokemon.name, ...(pokemon.names || [])])].map(indexName);
+    indexedNames.set(pokemon, { source: pokemon.names, names });
+    return names;
+};
+
+/**
+ * Tells whether more characters of a text than allowed are missing from another text, counting repeated characters.
+ * Each edit removes at most one character of the text, so this rules out a typo match without computing the distance.
+ *
+ * @param {string} text - The compared search text.
+ * @param {string} key - The compared key of a name.
+ * @param {number} maxMissing - The number of missing characters allowed.
+ * @returns {boolean} - True if more characters than allowed are missing.
+ */
+const hasTooManyMissing = (text, key, maxMissing) => {
+    const available = [...key];
+    let missing = 0;
+
+    for (const char of text) {
+        const index = available.indexOf(char);
+        if (index !== -1) {
+            available[index] = '';
+        } else if (++missing > maxMissing) {
+            return true;
+        }
+    }
+
+    return false;
+};
+
+/**
+ * Computes the optimal string alignment distances of a text to each beginning of another text: insertions, deletions,
+ * substitutions and swaps of adjacent characters each count as one edit.
+ * Only distances up to `maxDistance` are computed, in a band around the diagonal kept in three reused rows,
+ * and the computation stops as soon as every distance exceeds it.
+ *
+ * @param {string} a - A text.
+ * @param {string} b - Another text.
+ * @param {number} maxDistance - The largest distance of interest, larger ones are reported as `maxDistance + 1`.
+ * @returns {Array<number>|null} - The distance of `a` to `b.slice(0, j)` at index `j`, up to `a.length + maxDistance`,
+ * or null when every distance exceeds `maxDistance`.
+ */
+const editDistances = (a, b, maxDistance) => {
+    const limit = maxDistance + 1;
+    const width = Math.min(b.length, a.length + maxDistance) + 1;
+    let beforePrevious = new Array(width);
+    let previous = Array.from({ length: width }, (_, j) => Math.min(j, limit));
+    let current = new Array(width);
+
+    for (let i = 1; i <= a.length; i++) {
+        current.fill(limit);
+        current[0] = Math.min(i, limit);
+        let rowMin = current[0];
+
+        for (let j = Math.max(1, i - maxDistance); j <= Math.min(width - 1, i + maxDistance); j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let distance = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                distance = Math.min(distance, beforePrevious[j - 2] + 1);
+            }
+
+            current[j] = Math.min(distance, limit);
+            rowMin = Math.min(rowMin, current[j]);
+        }
+
+        if (rowMin >= limit) {
+            return null;
+        }
+        [beforePrevious, previous, current] = [previous, current, beforePrevious];
+    }
+
+    return previous;
+};
+
+/**
+ * Groups character indexes into `[start, end)` ranges of consecutive characters.
+ *
+ * @param {Array<number>} indexes - The character indexes, in ascending order.
+ * @returns {Array<Array<number>>} - The ranges.
+ */
+const toRanges = (indexes) => indexes.reduce((ranges, index) => {
+    const last = ranges[ranges.length - 1];
+    if (last && last[1] === index) {
+        last[1] = index + 1;
+    } else {
+        ranges.push([index, index + 1]);
+    }
+    return ranges;
+}, []);
+
+/**
+ * Returns the highlighted ranges of a part of the compared key of a name.
+ *
+ * @param {IndexedName} indexedName - The indexed name.
+ * @param {number} start - Start of the part in the key.
+ * @param {number} end - End of the part in the key.
+ * @returns {Array<Array<number>>} - The ranges in the name.
+ */
+const highlightKey = ({ positions }, start, end) => toRanges([...new Set(positions.slice(start, end))]);
+
+/**
+ * Returns the highlighted ranges of a fuzzy match: the characters of the search text found in order in the name.
+ *
+ * @param {IndexedName} indexedName - The indexed name.
+ * @param {string} text - The compared search text.
+ * @returns {Array<Array<number>>} - The ranges in the name.
+ */
+const highlightFuzzy = (indexedName, text) => {
+    const matched = [];
+    let from = 0;
+
+    for (const char of text) {
+        const index = indexedName.key.indexOf(char, from);
+        if (index !== -1) {
+            matched.push(indexedName.positions[index]);
+            from = index + 1;
+        }
+    }
+
+    return toRanges([...new Set(matched)]);
+};
+
+/**
+ * Matches a compared search text with a name.
+ *
+ * @param {IndexedName} indexedName - The indexed name.
+ * @param {string} text - The compared search text.
+ * @param {boolean} fuzzy - Whether to try typos when the name does not contain the text.
+ * @returns {SearchMatch|null} - The match, null when the name does not match.
+ */
+const matchName = (indexedName, text, fuzzy) => {
+    const { name, key } = indexedName;
+    const index = key.indexOf(text);
+
+    if (index !== -1) {
+        const tier = key === text ? MATCH_TIERS.exact : index === 0 ? MATCH_TIERS.prefix : MATCH_TIERS.substring;
+        return { tier, distance: 0, name, highlights: highlightKey(indexedName, index, index + text.length) };
+    }
+
+    if (!fuzzy || text.length < FUZZY_MIN_LENGTH) {
+        return null;
+    }
+
+    // Typos in the whole name or in its beginning, as the name is usually being typed
+    const maxDistance = text.length <= 5 ? 1 : 2;
+    if (key.length < text.length - maxDistance || hasTooManyMissing(text, key, maxDistance)) {
+        return null;
+    }
+
+    const distances = editDistances(text, key, maxDistance);
+    if (!distances) {
+        return null;
+    }
+
+    const lengths = [key.length, ...[-1, 0, 1].map(delta => Math.min(key.length, text.length + delta))]
+        .filter(length => Math.abs(length - text.length) <= maxDistance);
+    const distance = Math.min(...lengths.map(length => distances[length]));
+
+    return distance <= maxDistance ? { tier: MATCH_TIERS.fuzzy, distance, name, highlights: highlightFuzzy(indexedName, text) } : null;
+};
+
+/**
+ * Matches a search text made of digits with a number of a Pokémon.
+ *
+ * @param {string} number - The number, e.g. `25`.
+ * @param {string} text - The compared search text.
+ * @returns {SearchMatch|null} - The match, null when the number does not contain the text.
+ */
+const matchNumber = (number, text) => {
+    const index = number.indexOf(text);
+    if (index === -1) return null;
+
+    const tier = number === text ? MATCH_TIERS.exact : index === 0 ? MATCH_TIERS.prefix : MATCH_TIERS.substring;
+    return { tier, distance: 0, name: number, highlights: [[index, index + text.length]] };
+};
+
+/**
+ * Matches a search text with a Pokémon, on its best matching number or name.
+ * The numbers are its entry number in the selected Pokédex and its national Pokédex number.
+ *
+ * @param {Object} pokemon - The Pokémon.
+ * @param {string} text - The compared search text.
+ * @param {boolean} fuzzy - Whether to try typos.
+ * @returns {SearchMatch|null} - The best match, null when the Pokémon does not match.
+ */
+const matchPokemon = (pokemon, text, fuzzy) => {
+    const candidates = /^\d+$/.test(text)
+        ? [...new Set([pokemon.number ?? pokemon.id, pokemon.id])].map(number => matchNumber(String(number), text))
+        : getIndexedNames(pokemon).map(indexedName => matchName(indexedName, text, fuzzy));
+
+    return candidates
+        .filter(Boolean)
+        .reduce((best, match) => !best || compareMatches(match, best) < 0 ? match : best, null);
+};
+
+/**
+ * Compares two matches by relevance.
+ *
+ * @param {SearchMatch} a - A match.
+ * @param {SearchMatch} b - Another match.
+ * @returns {number} - Negative if `a` is more relevant, positive if `b` is, 0 for a tie.
+ */
+const compareMatches = (a, b) => a.tier - b.tier || a.distance - b.distance;
+
+/**
+ * Finds the Pokémon matching a search text, with typos too. Fuzzy matches are kept even when other names match,
+ * to be ranked after them with `rankByRelevance`, so a short list of substring matches still shows close typos.
+ *
+ * @param {Array<Object>} pokemonList - The Pokémon to search.
+ * @param {string} text - The search text, e.g. `mr mime`.
+ * @param {Object} [options={}] - Search options.
+ * @param {boolean} [options.fuzzy=true] - Whether to try typos.
+ * @returns {Map<Object, SearchMatch>} - The match of each matching Pokémon.
+ */
+export const findMatches = (pokemonList, text, { fuzzy = true } = {}) => {
+    const key = normalizeSearchText(text);
+    const matches = new Map();
+
+    if (key === '') {
+        pokemonList.forEach(pokemon => matches.set(pokemon, { tier: MATCH_TIERS.exact, distance: 0, name: pokemon.name, highlights: [] }));
+        return matches;
+    }
+
+    pokemonList.forEach(pokemon => {
+        const match = matchPokemon(pokemon, key, fuzzy);
+        if (match) matches.set(pokemon, match);
+    });
+
+    return matches;
+};
+
+/**
+ * Ranks Pokémon by relevance to search texts: by the sum of the tiers of their matches, then by edit distance.
+ * Ties keep their order in the list.
+ *
+ * @param {Array<Object>} pokemonList - The Pokémon matching every search text.
+ * @param {Array<Map<Object, SearchMatch>>} matchesByText - The matches of each search text, see `findMatches`.
+ * @returns {Array<{pokemon: Object, match: SearchMatch|null}>} - The ranked Pokémon, with the match of the first text.
+ */
+export const rankByRelevance = (pokemonList, matchesByText) => pokemonList
+    .map(pokemon => {
+        const matches = matchesByText.map(matches => matches.get(pokemon)).filter(Boolean);
+        return {
+            pokemon,
+            match: matches[0] || null,
+            tier: matches.reduce((sum, match) => sum + match.tier, 0),
+            distance: matches.reduce((sum, match) => sum + match.distance, 0)
+        };
+    })
+    .sort((a, b) => compareMatches(a, b))
+    .map(({ pokemon, match }) => ({ pokemon, match }));
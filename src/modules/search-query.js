@@ -0,0 +1,261 @@
+/**
+ * @module search-query
+ * @description Query language of the header search box, e.g. `type:fire type:flying color:red gen:1 spe>100 -legendary`.
+ *
+ * - `<filter>:<option>` picks an option of a sidebar filter, by its URL parameter or its name (`type`, `gen`, `egg`...).
+ *   Options separated by commas match any of them (`type:fire,water`), repeated filters match all of them
+ *   (`type:fire type:flying`), and a leading `-` excludes them (`-type:water`).
+ * - `<stat><op><value>` compares a stat of the range filters, with `>`, `>=`, `<`, `<=` or `=` (`spe>100`, `height<=1.5`),
+ *   and `<stat>:<min>-<max>` keeps a range (`bst:500-600`), either side being optional.
+ * - `#<id>` or `#<from>-<to>` keeps national Pokédex numbers (`#1-151`).
+ * - `legendary` and `mythical` are short for `status:legendary` and `status:mythical`.
+ * - Any other word is searched in the names and numbers, see the `search-index` module, quoted to keep spaces
+ *   (`"mr mime"`), or excluded with `-`.
+ *
+ * Invalid tokens are reported with an error and ignored, so the rest of the query still applies.
+ */
+
+import { formatLabel } from '../config/i18n.js';
+import { FILTER_DIMENSIONS, getOptionNames } from './dimensions.js';
+import { RANGE_FILTERS, createOpenRange, parseRange } from './ranges.js';
+
+/**
+ * @typedef {Object} QueryToken
+ * @property {string} text - The token as typed, e.g. `-type:water`.
+ * @property {number} start - Index of the token in the query.
+ * @property {number} end - Index after the token in the query.
+ * @property {boolean} isFilter - Whether the token is more than a plain word, i.e. is shown as a chip.
+ * @property {string|null} error - Why the token is invalid, null when it is valid.
+ */
+
+/**
+ * @typedef {Object} ParsedQuery
+ * @property {Array<QueryToken>} tokens - The tokens, in query order.
+ * @property {Array<{value: string, negated: boolean}>} terms - The words searched in the names and numbers, lowercase.
+ * @property {{include: Array<{min: number, max: number}>, exclude: Array<{min: number, max: number}>}} ids - National Pokédex number ranges.
+ * @property {Array<{key: string, selection: import('./dimensions.js').Selection}>} filters - Selections of the filter
+ * dimensions, all of which have to match.
+ * @property {Object<string, import('./ranges.js').Range>} ranges - The range of each range filter, by key.
+ */
+
+/**
+ * Dimension whose options can be typed as bare words, e.g. `legendary`.
+ * @type {string}
+ */
+const FLAG_DIMENSION = 'status';
+
+/**
+ * Roman numerals of the generations, so `gen:1` can be typed for `generation-i`.
+ * @type {Array<string>}
+ */
+const ROMAN_NUMERALS = ['i', 'ii', 'iii', 'iv', 'v', 'vi', 'vii', 'viii', 'ix', 'x', 'xi', 'xii'];
+
+/**
+ * Splits a query into tokens separated by whitespace. Quoted parts keep their spaces, and an unclosed quote
+ * runs to the end of the query.
+ *
+ * @param {string} text - The query.
+ * @returns {Array<{text: string, start: number, end: number}>} - The tokens and their position in the query.
+ */
+const tokenize = (text) => [...text.matchAll(/(?:[^\s"]+|"[^"]*"?)+/g)]
+    .map(match => ({ text: match[0], start: match.index, end: match.index + match[0].length }));
+
+/**
+ * Removes the quotes of a value.
+ *
+ * @param {string} value - The value, e.g. `"mr mime"`.
+ * @returns {string} - The unquoted value.
+ */
+const unquote = (value) => value.replace(/"/g, '');
+
+/**
+ * Returns the filter dimension typed in a token, by its URL parameter or its name.
+ *
+ * @param {string} key - The key, e.g. `gen` or `generation`.
+ * @returns {import('./dimensions.js').FilterDimension|undefined} - The dimension.
+ */
+const findDimension = (key) => FILTER_DIMENSIONS.find(dimension => dimension.param === key || dimension.name === key);
+
+/**
+ * Returns the range filter typed in a token, by its URL parameter or its key.
+ *
+ * @param {string} key - The key, e.g. `spe` or `speed`.
+ * @returns {import('./ranges.js').RangeFilter|undefined} - The range filter.
+ */
+const findRangeFilter = (key) => RANGE_FILTERS.find(filter => filter.param === key || filter.key === key);
+
+/**
+ * Returns the option of a dimension matching a typed value. Generations can also be typed by number or numeral.
+ *
+ * @param {import('./dimensions.js').FilterDimension} dimension - The dimension.
+ * @param {string} value - The typed value, e.g. `fire`, `1` or `iv`.
+ * @returns {string|undefined} - The option, e.g. `generation-i`.
+ */
+const findOption = (dimension, value) => {
+    const options = getOptionNames(dimension);
+    const normalized = value.toLowerCase().replace(/\s+/g, '-');
+    const numeral = /^\d+$/.test(normalized) ? ROMAN_NUMERALS[Number(normalized) - 1] : normalized;
+
+    return options.find(option => option === normalized || option === `${dimension.name}-${numeral}`);
+};
+
+/**
+ * Lists the keys that can be typed before `:`, for the error of an unknown key.
+ *
+ * @returns {string} - The keys, separated by commas.
+ */
+const listKeys = () => [...FILTER_DIMENSIONS.map(({ param }) => param), ...RANGE_FILTERS.map(({ param }) => param), 'name'].join(', ');
+
+/**
+ * Reads a stat comparison into a range, e.g. `spe>100` into `{ min: 101, max: null }`.
+ *
+ * @param {import('./ranges.js').RangeFilter} filter - The range filter.
+ * @param {string} operator - The operator.
+ * @param {number} value - The value.
+ * @returns {import('./ranges.js').Range} - The range, with `null` for the open sides.
+ */
+const comparisonToRange = (filter, operator, value) => {
+    // Strict comparisons move by one step; rounding avoids values such as 1.6000000000000001
+    const decimals = String(filter.step).split('.')[1]?.length ?? 0;
+    const offset = (delta) => Number((value + delta).toFixed(decimals));
+
+    switch (operator) {
+        case '>': return { min: offset(filter.step), max: null };
+        case '>=': return { min: value, max: null };
+        case '<': return { min: null, max: offset(-filter.step) };
+        case '<=': return { min: null, max: value };
+        default: return { min: value, max: value };
+    }
+};
+
+/**
+ * Narrows a range with another one. The result can be empty, i.e. have its minimum above its maximum.
+ *
+ * @param {import('./ranges.js').Range} range - The range.
+ * @param {import('./ranges.js').Range} other - The other range.
+ * @returns {import('./ranges.js').Range} - The values in both ranges.
+ */
+const intersectRanges = (range, other) => {
+    const pick = (a, b, fn) => a === null ? b : b === null ? a : fn(a, b);
+    return { min: pick(range.min, other.min, Math.max), max: pick(range.max, other.max, Math.min) };
+};
+
+/**
+ * Parses a search query.
+ *
+ * @param {string} text - The query typed in the search box.
+ * @returns {ParsedQuery} - The parsed query.
+ */
+export const parseSearchQuery = (text) => {
+    const query = {
+        tokens: [],
+        terms: [],
+        ids: { include: [], exclude: [] },
+        filters: [],
+        ranges: Object.fromEntries(RANGE_FILTERS.map(({ key }) => [key, createOpenRange()]))
+    };
+
+    tokenize(text).forEach(({ text: tokenText, start, end }) => {
+        const addToken = (isFilter, error = null) => query.tokens.push({ text: tokenText, start, end, isFilter, error });
+
+        const negated = tokenText.length > 1 && tokenText.startsWith('-');
+        const body = negated ? tokenText.slice(1) : tokenText;
+
+        // #25 or #1-151
+        const idMatch = /^#(\d+)(?:-(\d+))?$/.exec(body);
+        if (idMatch) {
+            const [from, to = from] = idMatch.slice(1).filter(Boolean).map(Number);
+            query.ids[negated ? 'exclude' : 'include'].push({ min: Math.min(from, to), max: Math.max(from, to) });
+            addToken(true);
+            return;
+        }
+        if (body.startsWith('#')) {
+            addToken(true, formatLabel('invalidNumberToken', { token: tokenText }));
+            return;
+        }
+
+        // spe>100
+        const comparison = /^([a-z-]+)(>=|<=|>|<|=)(.*)$/i.exec(body);
+        if (comparison) {
+            const [, key, operator, value] = comparison;
+            const filter = findRangeFilter(key.toLowerCase());
+
+            if (!filter) {
+                addToken(true, formatLabel('unknownStat', { key, token: tokenText, keys: RANGE_FILTERS.map(({ param }) => param).join(', ') }));
+            } else if (negated) {
+                addToken(true, formatLabel('notNegatable', { token: tokenText }));
+            } else if (!/^\d+(?:\.\d+)?$/.test(value)) {
+                addToken(true, formatLabel('notANumber', { value, token: tokenText }));
+            } else {
+                query.ranges[filter.key] = intersectRanges(query.ranges[filter.key], comparisonToRange(filter, operator, Number(value)));
+                addToken(true);
+            }
+            return;
+        }
+
+        // type:fire, gen:1,2, bst:500-600 or name:"mr mime"
+        const keyValue = /^([a-z-]+):(.*)$/i.exec(body);
+        if (keyValue) {
+            const [, key, rawValue] = keyValue;
+            const value = unquote(rawValue);
+            const dimension = findDimension(key.toLowerCase());
+            const filter = findRangeFilter(key.toLowerCase());
+
+            if (value === '') {
+                addToken(true, formatLabel('missingValue', { token: tokenText }));
+            } else if (key.toLowerCase() === 'name') {
+                query.terms.push({ value: value.toLowerCase(), negated });
+                addToken(true);
+            } else if (filter) {
+                const isNumber = /^\d+(?:\.\d+)?$/.test(value);
+                const isRange = /^(?:\d+(?:\.\d+)?)?-(?:\d+(?:\.\d+)?)?$/.test(value) && value !== '-';
+
+                if (negated || (!isNumber && !isRange)) {
+                    addToken(true, formatLabel('invalidRange', { token: tokenText, param: filter.param }));
+                } else {
+                    const range = isNumber ? comparisonToRange(filter, '=', Number(value)) : parseRange(filter, value);
+                    query.ranges[filter.key] = intersectRanges(query.ranges[filter.key], range);
+                    addToken(true);
+                }
+            } else if (!dimension) {
+                addToken(true, formatLabel('unknownFilter', { key, token: tokenText, keys: listKeys() }));
+            } else {
+                const values = value.split(',').filter(Boolean);
+                const options = values.map(elm => findOption(dimension, elm));
+                const unknown = values.filter((elm, index) => !options[index]);
+
+                if (unknown.length > 0) {
+                    addToken(true, formatLabel('unknownOption', { param: dimension.param, options: unknown.join('", "'), token: tokenText }));
+                } else {
+                    query.filters.push({
+                        key: dimension.key,
+                        selection: { include: negated ? [] : options, exclude: negated ? options : [], mode: 'any' }
+                    });
+                    addToken(true);
+                }
+            }
+            return;
+        }
+
+        // legendary or -mythical
+        const flagDimension = FILTER_DIMENSIONS.find(dimension => dimension.key === FLAG_DIMENSION);
+        const flag = !body.includes('"') && flagDimension ? getOptionNames(flagDimension).find(option => option === body.toLowerCase()) : undefined;
+        if (flag) {
+            query.filters.push({
+                key: flagDimension.key,
+                selection: { include: negated ? [] : [flag], exclude: negated ? [flag] : [], mode: 'any' }
+            });
+            addToken(true);
+            return;
+        }
+
+        // Plain or quoted word
+        const value = unquote(body).toLowerCase().trim();
+        if (value !== '') {
+            query.terms.push({ value, negated });
+        }
+        addToken(body.includes('"'));
+    });
+
+    return query;
+};
@@ -0,0 +1,155 @@
+/**
+ * @module sorting
+ * @description Sort order of the results: a primary key and an optional secondary key for ties, each ascending
+ * or descending. Stats are loaded in the background, so Pokémon without them always come last.
+ */
+
+import { RANGE_FILTERS } from './ranges.js';
+
+/**
+ * @typedef {Object} SortKey
+ * @property {string} key - Name of the key, e.g. `total`.
+ * @property {string} param - Value of the key in the query string, e.g. `bst`.
+ * @property {string} label - Translation key of the label.
+ * @property {Function} getValue - Returns the value of a Pokémon, undefined when it is not loaded.
+ * @property {boolean} usesStats - Whether the value comes from the stats loaded in the background.
+ */
+
+/**
+ * @typedef {Object} SortOrder
+ * @property {string} key - Name of the sort key.
+ * @property {string} direction - `asc` or `desc`.
+ */
+
+/**
+ * @typedef {Object} Sort
+ * @property {SortOrder} primary - The main sort order.
+ * @property {SortOrder|null} secondary - The order of Pokémon with the same primary value, null for none.
+ */
+
+/**
+ * Prefix of the descending keys in the query string, e.g. `-bst`.
+ * @type {string}
+ */
+const DESCENDING_PREFIX = '-';
+
+/**
+ * Sort keys, in the order of the sort control: the number in the selected Pokédex, the name, and the value of each range filter.
+ * @type {Array<SortKey>}
+ */
+export const SORT_KEYS = [
+    { key: 'number', param: 'number', label: 'number', getValue: pokemon => pokemon.number ?? pokemon.id, usesStats: false },
+    { key: 'name', param: 'name', label: 'name', getValue: pokemon => pokemon.name, usesStats: false },
+    ...RANGE_FILTERS.map(({ key, param, label }) => ({
+        key, param, label, getValue: pokemon => pokemon.stats?.[key], usesStats: true
+    }))
+];
+
+/**
+ * Returns the default sort order: by number in the selected Pokédex, ascending.
+ *
+ * @returns {Sort} - The default sort.
+ */
+export const createDefaultSort = () => ({ primary: { key: 'number', direction: 'asc' }, secondary: null });
+
+/**
+ * Returns a sort key by name.
+ *
+ * @param {string} key - The name of the key.
+ * @returns {SortKey|undefined} - The sort key.
+ */
+const getSortKey = (key) => SORT_KEYS.find(elm => elm.key === key);
+
+/**
+ * Returns the sort orders of a sort that apply, skipping a secondary key equal to the primary one.
+ *
+ * @param {Sort} sort - The sort.
+ * @returns {Array<SortOrder>} - The sort orders, primary first.
+ */
+const getSortOrders = ({ primary, secondary }) => secondary && secondary.key !== primary.key ? [primary, secondary] : [primary];
+
+/**
+ * Compares two Pokémon on a sort order. Missing values come last whatever the direction.
+ *
+ * @param {Object} a - A Pokémon.
+ * @param {Object} b - Another Pokémon.
+ * @param {SortOrder} order - The sort order.
+ * @returns {number} - Negative if `a` comes first, positive if `b` does, 0 for a tie.
+ */
+const compareBy = (a, b, { key, direction }) => {
+    const { getValue } = getSortKey(key);
+    const [valueA, valueB] = [getValue(a), getValue(b)];
+
+    if (valueA === undefined || valueB === undefined) {
+        return (valueA === undefined) - (valueB === undefined);
+    }
+
+    const result = typeof valueA === 'string' ? valueA.localeCompare(valueB) : valueA - valueB;
+    return direction === 'desc' ? -result : result;
+};
+
+/**
+ * Sorts a list of Pokémon. Ties left by the sort keys are in national Pokédex order, so sorting an already
+ * sorted list gives the same result as sorting the unsorted one.
+ *
+ * @param {Array<Object>} pokemonList - The Pokémon to sort.
+ * @param {Sort} sort - The sort.
+ * @returns {Array<Object>} - A sorted copy of the list.
+ */
+export const sortPokemon = (pokemonList, sort) => {
+    const orders = getSortOrders(sort);
+
+    return [...pokemonList].sort((a, b) => {
+        for (const order of orders) {
+            const result = compareBy(a, b, order);
+            if (result !== 0) return result;
+        }
+        return a.id - b.id;
+    });
+};
+
+/**
+ * Checks whether a sort needs the stats loaded in the background.
+ *
+ * @param {Sort} sort - The sort.
+ * @returns {boolean} - True if one of its keys comes from the stats.
+ */
+export const sortUsesStats = (sort) => getSortOrders(sort).some(({ key }) => getSortKey(key).usesStats);
+
+/**
+ * Writes a sort as its keys separated by a comma, descending ones prefixed with `-`, e.g. `-bst,name`.
+ *
+ * @param {Sort} sort - The sort.
+ * @returns {string} - The sort, empty for the default one.
+ */
+export const formatSort = (sort) => {
+    const orders = getSortOrders(sort);
+    const [{ key, direction }] = orders;
+
+    if (orders.length === 1 && key === 'number' && direction === 'asc') {
+        return '';
+    }
+
+    return orders
+        .map(order => `${order.direction === 'desc' ? DESCENDING_PREFIX : ''}${getSortKey(order.key).param}`)
+        .join(',');
+};
+
+/**
+ * Reads a sort written by `formatSort`. Unknown keys are ignored.
+ *
+ * @param {string|null} text - The sort, e.g. `-bst,name`.
+ * @returns {Sort} - The sort, the default one when no key is known.
+ */
+export const parseSort = (text) => {
+    const [primary = null, secondary = null] = (text || '').split(',')
+        .map(value => {
+            const direction = value.startsWith(DESCENDING_PREFIX) ? 'desc' : 'asc';
+            const param = direction === 'desc' ? value.slice(DESCENDING_PREFIX.length) : value;
+            const sortKey = SORT_KEYS.find(elm => elm.param === param);
+            return sortKey ? { key: sortKey.key, direction } : null;
+        })
+        .filter(Boolean);
+
+    return primary ? { primary, secondary } : createDefaultSort();
+};
@@ -0,0 +1,77 @@
+/**
+ * @module team-analysis
+ * @description Type analysis of a team: how each attacking type hits its Pokémon, the weaknesses they share,
+ * and the types their own types hit super effectively. It works on the type chart and has no DOM access.
+ */
+
+import { getMultiplier } from './type-matchups.js';
+
+/**
+ * Number of Pokémon weak to a type from which the weakness is shared by the team.
+ * @type {number}
+ */
+const SHARED_WEAKNESS_COUNT = 2;
+
+/**
+ * @typedef {Object} TeamMemberTypes
+ * @property {number} id - The national Pokédex number of the Pokémon.
+ * @property {Array<string>} types - Its type names, in slot order.
+ */
+
+/**
+ * @typedef {Object} TypeDefense
+ * @property {string} type - The attacking type.
+ * @property {number} weak - The number of Pokémon taking more than normal damage from it.
+ * @property {number} resist - The number of Pokémon taking less than normal damage from it.
+ * @property {number} immune - The number of Pokémon taking no damage from it.
+ */
+
+/**
+ * @typedef {Object} TeamAnalysis
+ * @property {Array<TypeDefense>} defense - How each attacking type hits the team, in type order.
+ * @property {Array<string>} sharedWeaknesses - The types several Pokémon are weak to and fewer resist,
+ * the most common weakness first.
+ * @property {Array<{type: string, attackers: Array<string>}>} coverage - For each defending type, the types of the
+ * team that hit it super effectively.
+ * @property {Array<string>} uncovered - The types none of the team's types hit super effectively.
+ */
+
+/**
+ * Analyses the types of a team.
+ *
+ * @param {Array<TeamMemberTypes>} members - The types of each Pokémon of the team.
+ * @param {import('./type-matchups.js').TypeChart} chart - The type chart, giving the order of the results.
+ * @returns {TeamAnalysis} - The analysis.
+ */
+export const analyzeTeam = (members, chart) => {
+    const { types } = chart;
+
+    const defense = types.map(type => {
+        const multipliers = members.map(member => getMultiplier(chart, type, member.types));
+        return {
+            type,
+            weak: multipliers.filter(multiplier => multiplier > 1).length,
+            resist: multipliers.filter(multiplier => multiplier > 0 && multiplier < 1).length,
+            immune: multipliers.filter(multiplier => multiplier === 0).length
+        };
+    });
+
+    const sharedWeaknesses = defense
+        .filter(({ weak, resist, immune }) => weak >= SHARED_WEAKNESS_COUNT && weak > resist + immune)
+        .sort((a, b) => b.weak - a.weak)
+        .map(({ type }) => type);
+
+    // Only the team's own types are known, so coverage is worked out from same-type attacks
+    const attackTypes = [...new Set(members.flatMap(member => member.types))];
+    const coverage = types.map(type => ({
+        type,
+        attackers: attackTypes.filter(attackType => getMultiplier(chart, attackType, [type]) > 1)
+    }));
+
+    return {
+        defense,
+        sharedWeaknesses,
+        coverage,
+        uncovered: coverage.filter(({ attackers }) => attackers.length === 0).map(({ type }) => type)
+    };
+};
@@ -0,0 +1,125 @@
+/**
+ * @module type-matchups
+ * @description Type effectiveness: the damage multiplier of every attacking type against every defending type,
+ * worked out from the damage relations of the `/type` endpoint, and the matchups of single and dual types.
+ */
+
+import apiService from '../services/api-service.js';
+
+/**
+ * @typedef {Object} TypeChart
+ * @property {Array<string>} types - The types, in API order.
+ * @property {Object<string, Object<string, number>>} multipliers - The damage multiplier of each attacking type
+ * against each defending type, e.g. `multipliers.electric.water === 2`.
+ */
+
+/**
+ * @typedef {Object} TypeMatchup
+ * @property {string} type - The attacking type.
+ * @property {number} multiplier - Its damage multiplier: 0, 0.25, 0.5, 1, 2 or 4.
+ */
+
+/**
+ * Labels of the damage multipliers.
+ * @type {Object<number, string>}
+ */
+const MULTIPLIER_LABELS = { 0: '0×', 0.25: '¼×', 0.5: '½×', 1: '1×', 2: '2×', 4: '4×' };
+
+/**
+ * The type chart once requested, shared by every caller.
+ * @type {Promise<TypeChart>|null}
+ */
+let typeChart = null;
+
+/**
+ * Builds the type chart from the damage relations of each type.
+ *
+ * @param {Object<string, import('../models/pokemon-details.js').DamageRelations>} relationsByType - The damage
+ * relations of each type, the order of the keys giving the order of the types.
+ * @returns {TypeChart} - The type chart.
+ */
+export const createTypeChart = (relationsByType) => {
+    const types = Object.keys(relationsByType);
+    const multiplier = (attackType, { noDamageFrom, doubleDamageFrom, halfDamageFrom }) => {
+        if (noDamageFrom.includes(attackType)) return 0;
+        if (doubleDamageFrom.includes(attackType)) return 2;
+        if (halfDamageFrom.includes(attackType)) return 0.5;
+        return 1;
+    };
+
+    return {
+        types,
+        multipliers: Object.fromEntries(types.map(attackType => [
+            attackType,
+            Object.fromEntries(types.map(type => [type, multiplier(attackType, relationsByType[type])]))
+        ]))
+    };
+};
+
+/**
+ * Loads the type chart. It is requested once, then shared; on failure the next call retries.
+ *
+ * @returns {Promise<TypeChart>} - A promise that resolves to the type chart.
+ * @throws {Error} - Throws an error if the damage relations could not be loaded.
+ */
+export const loadTypeChart = () => {
+    if (!typeChart) {
+        typeChart = apiService.fetchTypeDamageRelations()
+            .then(createTypeChart)
+            .catch(error => {
+                typeChart = null;
+                throw error;
+            });
+    }
+
+    return typeChart;
+};
+
+/**
+ * Returns the damage multiplier of an attacking type against a single or dual type, e.g. 4 for electric
+ * against water/flying. Types missing from the chart count as neutral.
+ *
+ * @param {TypeChart} chart - The type chart.
+ * @param {string} attackType - The attacking type.
+ * @param {Array<string>} defendingTypes - The defending types.
+ * @returns {number} - The multiplier: 0, 0.25, 0.5, 1, 2 or 4.
+ */
+export const getMultiplier = (chart, attackType, defendingTypes) => defendingTypes
+    .reduce((multiplier, type) => multiplier * (chart.multipliers[attackType]?.[type] ?? 1), 1);
+
+/**
+ * Returns how every attacking type hits a single or dual type, leaving out the neutral ones,
+ * from the most to the least effective.
+ *
+ * @param {TypeChart} chart - The type chart.
+ * @param {Array<string>} defendingTypes - The defending types.
+ * @returns {Array<TypeMatchup>} - The weaknesses, resistances and immunities.
+ */
+export const getDefensiveMatchups = (chart, defendingTypes) => chart.types
+    .map(type => ({ type, multiplier: getMultiplier(chart, type, defendingTypes) }))
+    .filter(({ multiplier }) => multiplier !== 1)
+    .sort((a, b) => b.multiplier - a.multiplier);
+
+/**
+ * Groups matchups by multiplier, e.g. to show the 4× weaknesses apart from the 2× ones.
+ *
+ * @param {Array<TypeMatchup>} matchups - The matchups, sorted by multiplier.
+ * @returns {Array<{multiplier: number, types: Array<string>}>} - The types of each multiplier, in the same order.
+ */
+export const groupByMultiplier = (matchups) => matchups.reduce((groups, { type, multiplier }) => {
+    const last = groups[groups.length - 1];
+    if (last?.multiplier === multiplier) {
+        last.types.push(type);
+    } else {
+        groups.push({ multiplier, types: [type] });
+    }
+    return groups;
+}, []);
+
+/**
+ * Formats a damage multiplier, e.g. `½×`.
+ *
+ * @param {number} multiplier - The multiplier.
+ * @returns {string} - The label.
+ */
+export const formatMultiplier = (multiplier) => MULTIPLIER_LABELS[multiplier] ?? `${multiplier}×`;
@@ -1,60 +1,1026 @@
-import { contentElms, headerElms, sidebarContainer } from "../config/constants.js";
-import { createElementWithClass } from '../utils/helper.js';
+import { CARDS_CONFIG, COMPARE_CONFIG, contentElms, headerElms, POKEDEX_CONFIG, sidebarContainer, TEAM_CONFIG, TYPE_COLORS } from "../config/constants.js";
+import { formatLabel, translate } from '../config/i18n.js';
+import apiService from '../services/api-service.js';
+import teamService from '../services/team-service.js';
+import { createElementWithClass, formatSlug } from '../utils/helper.js';
 import { filterData } from "./core.js";
+import { navigate } from './router.js';
+import { RANGE_FILTERS } from './ranges.js';
+import { createDefaultSort } from './sorting.js';
 
 /**
- * Displays a dropdown menu with the provided list of items.
+ * Creates a text with some of its characters highlighted.
+ *
+ * @param {string} text - The text.
+ * @param {Array<Array<number>>} highlights - `[start, end)` ranges of the highlighted characters.
+ * @returns {DocumentFragment} - The text, with a `mark` element for each highlighted range.
+ */
+const createHighlightedText = (text, highlights) => {
+    const fragment = document.createDocumentFragment();
+    let index = 0;
+
+    highlights.forEach(([start, end]) => {
+        fragment.append(text.slice(index, start));
+        const mark = createElementWithClass('mark', 'header__search-dropdown-match');
+        mark.textContent = text.slice(start, end);
+        fragment.appendChild(mark);
+        index = end;
+    });
+
+    fragment.append(text.slice(index));
+    return fragment;
+};
+
+/**
+ * Pokémon of the search dropdown options, in display order.
+ * @type {Array<Object>}
+ */
+let searchOptionPokemon = [];
+
+/**
+ * Index of the active option of the search dropdown, -1 when none is.
+ * @type {number}
+ */
+let activeOptionIndex = -1;
+
+/**
+ * Returns the options of the search dropdown.
+ *
+ * @returns {Array<HTMLElement>} - The options, in display order.
+ */
+const getSearchOptions = () => [...headerElms.searchDropdown.querySelectorAll('.header__search-dropdown-item')];
+
+/**
+ * Makes an option of the search dropdown the active one, i.e. the one Enter opens, and scrolls it into view.
+ *
+ * @param {number} index - The index of the option, -1 for none.
+ * @returns {void}
+ */
+const setActiveOption = (index) => {
+    const options = getSearchOptions();
+    activeOptionIndex = index;
+
+    options.forEach((option, optionIndex) => {
+        const isActive = optionIndex === index;
+        option.setAttribute('aria-selected', String(isActive));
+        option.classList.toggle('header__search-dropdown-item--active', isActive);
+    });
+
+    if (options[index]) {
+        headerElms.searchInput.setAttribute('aria-activedescendant', options[index].id);
+        options[index].scrollIntoView?.({ block: 'nearest' });
+    } else {
+        headerElms.searchInput.removeAttribute('aria-activedescendant');
+    }
+};
+
+/**
+ * Shows or hides the search dropdown, keeping the combobox state in sync.
+ *
+ * @param {boolean} isOpen - Whether the dropdown is shown.
+ * @returns {void}
+ */
+const toggleSearchDropdown = (isOpen) => {
+    headerElms.searchDropdown.classList.toggle('header__search-dropdown--visible', isOpen);
+    headerElms.searchInput.setAttribute('aria-expanded', String(isOpen));
+    setActiveOption(-1);
+};
+
+/**
+ * Hides the search dropdown.
+ *
+ * @returns {void}
+ */
+export const closeSearchDropdown = () => toggleSearchDropdown(false);
+
+/**
+ * Opens the detail view of a Pokémon picked in the search dropdown.
+ *
+ * @param {Object} pokemon - The Pokémon.
+ * @returns {void}
+ */
+const selectSearchOption = (pokemon) => {
+    closeSearchDropdown();
+    navigate(`/pokemon/${pokemon.id}`);
+};
+
+/**
+ * Displays a dropdown menu with the provided list of items, highlighting the characters matching the search,
+ * and announces the number of results to screen readers.
+ * When a Pokémon was found by one of its names in another language, that name is shown after its own.
  * 
- * @param {Array<Object>} items - An array of objects to display in the dropdown. Each object should have an `id` and `name` property.
+ * @param {Array<{pokemon: Object, match: import('./search-index.js').SearchMatch|null}>} items - An array of objects
+ * to display in the dropdown. Each Pokémon should have an `id`, a `name` and a `sprite` property.
+ * @param {number} total - The number of results, of which the items are the most relevant.
  * @returns {void}
  */
-export const showSearchDropdown = (items) => {
-    headerElms.searchDropdown.innerHTML = '';
+export const showSearchDropdown = (items, total = items.length) => {
+    headerElms.searchStatus.textContent = total === 0
+        ? translate('noResults')
+        : `${total} ${translate(total === 1 ? 'result' : 'results')}`;
+
+    headerElms.searchDropdown.replaceChildren();
+    searchOptionPokemon = items.map(({ pokemon }) => pokemon);
 
     if (items.length === 0) {
-        headerElms.searchDropdown.classList.remove('header__search-dropdown--visible');
+        closeSearchDropdown();
         return;
     }
 
     // Use a document fragment to avoid repeated DOM manipulations
     const fragment = document.createDocumentFragment();
 
-    // Reusable function to handle click on each dropdown item
-    const handleClick = (item) => {
-        headerElms.searchInput.value = item.name.charAt(0).toUpperCase() + item.name.slice(1);
-        headerElms.searchDropdown.classList.remove('header__search-dropdown--visible');
-        filterData();
-    };
-
     // Add items to the fragment
-    items.forEach(item => {
-        const div = createElementWithClass('div', 'header__search-dropdown-item');
-        div.textContent = `#${item.id} ${item.name}`;
-        div.addEventListener('click', () => handleClick(item));
-        fragment.appendChild(div);
+    items.forEach(({ pokemon, match }) => {
+        const option = createElementWithClass('li', 'header__search-dropdown-item');
+        option.id = `search-option-${pokemon.id}`;
+        option.setAttribute('role', 'option');
+        option.setAttribute('aria-selected', 'false');
+
+        const sprite = createElementWithClass('img', 'header__search-dropdown-sprite');
+        sprite.src = pokemon.sprite;
+        sprite.alt = '';
+        sprite.width = 40;
+        sprite.height = 40;
+        sprite.loading = 'lazy';
+
+        const number = String(pokemon.number ?? pokemon.id);
+        const nationalNumber = String(pokemon.id);
+        const highlights = (name) => match?.name === name ? match.highlights : [];
+
+        option.append(sprite, '#', createHighlightedText(number, highlights(number)));
+        // The national Pokédex number follows the entry number of a regional Pokédex, as on the cards
+        if (nationalNumber !== number) {
+            option.append(' (#', createHighlightedText(nationalNumber, highlights(nationalNumber)), ')');
+        }
+        option.append(' ', createHighlightedText(pokemon.name, highlights(pokemon.name)));
+
+        if (match && ![number, nationalNumber, pokemon.name].includes(match.name)) {
+            const alias = createElementWithClass('span', 'header__search-dropdown-alias');
+            alias.appendChild(createHighlightedText(match.name, match.highlights));
+            option.append(' ', alias);
+        }
+
+        option.addEventListener('click', () => selectSearchOption(pokemon));
+        fragment.appendChild(option);
     });
 
     // Append the entire fragment to the dropdown in one operation
     headerElms.searchDropdown.appendChild(fragment);
-    headerElms.searchDropdown.classList.add('header__search-dropdown--visible');
+    toggleSearchDropdown(true);
 };
 
+/**
+ * Handles the keyboard in the search box, as a combobox: the arrow keys move through the dropdown options,
+ * Home and End jump to the first and last option while one is active, Enter opens the active option and
+ * Escape closes the dropdown.
+ *
+ * @param {KeyboardEvent} event - The keydown event of the search box.
+ * @returns {void}
+ */
+export const handleSearchKeydown = (event) => {
+    const options = getSearchOptions();
+    const isOpen = headerElms.searchDropdown.classList.contains('header__search-dropdown--visible');
+    const last = options.length - 1;
+
+    const moveTo = (index) => {
+        event.preventDefault();
+        if (!isOpen) {
+            toggleSearchDropdown(true);
+        }
+        setActiveOption(index);
+    };
+
+    if (options.length === 0) return;
+
+    switch (event.key) {
+        case 'ArrowDown':
+            moveTo(!isOpen || activeOptionIndex >= last ? 0 : activeOptionIndex + 1);
+            break;
+        case 'ArrowUp':
+            moveTo(!isOpen || activeOptionIndex <= 0 ? last : activeOptionIndex - 1);
+            break;
+        case 'Home':
+            if (isOpen && activeOptionIndex !== -1) moveTo(0);
+            break;
+        case 'End':
+            if (isOpen && activeOptionIndex !== -1) moveTo(last);
+            break;
+        case 'Enter':
+            if (isOpen && activeOptionIndex !== -1) {
+                event.preventDefault();
+                selectSearchOption(searchOptionPokemon[activeOptionIndex]);
+            }
+            break;
+        case 'Escape':
+            if (isOpen) {
+                event.preventDefault();
+                closeSearchDropdown();
+            }
+            break;
+    }
+};
 
 /**
- * Renders a list of Pokémon cards in the container.
+ * Shows the filters typed in the search box as chips, each with a button to remove it from the query,
+ * and the errors of the invalid ones below them. Plain words are not shown.
+ *
+ * @param {Array<import('./search-query.js').QueryToken>} tokens - The tokens of the search query.
+ * @returns {void}
+ */
+export const renderSearchChips = (tokens) => {
+    const chips = tokens.filter(token => token.isFilter).map(({ text, start, end, error }) => {
+        const chip = createElementWithClass('span', 'header__search-chip');
+        chip.classList.toggle('header__search-chip--invalid', error !== null);
+        chip.textContent = text;
+        if (error) {
+            chip.title = error;
+        }
+
+        const removeButton = createElementWithClass('button', 'header__search-chip-remove');
+        removeButton.type = 'button';
+        removeButton.dataset.start = start;
+        removeButton.dataset.end = end;
+        removeButton.setAttribute('aria-label', formatLabel('removeToken', { token: text }));
+        removeButton.appendChild(createElementWithClass('i', 'bi', 'bi-x'));
+
+        chip.appendChild(removeButton);
+        return chip;
+    });
+
+    headerElms.searchChips.replaceChildren(...chips);
+    headerElms.searchError.textContent = tokens.filter(token => token.error).map(token => token.error).join(' ');
+};
+
+/**
+ * The Pokémon whose cards can be scrolled to, and how many of them are loaded.
+ * @type {{pokemonList: Array<Object>, count: number}}
+ */
+const cardList = { pokemonList: [], count: 0 };
+
+/**
+ * Cards in the page, by Pokémon.
+ * @type {Map<Object, HTMLElement>}
+ */
+let renderedCards = new Map();
+
+/**
+ * National Pokédex numbers of the Pokémon picked to be compared, to mark their cards.
+ * @type {Array<number>}
+ */
+let comparedIds = [];
+
+/**
+ * Cards scrolled out of the viewport, reused for the ones scrolled into it.
+ * @type {Array<HTMLElement>}
+ */
+const freeCards = [];
+
+/**
+ * Frame of the pending update of the cards, null when none is pending.
+ * @type {number|null}
+ */
+let cardsUpdateFrame = null;
+
+/**
+ * Returns the layout of the cards: the number of cards per row and the height of a row, gap included.
+ *
+ * @returns {{columns: number, rowHeight: number}} - The layout.
+ */
+const getCardsLayout = () => {
+    const { cardWidth, cardHeight, gap } = CARDS_CONFIG;
+    const columns = Math.max(1, Math.floor((contentElms.cardsContainer.clientWidth + gap) / (cardWidth + gap)));
+    return { columns, rowHeight: cardHeight + gap };
+};
+
+/**
+ * Returns the number of cards needed to fill the page down to the bottom of the viewport.
+ *
+ * @returns {number} - The number of cards.
+ */
+export const getFillingCardCount = () => {
+    const { columns, rowHeight } = getCardsLayout();
+    const bottom = window.innerHeight - contentElms.cardsContainer.getBoundingClientRect().top;
+    return Math.max(0, Math.ceil(bottom / rowHeight)) * columns;
+};
+
+/**
+ * Returns a card showing a Pokémon, reusing a free card when there is one.
+ *
+ * @param {Object} pokemon - The Pokémon, with an id, an entry number in the selected Pokédex, a name, an image URL and a URL.
+ * @returns {HTMLElement} - The card.
+ */
+const getCard = (pokemon) => {
+    const card = freeCards.pop() || document.createElement('pokemon-card');
+    card.setAttribute('id', pokemon.id);
+    card.setAttribute('number', pokemon.number ?? pokemon.id);
+    card.setAttribute('name', pokemon.name);
+    card.setAttribute('image', pokemon.image);
+    card.setAttribute('url', pokemon.url);
+    card.toggleAttribute('in-team', teamService.hasMember(pokemon.id));
+    card.toggleAttribute('compared', comparedIds.includes(pokemon.id));
+    return card;
+};
+
+/**
+ * Renders the cards of the loaded Pokémon that are within the viewport or a few rows from it.
+ * The rows above and below are left out, replaced by padding of the same height so the page keeps its height,
+ * and their cards are reused for the rows scrolled into view.
+ *
+ * @returns {void}
+ */
+export const updateVisibleCards = () => {
+    const { pokemonList, count } = cardList;
+    const { columns, rowHeight } = getCardsLayout();
+    const container = contentElms.cardsContainer;
+
+    const rows = Math.ceil(count / columns);
+    const top = container.getBoundingClientRect().top;
+    const windowRows = Math.ceil(window.innerHeight / rowHeight) + 2 * CARDS_CONFIG.overscanRows;
+    const clampRow = row => Math.min(rows, Math.max(0, row));
+    // Scrolled past the end, e.g. when the results get shorter, the last rows are kept until the page scrolls up
+    const firstRow = clampRow(Math.min(Math.floor(-top / rowHeight) - CARDS_CONFIG.overscanRows, rows - windowRows));
+    const lastRow = clampRow(Math.ceil((window.innerHeight - top) / rowHeight) + CARDS_CONFIG.overscanRows);
+
+    const visible = pokemonList.slice(firstRow * columns, Math.min(count, lastRow * columns));
+    const cards = new Map(visible.map(pokemon => [pokemon, renderedCards.get(pokemon)]));
+
+    renderedCards.forEach((card, pokemon) => {
+        if (!cards.has(pokemon)) freeCards.push(card);
+    });
+    cards.forEach((card, pokemon) => {
+        if (!card) cards.set(pokemon, getCard(pokemon));
+    });
+
+    container.style.paddingTop = `${firstRow * rowHeight}px`;
+    container.style.paddingBottom = `${(rows - lastRow) * rowHeight}px`;
+
+    const isUnchanged = cards.size === container.children.length
+        && [...cards.values()].every((card, index) => container.children[index] === card);
+    if (!isUnchanged) {
+        container.replaceChildren(...cards.values());
+    }
+
+    renderedCards = cards;
+};
+
+/**
+ * Updates the cards on the next frame, e.g. while scrolling, once per frame at most.
+ *
+ * @returns {void}
+ */
+export const scheduleVisibleCardsUpdate = () => {
+    if (cardsUpdateFrame !== null) return;
+
+    cardsUpdateFrame = requestAnimationFrame(() => {
+        cardsUpdateFrame = null;
+        updateVisibleCards();
+    });
+};
+
+/**
+ * Renders the Pokémon cards: the first `count` Pokémon of the list can be scrolled to,
+ * and only the cards near the viewport are in the page, see `updateVisibleCards`.
  *
  * @param {Array<{ id: number, name: string, image: string, url: string  }>} pokemonList - List of Pokémon objects, each with an id, a name and an image URL.
+ * @param {number} count - The number of Pokémon loaded.
+ * @returns {void}
+ */
+export const renderCards = (pokemonList, count) => {
+    cardList.pokemonList = pokemonList;
+    cardList.count = Math.min(count, pokemonList.length);
+    updateVisibleCards();
+};
+
+/**
+ * Shows which Pokémon are in the active team: on their cards, and in the count of the team button.
+ *
+ * @returns {void}
+ */
+export const renderTeamMarks = () => {
+    const { members } = teamService.getActiveTeam();
+    headerElms.teamCount.textContent = `${members.length}/${TEAM_CONFIG.maxSize}`;
+    renderedCards.forEach((card, pokemon) => card.toggleAttribute('in-team', members.includes(pokemon.id)));
+};
+
+/**
+ * Adds a Pokémon to the active team, or removes it when it is in it.
+ * When the team is full, the team builder is opened to say so.
+ *
+ * @param {number} id - The national Pokédex number of the Pokémon.
+ * @returns {void}
+ */
+export const toggleTeamMember = (id) => {
+    if (teamService.hasMember(id)) {
+        teamService.removeMember(id);
+    } else if (!teamService.addMember(id)) {
+        contentElms.teamPanel.announce(translate('teamFull'));
+        navigate('/team');
+    }
+};
+
+/**
+ * Shows the Pokémon picked to be compared: on their cards, and in the compare bar above the cards,
+ * which is hidden while none is picked.
+ *
+ * @param {Array<{ id: number, name: string }>} pokemonList - The Pokémon picked to be compared.
+ * @param {boolean} [isFull=false] - Whether a Pokémon could not be picked because the comparison is full.
+ * @returns {void}
+ */
+export const renderCompareSelection = (pokemonList, isFull = false) => {
+    comparedIds = pokemonList.map(pokemon => pokemon.id);
+
+    const names = pokemonList.map(pokemon => pokemon.name).join(', ');
+    contentElms.compareBar.classList.toggle('content__compare--visible', pokemonList.length > 0);
+    contentElms.compareStatus.textContent = isFull
+        ? translate('compareFull')
+        : `${translate('compare')} (${pokemonList.length}/${COMPARE_CONFIG.maxSize}): ${names}`;
+    contentElms.compareButton.disabled = pokemonList.length < COMPARE_CONFIG.minSize;
+
+    renderedCards.forEach((card, pokemon) => card.toggleAttribute('compared', comparedIds.includes(pokemon.id)));
+};
+
+/**
+ * Creates a select of the sort control.
+ *
+ * @param {string} id - The id of the select.
+ * @param {Array<{value: string, label: string}>} options - The options of the select.
+ * @returns {HTMLSelectElement} - The select.
+ */
+const createSortSelect = (id, options) => {
+    const select = createElementWithClass('select', 'content__sort-select');
+    select.id = id;
+    options.forEach(({ value, label }) => select.add(new Option(label, value)));
+    return select;
+};
+
+/**
+ * Renders the Pokédex control above the cards, with the national Pokédex selected.
+ *
+ * @param {Array<string>} names - The names of the Pokédexes, e.g. `kanto`.
+ * @returns {void}
+ */
+export const renderPokedexSelect = (names) => {
+    const label = createElementWithClass('label', 'content__pokedex-label');
+    label.textContent = translate('pokedex');
+    label.htmlFor = 'pokedex-select';
+
+    const select = createElementWithClass('select', 'content__pokedex-select');
+    select.id = 'pokedex-select';
+    [...new Set([POKEDEX_CONFIG.defaultName, ...names])].forEach(name => select.add(new Option(formatSlug(name), name)));
+
+    contentElms.pokedexControl.replaceChildren(label, select);
+    setSelectedPokedex(POKEDEX_CONFIG.defaultName);
+};
+
+/**
+ * Gets the Pokédex selected on the Pokédex control.
+ *
+ * @returns {string} - The name of the Pokédex, the national one before the control is rendered.
+ */
+export const getSelectedPokedex = () => contentElms.pokedexControl.querySelector('#pokedex-select')?.value || POKEDEX_CONFIG.defaultName;
+
+/**
+ * Shows a Pokédex on the Pokédex control. Unknown Pokédexes fall back to the national one.
+ *
+ * @param {string} name - The name of the Pokédex.
+ * @returns {void}
+ */
+export const setSelectedPokedex = (name) => {
+    const select = contentElms.pokedexControl.querySelector('#pokedex-select');
+    if (!select) return;
+
+    select.value = name;
+    if (select.selectedIndex === -1) select.value = POKEDEX_CONFIG.defaultName;
+};
+
+/**
+ * Renders the sort control above the cards: a primary sort key and an optional secondary one, each with its direction.
+ *
+ * @param {Array<import('./sorting.js').SortKey>} sortKeys - The sort keys.
+ * @returns {void}
+ */
+export const renderSortControls = (sortKeys) => {
+    const keyOptions = sortKeys.map(({ key, label }) => ({ value: key, label: translate(label) }));
+    const directionOptions = ['asc', 'desc'].map(value => ({ value, label: translate(value === 'asc' ? 'ascending' : 'descending') }));
+
+    const createLabel = (text, htmlFor) => {
+        const label = createElementWithClass('label', 'content__sort-label');
+        label.textContent = text;
+        label.htmlFor = htmlFor;
+        return label;
+    };
+
+    const fragment = document.createDocumentFragment();
+
+    ['primary', 'secondary'].forEach(level => {
+        const keySelect = createSortSelect(`sort-${level}-key`,
+            level === 'primary' ? keyOptions : [{ value: '', label: translate('none') }, ...keyOptions]);
+        const directionSelect = createSortSelect(`sort-${level}-direction`, directionOptions);
+        directionSelect.setAttribute('aria-label', translate('sortDirection'));
+
+        fragment.append(createLabel(translate(level === 'primary' ? 'sortBy' : 'thenBy'), keySelect.id), keySelect, directionSelect);
+    });
+
+    contentElms.sortControls.replaceChildren(fragment);
+    setSelectedSort(createDefaultSort());
+};
+
+/**
+ * Gets the sort order selected on the sort control.
+ *
+ * @returns {import('./sorting.js').Sort} - The sort, the default one before the control is rendered.
+ */
+export const getSelectedSort = () => {
+    const value = (id) => contentElms.sortControls.querySelector(`#${id}`)?.value;
+    const primaryKey = value('sort-primary-key');
+    const secondaryKey = value('sort-secondary-key');
+
+    if (!primaryKey) {
+        return createDefaultSort();
+    }
+
+    return {
+        primary: { key: primaryKey, direction: value('sort-primary-direction') },
+        secondary: secondaryKey ? { key: secondaryKey, direction: value('sort-secondary-direction') } : null
+    };
+};
+
+/**
+ * Shows a sort order on the sort control. The secondary direction is disabled while there is no secondary key.
+ *
+ * @param {import('./sorting.js').Sort} sort - The sort.
+ * @returns {void}
+ */
+export const setSelectedSort = ({ primary, secondary }) => {
+    const select = (id) => contentElms.sortControls.querySelector(`#${id}`);
+    if (!select('sort-primary-key')) return;
+
+    select('sort-primary-key').value = primary.key;
+    select('sort-primary-direction').value = primary.direction;
+    select('sort-secondary-key').value = secondary?.key ?? '';
+    select('sort-secondary-direction').value = secondary?.direction ?? 'asc';
+    updateSortControls();
+};
+
+/**
+ * Disables the secondary sort direction while there is no secondary key.
+ *
  * @returns {void}
  */
-export const renderCards = (pokemonList) => {
-    pokemonList.forEach(pokemon => {
-        const card = document.createElement('pokemon-card');
-        card.setAttribute('id', pokemon.id);
-        card.setAttribute('name', pokemon.name);
-        card.setAttribute('image', pokemon.image);
-        card.setAttribute('url', pokemon.url);
-        contentElms.cardsContainer.appendChild(card);
+export const updateSortControls = () => {
+    const secondaryKey = contentElms.sortControls.querySelector('#sort-secondary-key');
+    contentElms.sortControls.querySelector('#sort-secondary-direction').disabled = secondaryKey.value === '';
+};
+
+/**
+ * Class of the option group of each rendering variant of the filter dimensions.
+ * @type {Object<string, string>}
+ */
+const GROUP_CLASSES = {
+    type: 'sidebar__type-group',
+    color: 'sidebar__color-group',
+    gender: 'sidebar__gender-group',
+    list: 'sidebar__option-group',
+    select: 'sidebar__select'
+};
+
+/**
+ * Option group element of each filter dimension.
+ * @type {Map<string, HTMLElement>}
+ */
+const optionGroups = new Map();
+
+/**
+ * Option elements of each filter dimension, by option name.
+ * @type {Map<string, Map<string, HTMLElement>>}
+ */
+const optionItems = new Map();
+
+/**
+ * Returns the label of a filter option, from the translations or else from its API name.
+ *
+ * @param {string} value - The API name of the option, e.g. `waters-edge`.
+ * @returns {string} - The label of the option.
+ */
+const getOptionLabel = (value) => {
+    const label = translate(value);
+    return label === value ? formatSlug(value) : label;
+};
+
+/**
+ * Shows the number of Pokémon of a filter option, dimming the option when it has none.
+ * The `--dimmed` modifier is added to the first class of the option, e.g. `sidebar__type-item--dimmed`.
+ *
+ * @param {HTMLElement} item - The filter option element.
+ * @param {number|null} count - The number of Pokémon, null when it is unknown.
+ * @returns {void}
+ */
+const setOptionCount = (item, count) => {
+    const text = count === null ? '' : `(${count})`;
+
+    // The options of a select are plain text, the count is part of it
+    if (item.tagName === 'OPTION') {
+        item.textContent = `${item.dataset.label} ${text}`.trimEnd();
+    } else {
+        item.querySelector('.sidebar__option-count').textContent = text;
+    }
+    item.classList.toggle(`${item.classList[0]}--dimmed`, count === 0);
+};
+
+/**
+ * Creates an input of a filter option.
+ *
+ * @param {string} type - The input type, `checkbox` or `radio`.
+ * @param {string} name - The input name, also the prefix of its id.
+ * @param {string} value - The option.
+ * @param {...string} classes - The classes of the input.
+ * @returns {HTMLInputElement} - The input.
+ */
+const createOptionInput = (type, name, value, ...classes) => {
+    const input = createElementWithClass('input', ...classes);
+    input.type = type;
+    input.id = `${name}-${value}`;
+    input.name = name;
+    input.value = value;
+    return input;
+};
+
+/**
+ * Creates the checkbox and the icon that exclude a filter option.
+ *
+ * @param {import('./dimensions.js').FilterDimension} dimension - The dimension of the option.
+ * @param {string} value - The option.
+ * @returns {Array<HTMLElement>} - The checkbox and its label.
+ */
+const createExcludeToggle = (dimension, value) => {
+    const exclude = createOptionInput('checkbox', `${dimension.name}-exclude`, value, 'sidebar__exclude');
+
+    const excludeLabel = createElementWithClass('label', 'sidebar__exclude-label');
+    excludeLabel.htmlFor = exclude.id;
+    excludeLabel.title = `${translate('exclude')} ${getOptionLabel(value)}`;
+    excludeLabel.setAttribute('aria-label', excludeLabel.title);
+    excludeLabel.appendChild(createElementWithClass('i', 'bi', 'bi-slash-circle'));
+
+    return [exclude, excludeLabel];
+};
+
+/**
+ * Creates the checkboxes of a type filter option, bordered with the type color: one to pick the type
+ * and one to exclude it.
+ *
+ * @param {import('./dimensions.js').FilterDimension} dimension - The dimension of the option.
+ * @param {string} value - The type.
+ * @returns {HTMLElement} - The type filter item.
+ */
+const createTypeOption = (dimension, value) => {
+    const item = createElementWithClass('div', 'sidebar__type-item');
+    item.style.setProperty('--type-color', TYPE_COLORS[value] || '');
+
+    const checkbox = createOptionInput('checkbox', dimension.name, value, 'sidebar__type-checkbox');
+
+    const label = createElementWithClass('label', 'sidebar__type-label');
+    label.htmlFor = checkbox.id;
+    label.textContent = `${getOptionLabel(value)} `;
+    label.appendChild(createElementWithClass('span', 'sidebar__option-count'));
+
+    item.append(checkbox, label);
+    if (dimension.exclude) {
+        item.append(...createExcludeToggle(dimension, value));
+    }
+    return item;
+};
+
+/**
+ * Creates the swatch of a color filter option.
+ *
+ * @param {import('./dimensions.js').FilterDimension} dimension - The dimension of the option.
+ * @param {string} value - The color.
+ * @returns {HTMLElement} - The color filter item.
+ */
+const createColorOption = (dimension, value) => {
+    const item = createElementWithClass('div', 'sidebar__color-item');
+
+    const checkbox = createOptionInput('checkbox', dimension.name, value, 'sidebar__color-checkbox', 'sidebar__color-checkbox--hidden');
+
+    const label = createElementWithClass('label', 'sidebar__color-label');
+    label.htmlFor = checkbox.id;
+    label.style.setProperty('--swatch-color', value);
+    label.title = getOptionLabel(value);
+    label.setAttribute('aria-label', label.title);
+
+    item.append(checkbox, label, createElementWithClass('span', 'sidebar__option-count'));
+    return item;
+};
+
+/**
+ * Creates the radio button of a gender filter option.
+ *
+ * @param {import('./dimensions.js').FilterDimension} dimension - The dimension of the option.
+ * @param {string} value - The gender, or `all`.
+ * @returns {HTMLElement} - The gender filter label, wrapping the radio button.
+ */
+const createGenderOption = (dimension, value) => {
+    const label = createElementWithClass('label', 'sidebar__gender-label');
+
+    const radio = createOptionInput('radio', dimension.name, value, 'sidebar__gender-radio');
+    radio.checked = value === 'all';
+    label.htmlFor = radio.id;
+
+    const text = document.createElement('span');
+    text.textContent = getOptionLabel(value);
+
+    label.append(radio, text, createElementWithClass('span', 'sidebar__option-count'));
+    return label;
+};
+
+/**
+ * Creates the checkbox of a filter option shown as a plain list, such as a habitat.
+ *
+ * @param {import('./dimensions.js').FilterDimension} dimension - The dimension of the option.
+ * @param {string} value - The option.
+ * @returns {HTMLElement} - The filter item.
+ */
+const createListOption = (dimension, value) => {
+    const item = createElementWithClass('div', 'sidebar__option-item');
+
+    const checkbox = createOptionInput('checkbox', dimension.name, value, 'sidebar__option-checkbox');
+
+    const label = createElementWithClass('label', 'sidebar__option-label');
+    label.htmlFor = checkbox.id;
+    label.textContent = `${getOptionLabel(value)} `;
+    label.appendChild(createElementWithClass('span', 'sidebar__option-count'));
+
+    item.append(checkbox, label);
+    if (dimension.exclude) {
+        item.append(...createExcludeToggle(dimension, value));
+    }
+    return item;
+};
+
+/**
+ * Creates an option of a filter dimension rendered as a select, such as a Pokémon of the families.
+ *
+ * @param {import('./dimensions.js').FilterDimension} dimension - The dimension of the option.
+ * @param {string} value - The option, or `all`.
+ * @returns {HTMLOptionElement} - The option.
+ */
+const createSelectOption = (dimension, value) => {
+    const option = createElementWithClass('option', 'sidebar__select-option');
+    option.value = value;
+    option.dataset.label = getOptionLabel(value);
+    option.textContent = option.dataset.label;
+    option.selected = value === 'all';
+    return option;
+};
+
+/**
+ * Option creators of each rendering variant of the filter dimensions.
+ * @type {Object<string, Function>}
+ */
+const OPTION_CREATORS = {
+    type: createTypeOption,
+    color: createColorOption,
+    gender: createGenderOption,
+    list: createListOption,
+    select: createSelectOption
+};
+
+/**
+ * Creates the toggle between matching any or all of the picked options of a filter dimension.
+ *
+ * @param {import('./dimensions.js').FilterDimension} dimension - The dimension.
+ * @returns {HTMLElement} - The match mode radio group.
+ */
+const createModeToggle = (dimension) => {
+    const group = createElementWithClass('div', 'sidebar__mode-group');
+    group.setAttribute('role', 'radiogroup');
+    group.setAttribute('aria-label', formatLabel('matchMode', { filter: translate(dimension.key) }));
+
+    ['any', 'all'].forEach(mode => {
+        const label = createElementWithClass('label', 'sidebar__mode-label');
+        const radio = createOptionInput('radio', `${dimension.name}-mode`, mode, 'sidebar__mode-radio');
+        radio.checked = mode === 'any';
+
+        const text = document.createElement('span');
+        text.textContent = translate(mode);
+
+        label.append(radio, text);
+        group.appendChild(label);
     });
+
+    return group;
+};
+
+/**
+ * Renders a fieldset for each filter dimension, with its title, its match mode toggle and its reset button.
+ * The options are rendered once loaded, with `renderFilterOptions`.
+ *
+ * @param {Array<import('./dimensions.js').FilterDimension>} dimensions - The filter dimensions.
+ * @returns {void}
+ */
+export const renderFilterDimensions = (dimensions) => {
+    const fragment = document.createDocumentFragment();
+
+    dimensions.forEach(dimension => {
+        const fieldset = createElementWithClass('fieldset', 'sidebar__fieldset');
+
+        const legend = createElementWithClass('legend', 'sidebar__fieldset-legend');
+        legend.textContent = `▶ ${dimension.title}`;
+        fieldset.appendChild(legend);
+
+        if (dimension.matchMode) {
+            fieldset.appendChild(createModeToggle(dimension));
+        }
+
+        const group = createElementWithClass(dimension.variant === 'select' ? 'select' : 'div', GROUP_CLASSES[dimension.variant]);
+        if (dimension.variant === 'select') {
+            group.id = `${dimension.name}-select`;
+            group.name = dimension.name;
+            group.setAttribute('aria-label', translate(`${dimension.name}Filter`));
+        }
+        optionGroups.set(dimension.key, group);
+
+        const resetButton = createElementWithClass('button', 'sidebar__filter-button');
+        resetButton.id = `reset-${dimension.name}-button`;
+        resetButton.dataset.dimension = dimension.key;
+        resetButton.append(createElementWithClass('i', 'bi', 'bi-arrow-clockwise'), ` ${translate('resetFilter')}`);
+
+        fieldset.append(group, resetButton);
+        fragment.appendChild(fieldset);
+    });
+
+    sidebarContainer.querySelector('.sidebar__dimensions').replaceChildren(fragment);
+};
+
+/**
+ * Renders the options of every filter dimension.
+ * Options without any Pokémon, such as the `unknown` and `shadow` types, are left out.
+ *
+ * @param {Array<import('./dimensions.js').FilterDimension>} dimensions - The filter dimensions.
+ * @param {Object<string, Array<{value: string, count: number|null}>>} options - The options of each dimension.
+ * @returns {void}
+ */
+export const renderFilterOptions = (dimensions, options) => {
+    dimensions.forEach(dimension => {
+        const items = new Map();
+
+        options[dimension.key]
+            .filter(option => option.count !== 0)
+            .forEach(({ value, count }) => {
+                const item = OPTION_CREATORS[dimension.variant](dimension, value);
+                setOptionCount(item, count);
+                items.set(value, item);
+            });
+
+        optionItems.set(dimension.key, items);
+        optionGroups.get(dimension.key).replaceChildren(...items.values());
+    });
+};
+
+/**
+ * Updates the number of Pokémon shown next to each rendered filter option.
+ *
+ * @param {Object<string, Array<{value: string, count: number|null}>>} options - The options of each dimension.
+ * @returns {void}
+ */
+export const updateFilterCounts = (options) => {
+    Object.entries(options).forEach(([key, dimensionOptions]) => {
+        dimensionOptions.forEach(({ value, count }) => {
+            const item = optionItems.get(key)?.get(value);
+            if (item) {
+                setOptionCount(item, count);
+            }
+        });
+    });
+};
+
+/**
+ * Formats a value of a range filter with its unit, e.g. `2.5 m`.
+ *
+ * @param {import('./ranges.js').RangeFilter} filter - The range filter.
+ * @param {number} value - The value.
+ * @returns {string} - The formatted value.
+ */
+const formatRangeValue = (filter, value) => {
+    const number = filter.step < 1 ? value.toFixed(1) : String(value);
+    return filter.unit ? `${number} ${filter.unit}` : number;
+};
+
+/**
+ * Creates the slider of one side of a range filter.
+ *
+ * @param {import('./ranges.js').RangeFilter} filter - The range filter.
+ * @param {string} side - `min` or `max`.
+ * @returns {HTMLInputElement} - The slider, at the bound of its side.
+ */
+const createRangeSlider = (filter, side) => {
+    const slider = createElementWithClass('input', 'sidebar__range-input', `sidebar__range-input--${side}`);
+    slider.type = 'range';
+    slider.id = `range-${filter.key}-${side}`;
+    slider.name = slider.id;
+    slider.min = filter.min;
+    slider.max = filter.max;
+    slider.step = filter.step;
+    slider.value = filter[side];
+    slider.setAttribute('aria-label', `${translate(filter.label)} ${translate(side === 'min' ? 'minimum' : 'maximum')}`);
+    return slider;
+};
+
+/**
+ * Keeps the minimum of a range filter below its maximum while a slider is dragged:
+ * the other slider is pushed along. Refreshes the readout too.
+ *
+ * @param {Event} event - The input event of a range slider.
+ * @returns {void}
+ */
+const handleRangeInput = (event) => {
+    const item = event.target.closest('.sidebar__range-item');
+    const [minSlider, maxSlider] = item.querySelectorAll('.sidebar__range-input');
+
+    if (Number(minSlider.value) > Number(maxSlider.value)) {
+        const other = event.target === minSlider ? maxSlider : minSlider;
+        other.value = event.target.value;
+    }
+
+    updateRangeOutputs();
+};
+
+/**
+ * Renders a fieldset with a pair of sliders for each range filter, a loading status and a reset button.
+ * Sliders fire `change` like the other filters, which is what triggers filtering.
+ *
+ * @param {Array<import('./ranges.js').RangeFilter>} filters - The range filters.
+ * @returns {void}
+ */
+export const renderRangeFilters = (filters) => {
+    const fieldset = createElementWithClass('fieldset', 'sidebar__fieldset');
+
+    const legend = createElementWithClass('legend', 'sidebar__fieldset-legend');
+    legend.textContent = `▶ ${translate('statsTitle')}`;
+
+    const status = createElementWithClass('p', 'sidebar__range-status');
+    status.setAttribute('aria-live', 'polite');
+
+    fieldset.append(legend, status);
+
+    filters.forEach(filter => {
+        const item = createElementWithClass('div', 'sidebar__range-item');
+        item.dataset.range = filter.key;
+
+        const header = createElementWithClass('div', 'sidebar__range-header');
+        const label = createElementWithClass('span', 'sidebar__range-label');
+        label.textContent = translate(filter.label);
+        const output = createElementWithClass('output', 'sidebar__range-output');
+        header.append(label, output);
+
+        const sliders = createElementWithClass('div', 'sidebar__range-sliders');
+        sliders.append(createRangeSlider(filter, 'min'), createRangeSlider(filter, 'max'));
+        sliders.addEventListener('input', handleRangeInput);
+
+        item.append(header, sliders);
+        fieldset.appendChild(item);
+    });
+
+    const resetButton = createElementWithClass('button', 'sidebar__filter-button');
+    resetButton.id = 'reset-ranges-button';
+    resetButton.append(createElementWithClass('i', 'bi', 'bi-arrow-clockwise'), ` ${translate('resetFilter')}`);
+    fieldset.appendChild(resetButton);
+
+    sidebarContainer.querySelector('.sidebar__ranges').replaceChildren(fieldset);
+    updateRangeOutputs();
+};
+
+/**
+ * Shows the values selected on the sliders of every range filter, e.g. `100 – 255`.
+ *
+ * @returns {void}
+ */
+export const updateRangeOutputs = () => {
+    RANGE_FILTERS.forEach(filter => {
+        const item = sidebarContainer.querySelector(`.sidebar__range-item[data-range='${filter.key}']`);
+        if (!item) return;
+
+        const [minSlider, maxSlider] = item.querySelectorAll('.sidebar__range-input');
+        const [min, max] = [Number(minSlider.value), Number(maxSlider.value)];
+
+        item.querySelector('.sidebar__range-output').textContent = `${formatRangeValue(filter, min)} – ${formatRangeValue(filter, max)}`;
+        item.classList.toggle('sidebar__range-item--active', min > filter.min || max < filter.max);
+    });
+};
+
+/**
+ * Shows the progress of the stats loaded in the background, which the range filters need.
+ *
+ * @param {number} loaded - The number of Pokémon whose stats are loaded.
+ * @param {number} total - The number of Pokémon.
+ * @returns {void}
+ */
+export const renderStatsProgress = (loaded, total) => {
+    const status = sidebarContainer.querySelector('.sidebar__range-status');
+    if (status) {
+        status.textContent = loaded < total ? `${translate('loadingStats')} ${loaded}/${total}` : '';
+    }
 };
 
 /**
@@ -75,6 +1041,27 @@ export const hideSidebar = () => {
     sidebarContainer.classList.remove('sidebar--visible');
 };
 
+/**
+ * Renders the cache hit/miss statistics below the cache controls.
+ *
+ * @param {{hits: number, staleHits: number, misses: number}} stats - The cache statistics.
+ * @returns {void}
+ */
+export const renderCacheStats = ({ hits, staleHits, misses }) => {
+    sidebarContainer.querySelector('#cache-stats').textContent = formatLabel('cacheStats', { hits, staleHits, misses });
+};
+
+/**
+ * Clears the persistent API cache and refreshes the statistics.
+ *
+ * @async
+ * @returns {Promise<void>} - Resolves when the cache has been cleared.
+ */
+export const clearCacheClick = async () => {
+    await apiService.clearCache();
+    renderCacheStats(apiService.getCacheStats());
+};
+
 /**
  * Handles click events on the document to manage the visibility of the search dropdown and filters.
  * 
@@ -83,10 +1070,6 @@ export const hideSidebar = () => {
  * @property {EventTarget} event.target - The target of the click event.
  */
 document.addEventListener('click', (event) => {
-    if (!event.target.closest('.header__search')) {
-        headerElms.searchDropdown.classList.remove('header__search-dropdown--visible');
-    }
-
     if (!event.target.closest('.main__filter-button') && !event.target.closest('.sidebar')) {
         hideSidebar();
     }
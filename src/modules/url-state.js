@@ -0,0 +1,226 @@
+/**
+ * @module url-state
+ * @description Keeps the search query, the sidebar filters, the sort order and the Pokédex in the URL query string,
+ * so filtered lists can be shared, bookmarked and stepped through with back/forward.
+ * e.g. `?q=char&type=fire,flying,-water&typemode=all&color=red&gender=male&gen=generation-i&spe=100-&bst=500-600`,
+ * where `-water` excludes a type and `spe=100-` keeps the Pokémon with a base speed of at least 100,
+ * `&sort=-bst,name` sorts by descending base stat total, then by name, and `&dex=galar` shows the Galar Pokédex.
+ */
+
+import { headerElms, POKEDEX_CONFIG, sidebarContainer } from '../config/constants.js';
+import { FILTER_DIMENSIONS } from './dimensions.js';
+import { getSelectedFilters } from './filters.js';
+import { RANGE_FILTERS, formatRange, parseRange } from './ranges.js';
+import { formatSort, parseSort } from './sorting.js';
+import { getSelectedPokedex, getSelectedSort, setSelectedPokedex, setSelectedSort, updateRangeOutputs } from './ui.js';
+
+/**
+ * Query string parameter of the search query. The filter dimensions have their own, e.g. `type`.
+ * @type {string}
+ */
+const QUERY_PARAM = 'q';
+
+/**
+ * Query string parameter of the sort order.
+ * @type {string}
+ */
+const SORT_PARAM = 'sort';
+
+/**
+ * Query string parameter of the Pokédex, left out for the national one.
+ * @type {string}
+ */
+const POKEDEX_PARAM = 'dex';
+
+/**
+ * Suffix of the parameter storing the match mode of a filter dimension, e.g. `typemode`.
+ * @type {string}
+ */
+const MODE_SUFFIX = 'mode';
+
+/**
+ * Prefix of the excluded options in the parameter of a filter dimension.
+ * @type {string}
+ */
+const EXCLUDE_PREFIX = '-';
+
+/**
+ * Search query, selection of each filter dimension, keyed by dimension, and range of each range filter,
+ * e.g. `{ query: 'char', types: { include: ['fire'], exclude: ['water'], mode: 'all' }, ..., ranges: { speed: { min: 100, max: null }, ... } }`.
+ * @typedef {Object<string, *>} FilterState
+ * @property {string} query - The search query.
+ * @property {Object<string, import('./ranges.js').Range>} ranges - The range of each range filter, by key.
+ * @property {import('./sorting.js').Sort} sort - The sort order.
+ * @property {string} pokedex - The name of the Pokédex.
+ */
+
+/**
+ * Returns the current search query, sidebar filters, sort order and Pokédex.
+ *
+ * @returns {FilterState} - The filter state.
+ */
+export const getFilterState = () => ({
+    query: headerElms.searchInput.value.trim(),
+    ...getSelectedFilters(),
+    sort: getSelectedSort(),
+    pokedex: getSelectedPokedex()
+});
+
+/**
+ * Reads the filter state from a query string. Missing parameters get their default value.
+ *
+ * @param {string} search - The query string, e.g. `location.search`.
+ * @returns {FilterState} - The filter state.
+ */
+export const parseFilterState = (search) => {
+    const params = new URLSearchParams(search);
+    const state = { query: params.get(QUERY_PARAM) || '' };
+
+    FILTER_DIMENSIONS.forEach(dimension => {
+        const values = (params.get(dimension.param) || '').split(',').filter(Boolean);
+
+        state[dimension.key] = {
+            include: values.filter(value => !value.startsWith(EXCLUDE_PREFIX)),
+            exclude: values.filter(value => value.startsWith(EXCLUDE_PREFIX)).map(value => value.slice(EXCLUDE_PREFIX.length)),
+            mode: params.get(`${dimension.param}${MODE_SUFFIX}`) === 'all' ? 'all' : 'any'
+        };
+    });
+
+    state.ranges = Object.fromEntries(RANGE_FILTERS.map(filter => [filter.key, parseRange(filter, params.get(filter.param))]));
+    state.sort = parseSort(params.get(SORT_PARAM));
+    state.pokedex = params.get(POKEDEX_PARAM) || POKEDEX_CONFIG.defaultName;
+
+    return state;
+};
+
+/**
+ * Writes the filter state into a query string, keeping any unrelated parameter such as `source`.
+ *
+ * @param {FilterState} state - The filter state.
+ * @param {string} search - The query string to update.
+ * @returns {string} - The updated query string, without the leading `?`.
+ */
+export const serializeFilterState = (state, search) => {
+    const params = new URLSearchParams(search);
+    const set = (name, value) => value ? params.set(name, value) : params.delete(name);
+
+    set(QUERY_PARAM, state.query);
+
+    FILTER_DIMENSIONS.forEach(dimension => {
+        const { include, exclude, mode } = state[dimension.key];
+        const values = [...[...include].sort(), ...exclude.map(value => `${EXCLUDE_PREFIX}${value}`).sort()];
+
+        set(dimension.param, values.join(','));
+        set(`${dimension.param}${MODE_SUFFIX}`, mode === 'all' ? 'all' : '');
+    });
+
+    RANGE_FILTERS.forEach(filter => set(filter.param, formatRange(state.ranges[filter.key])));
+    set(SORT_PARAM, formatSort(state.sort));
+    set(POKEDEX_PARAM, state.pokedex === POKEDEX_CONFIG.defaultName ? '' : state.pokedex);
+
+    // Keep the commas and the colons of the search filters readable, they are valid in a query string
+    return params.toString().replace(/%2C/g, ',').replace(/%3A/g, ':');
+};
+
+/**
+ * Checks whether two filter states select the same Pokémon.
+ *
+ * @param {Object} a - A filter state.
+ * @param {Object} b - Another filter state.
+ * @returns {boolean} - True if both states are equivalent.
+ */
+const isSameState = (a, b) => serializeFilterState(a, '') === serializeFilterState(b, '');
+
+/**
+ * Applies a filter state to the search box, the sidebar controls, the range sliders, the sort control and the Pokédex control.
+ *
+ * @param {FilterState} state - The filter state.
+ * @returns {void}
+ */
+export const applyFilterState = (state) => {
+    headerElms.searchInput.value = state.query;
+
+    FILTER_DIMENSIONS.forEach(dimension => {
+        const { include, exclude, mode } = state[dimension.key];
+        const inputs = (name) => [...sidebarContainer.querySelectorAll(`input[name='${name}']`)];
+
+        inputs(dimension.name).forEach(input => {
+            input.checked = include.includes(input.value);
+        });
+
+        // Single choice dimensions fall back to their `all` option
+        const radios = inputs(dimension.name).filter(input => input.type === 'radio');
+        if (radios.length > 0 && !radios.some(radio => radio.checked)) {
+            radios.find(radio => radio.value === 'all').checked = true;
+        }
+
+        // Unknown options leave the select without a selected option, which means `all` too
+        sidebarContainer.querySelectorAll(`select[name='${dimension.name}']`).forEach(select => {
+            select.value = include[0] ?? 'all';
+            if (select.selectedIndex === -1) select.value = 'all';
+        });
+
+        inputs(`${dimension.name}-exclude`).forEach(checkbox => {
+            checkbox.checked = exclude.includes(checkbox.value) && !include.includes(checkbox.value);
+        });
+
+        inputs(`${dimension.name}-mode`).forEach(radio => {
+            radio.checked = radio.value === mode;
+        });
+    });
+
+    RANGE_FILTERS.forEach(filter => {
+        const { min, max } = state.ranges[filter.key];
+        const slider = (side) => sidebarContainer.querySelector(`input[name='range-${filter.key}-${side}']`);
+
+        if (slider('min') && slider('max')) {
+            slider('min').value = min ?? filter.min;
+            slider('max').value = max ?? filter.max;
+        }
+    });
+    updateRangeOutputs();
+
+    setSelectedSort(state.sort);
+    setSelectedPokedex(state.pokedex);
+};
+
+/**
+ * Restores the filters from the current URL.
+ *
+ * @returns {boolean} - True if the filters in the URL differ from the ones applied before.
+ */
+export const restoreFiltersFromUrl = () => {
+    const state = parseFilterState(location.search);
+    const changed = !isSameState(state, getFilterState());
+
+    applyFilterState(state);
+    return changed;
+};
+
+/**
+ * Stores the current filters in the URL.
+ *
+ * A new history entry is added for each filter change, except while the search query is being edited:
+ * then the entry is replaced, so back/forward does not step through every keystroke.
+ *
+ * @returns {void}
+ */
+export const syncUrlWithFilters = () => {
+    const current = parseFilterState(location.search);
+    const next = getFilterState();
+
+    if (isSameState(current, next)) {
+        return;
+    }
+
+    const isEditingQuery = current.query !== '' && next.query !== '' && isSameState({ ...next, query: current.query }, current);
+
+    const search = serializeFilterState(next, location.search);
+    const url = `${location.pathname}${search ? `?${search}` : ''}${location.hash}`;
+
+    if (isEditingQuery) {
+        history.replaceState(history.state, '', url);
+    } else {
+        history.pushState(history.state, '', url);
+    }
+};
@@ -1,5 +1,10 @@
-import { API_BASE_URL } from '../config/constants.js';
-import { structureMoreInfo, transformPokemonData, transformStructuredData } from '../utils/helper.js';
+import { API_BASE_URL, HTTP_CONFIG, POKEDEX_CONFIG } from '../config/constants.js';
+import cacheService from './cache-service.js';
+import { createDataSource } from './data-source.js';
+import httpClient from './http-client.js';
+import { createEvolutionChain, getFamilyNames } from '../models/evolution-chain.js';
+import { createPokemonDetails, createPokemonStats, normalizeDamageRelations } from '../models/pokemon-details.js';
+import { mapWithConcurrency, transformPokemonData, transformStructuredData } from '../utils/helper.js';
 
 /**
  * Class for interacting with the Pokémon API.
@@ -11,26 +16,68 @@ class APIService {
     /**
      * Creates an instance of APIService.
      * @constructor
+     * @param {RemoteDataSource|FixtureDataSource} dataSource - The data source requests are resolved against.
      */
-    constructor() {
+    constructor(dataSource) {
+        this.dataSource = dataSource;
+        this.speciesSummaries = new Map();
+        this.speciesFlags = null;
     }
 
     /**
-     * Fetches data from the specified URL.
+     * Fetches data from the specified URL, going through the persistent cache.
+     * The URL is resolved against the current data source first, so canonical PokéAPI URLs can be passed.
+     *
+     * Fresh cached responses are returned without touching the network. Stale ones are
+     * returned immediately and revalidated in the background (stale-while-revalidate).
+     *
+     * Large responses of which only a few fields are needed can be reduced with `transform`: the reduced data is
+     * cached instead, under the name of the `view`, so it does not replace the whole response.
      *
      * @async
      * @function fetchData
      * @param {string} url - The URL from which to fetch data. This should be a valid URL string.
+     * @param {Object} [options={}] - Reduction of the response.
+     * @param {string} [options.view] - Name of the reduced data, e.g. `stats`. Required with `transform`.
+     * @param {Function} [options.transform] - Reduces the JSON response before it is cached and returned.
      * @returns {Promise<Object>} - A promise that resolves to the JSON data retrieved from the specified URL.
-     * @throws {Error} - Throws an error if the fetch operation fails or if the response status is not OK.
+     * @throws {Error} - Throws an error if the response is not cached and the fetch operation fails or if the response status is not OK.
      */
-    async fetchData(url) {
-        try {
-            const response = await fetch(url);
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+    async fetchData(url, { view, transform = data => data } = {}) {
+        const resolvedUrl = this.dataSource.resolve(url);
+
+        if (!this.dataSource.cacheable) {
+            return transform(await this.fetchFromNetwork(resolvedUrl));
+        }
+
+        const cacheKey = view ? `${resolvedUrl}#${view}` : resolvedUrl;
+        const cached = await cacheService.get(cacheKey, cacheService.getTtl(url));
+
+        if (cached) {
+            if (cached.stale) {
+                this.revalidate(resolvedUrl, cacheKey, transform);
             }
-            return await response.json();
+            return cached.data;
+        }
+
+        const data = transform(await this.fetchFromNetwork(resolvedUrl));
+        await cacheService.set(cacheKey, data);
+        return data;
+    }
+
+    /**
+     * Fetches data from the specified URL over the network, bypassing the cache.
+     * Failed requests are retried with backoff and identical concurrent requests are shared.
+     *
+     * @async
+     * @function fetchFromNetwork
+     * @param {string} url - The URL from which to fetch data.
+     * @returns {Promise<Object>} - A promise that resolves to the JSON data retrieved from the specified URL.
+     * @throws {Error} - Throws an error if the fetch operation still fails after the retries or if the response status is not retryable.
+     */
+    async fetchFromNetwork(url) {
+        try {
+            return await httpClient.get(url);
         } catch (error) {
             console.error('Error fetching data:', error);
             throw error;
@@ -38,16 +85,94 @@ class APIService {
     }
 
     /**
-     * Fetches data from the Pokémon API and transforms it.
+     * Refreshes a stale cache entry in the background. The stale entry is kept if the network is unavailable.
+     *
+     * @async
+     * @function revalidate
+     * @param {string} url - The URL to refresh.
+     * @param {string} [cacheKey=url] - The key of the cache entry, which differs from the URL for reduced views.
+     * @param {Function} [transform] - Reduces the JSON response before it is cached.
+     * @returns {Promise<void>} - Resolves when the cache entry has been refreshed or the attempt has failed.
+     */
+    async revalidate(url, cacheKey = url, transform = data => data) {
+        try {
+            await cacheService.set(cacheKey, transform(await this.fetchFromNetwork(url)));
+        } catch (error) {
+            console.error(`[revalidate] Keeping stale data for <${url}>:`, error);
+        }
+    }
+
+    /**
+     * Clears every cached API response.
+     *
+     * @async
+     * @function clearCache
+     * @returns {Promise<void>} - Resolves when the cache has been cleared.
+     */
+    async clearCache() {
+        this.speciesSummaries.clear();
+        this.speciesFlags = null;
+        await cacheService.clear();
+    }
+
+    /**
+     * Returns the cache hit/miss statistics.
+     *
+     * @function getCacheStats
+     * @returns {{hits: number, staleHits: number, misses: number}} - The cache statistics.
+     */
+    getCacheStats() {
+        return cacheService.getStats();
+    }
+
+    /**
+     * Registers a callback invoked whenever the cache statistics change.
+     *
+     * @function onCacheStatsChange
+     * @param {Function} callback - The function to call with the updated statistics.
+     * @returns {void}
+     */
+    onCacheStatsChange(callback) {
+        cacheService.addEventListener('statschange', () => callback(cacheService.getStats()));
+    }
+
+    /**
+     * Fetches the Pokémon of a Pokédex from the Pokémon API and transforms them.
      *
      * @async
      * @function
-     * @returns {Promise<void>} - A promise that resolves when the data has been fetched and transformed.
+     * @param {string} [pokedex=POKEDEX_CONFIG.defaultName] - The name of the Pokédex, e.g. `galar`.
+     * @returns {Promise<Array<Object>>} - A promise that resolves to the Pokémon, in the order of the Pokédex.
      * @throws {Error} - Throws an error if the fetch operation fails.
      */
-    async fetchPokemonData() {
-        const result = await this.fetchData(`${API_BASE_URL}/pokedex/national`);
-        return transformPokemonData(result.pokemon_entries);
+    async fetchPokemonData(pokedex = POKEDEX_CONFIG.defaultName) {
+        const result = await this.fetchData(`${API_BASE_URL}/pokedex/${pokedex}`);
+        return transformPokemonData(result.pokemon_entries, this.dataSource.assetsUrl, this.dataSource.spritesUrl);
+    }
+
+    /**
+     * Fetches the names of the Pokédexes, such as `kanto`, `galar` or `paldea`.
+     * There are more of them than the default page size of the API, so they are all requested at once.
+     *
+     * @async
+     * @function
+     * @returns {Promise<Array<string>>} - A promise that resolves to the names of the Pokédexes.
+     * @throws {Error} - Throws an error if the fetch operation fails.
+     */
+    async fetchPokedexNames() {
+        const result = await this.fetchData(`${API_BASE_URL}/pokedex?limit=${POKEDEX_CONFIG.listLimit}`);
+        return result.results.map(elm => elm.name);
+    }
+
+    /**
+     * Returns the URL of the front sprite of a Pokémon in the current data source.
+     *
+     * @function
+     * @param {number} id - The national Pokédex number of the Pokémon.
+     * @returns {string} - The URL of the sprite.
+     */
+    getSpriteUrl(id) {
+        return `${this.dataSource.spritesUrl}/${id}.png`;
     }
 
     /**
@@ -120,17 +245,214 @@ class APIService {
     }
 
     /**
-     * Fetches detailed information about a Pokémon from the given URL.
+     * Fetches a named resource list of the API, such as `/generation` or `/egg-group`.
      * 
-     * @param {string} url - The URL from which to fetch Pokémon data.
-     * @returns {Promise<string>} - A promise that resolves to a formatted string containing detailed Pokémon information.
-     * @throws {Error} - Throws an error if the fetch operation fails or if there is a problem processing the data.
+     * @param {string} path - The endpoint path, e.g. `/pokemon-habitat`.
+     * @returns {Promise<Object>} - A promise that resolves to an object where the keys are the resource names and the values are objects containing a URL and an empty data array.
+     * @throws {Error} - Throws an error if the fetch operation fails.
      */
-    async fetchMoreInfoPokemons(url) {
+    async fetchResourceList(path) {
+        const result = await this.fetchData(`${API_BASE_URL}${path}`);
+        return transformStructuredData(result.results);
+    }
+
+    /**
+     * Fetches the Pokémon species of a species-based resource, such as a generation, a habitat, a shape or an egg group.
+     * 
+     * @param {string} url - The URL of the resource.
+     * @returns {Promise<Array<string>>} - A promise that resolves to an array of Pokémon species names.
+     * @throws {Error} - Throws an error if the fetch operation fails.
+     */
+    async fetchSpeciesNames(url) {
         const result = await this.fetchData(url);
-        return structureMoreInfo(result);
+        return result.pokemon_species.map(elm => elm.name);
+    }
+
+    /**
+     * Fetches the Pokémon species that have a flag set, such as legendary, see `fetchSpeciesFlags`.
+     * 
+     * @param {string} flag - The flag of the species, `legendary` or `mythical`.
+     * @returns {Promise<Array<string>>} - A promise that resolves to an array of Pokémon species names.
+     * @throws {Error} - Throws an error if the national Pokédex or every species summary fails to load.
+     */
+    async fetchSpeciesNamesWithFlag(flag) {
+        const flags = await this.fetchSpeciesFlags();
+        return flags[flag];
+    }
+
+    /**
+     * Fetches the legendary and the mythical Pokémon species in one pass, shared between callers; on failure the pass
+     * is dropped so the next call retries.
+     * There is no endpoint listing them, so the summary of every species of the national Pokédex is read, a few at a
+     * time. The summaries loaded for the search names are reused, so this mostly waits for the names pass.
+     * Species whose summary fails to load are left out.
+     * 
+     * @returns {Promise<{legendary: Array<string>, mythical: Array<string>}>} - A promise that resolves to the species names with each flag.
+     * @throws {Error} - Throws an error if the national Pokédex or every species summary fails to load.
+     */
+    fetchSpeciesFlags() {
+        if (!this.speciesFlags) {
+            this.speciesFlags = this.collectSpeciesFlags().catch(error => {
+                this.speciesFlags = null;
+                throw error;
+            });
+        }
+        return this.speciesFlags;
+    }
+
+    /**
+     * Reads the flags of every species of the national Pokédex from their summaries, see `fetchSpeciesFlags`.
+     * 
+     * @async
+     * @returns {Promise<{legendary: Array<string>, mythical: Array<string>}>} - A promise that resolves to the species names with each flag.
+     * @throws {Error} - Throws an error if the national Pokédex or every species summary fails to load.
+     */
+    async collectSpeciesFlags() {
+        const result = await this.fetchData(`${API_BASE_URL}/pokedex/national`);
+        const species = result.pokemon_entries.map(elm => elm.pokemon_species);
+        const summaries = await Promise.allSettled(
+            mapWithConcurrency(species, HTTP_CONFIG.backgroundConcurrent, elm => this.fetchSpeciesSummary(elm.url))
+        );
+
+        const failed = summaries.filter(elm => elm.status === 'rejected');
+        if (failed.length === summaries.length && failed.length > 0) {
+            throw failed[0].reason;
+        }
+        if (failed.length > 0) {
+            console.error(`[collectSpeciesFlags] ${failed.length} species left out of the status filter:`, failed[0].reason);
+        }
+
+        const withFlag = flag => species
+            .filter((elm, index) => summaries[index].status === 'fulfilled' && summaries[index].value[flag])
+            .map(elm => elm.name);
+
+        return { legendary: withFlag('legendary'), mythical: withFlag('mythical') };
+    }
+
+    /**
+     * Fetches the summary of a Pokémon species: its names in every language, to search them, and its status flags.
+     * Only the summary is cached, the detail view fetches the whole species when it is opened. Summaries are also
+     * kept in memory, so the search names and the status filter share them; a failed one is dropped to be retried.
+     * 
+     * @param {string} url - The URL of the species.
+     * @returns {Promise<{names: Array<string>, legendary: boolean, mythical: boolean}>} - A promise that resolves to the summary of the species.
+     * @throws {Error} - Throws an error if the fetch operation fails.
+     */
+    fetchSpeciesSummary(url) {
+        if (!this.speciesSummaries.has(url)) {
+            const summary = this.fetchData(url, {
+                view: 'summary',
+                transform: species => ({
+                    names: [...new Set(species.names.map(elm => elm.name))],
+                    legendary: Boolean(species.is_legendary),
+                    mythical: Boolean(species.is_mythical)
+                })
+            }).catch(error => {
+                this.speciesSummaries.delete(url);
+                throw error;
+            });
+            this.speciesSummaries.set(url, summary);
+        }
+        return this.speciesSummaries.get(url);
+    }
+
+    /**
+     * Fetches the names of a Pokémon species in every language, to search them.
+     * 
+     * @param {string} url - The URL of the species.
+     * @returns {Promise<Array<string>>} - A promise that resolves to the distinct names of the species.
+     * @throws {Error} - Throws an error if the fetch operation fails.
+     */
+    async fetchPokemonNames(url) {
+        const summary = await this.fetchSpeciesSummary(url);
+        return summary.names;
+    }
+
+    /**
+     * Fetches the base stats, height and weight of a Pokémon's default form.
+     * Only these fields are cached, since the whole `/pokemon` response is large and this is fetched for every Pokémon.
+     * 
+     * @param {number} id - The national Pokédex number of the Pokémon.
+     * @returns {Promise<import('../models/pokemon-details.js').PokemonStats>} - A promise that resolves to the stats of the Pokémon.
+     * @throws {Error} - Throws an error if the fetch operation fails.
+     */
+    async fetchPokemonStats(id) {
+        return this.fetchData(`${API_BASE_URL}/pokemon/${id}/`, { view: 'stats', transform: createPokemonStats });
+    }
+
+    /**
+     * Fetches the type names of a Pokémon's default form, in slot order.
+     * Only the type names are cached, the detail view fetches the whole `/pokemon` response when it is opened.
+     * 
+     * @param {number} id - The national Pokédex number of the Pokémon.
+     * @returns {Promise<Array<string>>} - A promise that resolves to the type names, e.g. `['fire', 'flying']`.
+     * @throws {Error} - Throws an error if the fetch operation fails.
+     */
+    async fetchPokemonTypeNames(id) {
+        return this.fetchData(`${API_BASE_URL}/pokemon/${id}/`, {
+            view: 'types',
+            transform: pokemon => pokemon.types.map(elm => elm.type.name)
+        });
+    }
+
+    /**
+     * Fetches the damage relations of every type that has some, in the order of the type list.
+     * Types such as `unknown` and `shadow` have none and are left out.
+     * The whole `/type` responses are fetched, so the ones already cached for the type filter are reused.
+     * 
+     * @returns {Promise<Object<string, import('../models/pokemon-details.js').DamageRelations>>} - A promise that resolves to the damage relations of each type, by type name.
+     * @throws {Error} - Throws an error if any of the fetch operations fails.
+     */
+    async fetchTypeDamageRelations() {
+        const types = await this.fetchPokemonTypes();
+        const entries = await Promise.all(Object.entries(types).map(async ([name, { url }]) => [
+            name,
+            normalizeDamageRelations((await this.fetchData(url)).damage_relations)
+        ]));
+        return Object.fromEntries(entries.filter(([, relations]) => Object.values(relations).some(list => list.length > 0)));
+    }
+
+    /**
+     * Fetches the evolution tree of a family of Pokémon.
+     * 
+     * @param {string} url - The URL of the evolution chain, as given by the species.
+     * @returns {Promise<import('../models/evolution-chain.js').EvolutionStage>} - A promise that resolves to the first stage of the family.
+     * @throws {Error} - Throws an error if the fetch operation fails.
+     */
+    async fetchEvolutionChain(url) {
+        return createEvolutionChain(await this.fetchData(url));
+    }
+
+    /**
+     * Fetches the species names of the evolution family of a Pokémon, the Pokémon included.
+     * The whole species is fetched, so the one cached by the detail view is reused.
+     * 
+     * @param {string} url - The URL of the species.
+     * @returns {Promise<Array<string>>} - A promise that resolves to the species names of the family.
+     * @throws {Error} - Throws an error if any of the fetch operations fails.
+     */
+    async fetchFamilyNames(url) {
+        const species = await this.fetchData(url);
+        if (!species.evolution_chain) return [species.name];
+        return getFamilyNames(await this.fetchEvolutionChain(species.evolution_chain.url));
+    }
+
+    /**
+     * Fetches detailed information about a Pokémon from the given species URL.
+     * The species, its default form and its types are merged into a single normalized model.
+     * 
+     * @param {string} url - The URL of the Pokémon species.
+     * @returns {Promise<import('../models/pokemon-details.js').PokemonDetails>} - A promise that resolves to the normalized Pokémon details.
+     * @throws {Error} - Throws an error if any of the fetch operations fails.
+     */
+    async fetchMoreInfoPokemons(url) {
+        const species = await this.fetchData(url);
+        const variety = species.varieties.find(elm => elm.is_default) || species.varieties[0];
+        const pokemon = await this.fetchData(variety.pokemon.url);
+        const types = await Promise.all(pokemon.types.map(elm => this.fetchData(elm.type.url)));
+        return createPokemonDetails({ species, pokemon, types });
     }
 }
 
-const apiService = new APIService();
+const apiService = new APIService(createDataSource());
 export default apiService;
\ No newline at end of file
@@ -0,0 +1,211 @@
+import { API_BASE_URL, CACHE_CONFIG } from '../config/constants.js';
+
+/**
+ * Wraps an IndexedDB request in a promise.
+ *
+ * @param {IDBRequest} request - The IndexedDB request to wrap.
+ * @returns {Promise<any>} - A promise that resolves with the request result.
+ */
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+/**
+ * Class for persisting API responses between sessions.
+ *
+ * Entries are stored in IndexedDB when it is available and in memory otherwise.
+ * Each entry keeps the time it was stored, so callers can decide whether it is
+ * still fresh according to the TTL configured for its endpoint.
+ *
+ * @class
+ * @extends EventTarget
+ */
+class CacheService extends EventTarget {
+
+    /**
+     * Creates an instance of CacheService.
+     * @constructor
+     */
+    constructor() {
+        super();
+        this.memoryStore = new Map();
+        this.database = this.openDatabase();
+        this.stats = { hits: 0, staleHits: 0, misses: 0 };
+        this.statsChangePending = false;
+    }
+
+    /**
+     * Opens the IndexedDB database, creating the object store if needed.
+     *
+     * @function
+     * @returns {Promise<IDBDatabase|null>} - The database, or null when IndexedDB is not available.
+     */
+    async openDatabase() {
+        if (typeof indexedDB === 'undefined') {
+            return null;
+        }
+
+        try {
+            const request = indexedDB.open(CACHE_CONFIG.dbName, CACHE_CONFIG.dbVersion);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(CACHE_CONFIG.storeName, { keyPath: 'url' });
+            };
+            return await promisifyRequest(request);
+        } catch (error) {
+            console.error('[CacheService] IndexedDB not available, using memory cache:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Gets the object store for the given transaction mode.
+     *
+     * @function
+     * @param {IDBTransactionMode} mode - The transaction mode.
+     * @returns {Promise<IDBObjectStore|null>} - The object store, or null when using the memory cache.
+     */
+    async getStore(mode) {
+        const database = await this.database;
+        return database
+            ? database.transaction(CACHE_CONFIG.storeName, mode).objectStore(CACHE_CONFIG.storeName)
+            : null;
+    }
+
+    /**
+     * Returns the TTL configured for the endpoint of the given URL.
+     * The longest matching endpoint prefix wins, falling back to the default TTL.
+     *
+     * @function
+     * @param {string} url - The canonical PokéAPI URL.
+     * @returns {number} - The TTL in milliseconds.
+     */
+    getTtl(url) {
+        const path = url.startsWith(API_BASE_URL) ? url.slice(API_BASE_URL.length) : url;
+        const endpoint = Object.keys(CACHE_CONFIG.endpointTtl)
+            .filter(prefix => path.startsWith(prefix))
+            .sort((a, b) => b.length - a.length)[0];
+
+        return endpoint ? CACHE_CONFIG.endpointTtl[endpoint] : CACHE_CONFIG.defaultTtl;
+    }
+
+    /**
+     * Gets a cached response and records a hit or a miss.
+     *
+     * @async
+     * @function
+     * @param {string} url - The URL the response was fetched from.
+     * @param {number} [ttl] - The TTL in milliseconds, defaults to the one configured for the URL's endpoint.
+     * @returns {Promise<{data: Object, stale: boolean}|null>} - The cached data and whether it is past its TTL, or null on a miss.
+     */
+    async get(url, ttl = this.getTtl(url)) {
+        let entry = null;
+
+        try {
+            const store = await this.getStore('readonly');
+            entry = store ? await promisifyRequest(store.get(url)) : this.memoryStore.get(url);
+        } catch (error) {
+            console.error(`[CacheService] Error reading <${url}>:`, error);
+        }
+
+        if (!entry) {
+            this.updateStats('misses');
+            return null;
+        }
+
+        const stale = Date.now() - entry.timestamp > ttl;
+        this.updateStats(stale ? 'staleHits' : 'hits');
+
+        return { data: entry.data, stale };
+    }
+
+    /**
+     * Stores a response in the cache.
+     *
+     * @async
+     * @function
+     * @param {string} url - The URL the response was fetched from.
+     * @param {Object} data - The parsed JSON response.
+     * @returns {Promise<void>} - Resolves when the response has been stored.
+     */
+    async set(url, data) {
+        const entry = { url, data, timestamp: Date.now() };
+
+        try {
+            const store = await this.getStore('readwrite');
+            if (store) {
+                await promisifyRequest(store.put(entry));
+            } else {
+                this.memoryStore.set(url, entry);
+            }
+        } catch (error) {
+            console.error(`[CacheService] Error writing <${url}>:`, error);
+        }
+    }
+
+    /**
+     * Removes every cached response and resets the statistics.
+     *
+     * @async
+     * @function
+     * @returns {Promise<void>} - Resolves when the cache has been cleared.
+     */
+    async clear() {
+        this.memoryStore.clear();
+
+        try {
+            const store = await this.getStore('readwrite');
+            if (store) {
+                await promisifyRequest(store.clear());
+            }
+        } catch (error) {
+            console.error('[CacheService] Error clearing cache:', error);
+        }
+
+        this.stats = { hits: 0, staleHits: 0, misses: 0 };
+        this.notifyStatsChange();
+    }
+
+    /**
+     * Returns a copy of the hit/miss statistics.
+     *
+     * @function
+     * @returns {{hits: number, staleHits: number, misses: number}} - The cache statistics.
+     */
+    getStats() {
+        return { ...this.stats };
+    }
+
+    /**
+     * Increments a statistics counter and notifies listeners.
+     *
+     * @function
+     * @param {string} key - The counter to increment.
+     * @returns {void}
+     */
+    updateStats(key) {
+        this.stats[key] += 1;
+        this.notifyStatsChange();
+    }
+
+    /**
+     * Dispatches a `statschange` event on the next animation frame, once for every change made until then,
+     * so the thousands of reads of a cold start do not render the statistics each time.
+     *
+     * @function
+     * @returns {void}
+     */
+    notifyStatsChange() {
+        if (this.statsChangePending) return;
+
+        this.statsChangePending = true;
+        const nextFrame = globalThis.requestAnimationFrame ?? (callback => setTimeout(callback, 16));
+        nextFrame(() => {
+            this.statsChangePending = false;
+            this.dispatchEvent(new Event('statschange'));
+        });
+    }
+}
+
+const cacheService = new CacheService();
+export default cacheService;
@@ -0,0 +1,113 @@
+import { API_BASE_URL, DATA_SOURCES, DATA_SOURCE_PARAM, DEFAULT_DATA_SOURCE } from '../config/constants.js';
+
+/**
+ * Returns the API path and the query string of a PokéAPI URL, e.g. `/type/10` for `https://pokeapi.co/api/v2/type/10/`
+ * and `/pokedex` with `limit=100` for `https://pokeapi.co/api/v2/pokedex?limit=100`.
+ *
+ * @param {string} url - An absolute PokéAPI URL.
+ * @param {string} baseUrl - The base URL the path is relative to.
+ * @returns {{path: string, query: string}|null} - The path without trailing slash and the query string without
+ * leading `?`, or null if the URL is not under the base URL.
+ */
+const getApiPath = (url, baseUrl) => {
+    if (!url.startsWith(baseUrl)) {
+        return null;
+    }
+    const [path, query = ''] = url.slice(baseUrl.length).split('?');
+    return { path: path.replace(/\/+$/, ''), query };
+};
+
+/**
+ * Data source backed by a PokéAPI server: the live API or a self-hosted mirror.
+ *
+ * @class
+ */
+export class RemoteDataSource {
+
+    /**
+     * Creates an instance of RemoteDataSource.
+     * @constructor
+     * @param {Object} config - The data source configuration.
+     * @param {string} config.apiBaseUrl - Base URL of the PokéAPI server.
+     * @param {string} config.assetsUrl - Base URL for Pokémon artwork.
+     * @param {string} config.spritesUrl - Base URL for Pokémon sprites.
+     */
+    constructor({ apiBaseUrl, assetsUrl, spritesUrl }) {
+        this.apiBaseUrl = apiBaseUrl.replace(/\/+$/, '');
+        this.assetsUrl = assetsUrl;
+        this.spritesUrl = spritesUrl;
+        this.cacheable = true;
+    }
+
+    /**
+     * Maps a canonical PokéAPI URL to the URL to request from this source.
+     * URLs returned by the server itself are already resolved.
+     *
+     * @function
+     * @param {string} url - The canonical or already resolved URL.
+     * @returns {string} - The URL to request.
+     */
+    resolve(url) {
+        const apiPath = getApiPath(url, API_BASE_URL);
+        if (apiPath === null) return url;
+
+        const { path, query } = apiPath;
+        return `${this.apiBaseUrl}${path}/${query ? `?${query}` : ''}`;
+    }
+}
+
+/**
+ * Data source backed by the static JSON fixtures bundled with the app, for offline development, demos and tests.
+ * Each endpoint is stored at `<basePath>/<api path>.json`.
+ *
+ * @class
+ */
+export class FixtureDataSource {
+
+    /**
+     * Creates an instance of FixtureDataSource.
+     * @constructor
+     * @param {Object} config - The data source configuration.
+     * @param {string} config.basePath - Path of the fixtures directory, relative to the page.
+     * @param {string} config.assetsUrl - Base URL for Pokémon artwork.
+     * @param {string} config.spritesUrl - Base URL for Pokémon sprites.
+     */
+    constructor({ basePath, assetsUrl, spritesUrl }) {
+        this.basePath = basePath.replace(/\/+$/, '');
+        this.assetsUrl = assetsUrl;
+        this.spritesUrl = spritesUrl;
+        // Fixtures are local files, caching them would only hide edits made during development
+        this.cacheable = false;
+    }
+
+    /**
+     * Maps a canonical PokéAPI URL to its fixture file.
+     * A fixture holds the whole resource, so the query string, e.g. `?limit=100`, is ignored.
+     *
+     * @function
+     * @param {string} url - The canonical PokéAPI URL.
+     * @returns {string} - The path of the fixture file.
+     */
+    resolve(url) {
+        const apiPath = getApiPath(url, API_BASE_URL);
+        return apiPath === null ? url : `${this.basePath}${apiPath.path}.json`;
+    }
+}
+
+/**
+ * Creates the data source selected by the `source` URL parameter, falling back to the configured default.
+ *
+ * @param {string} [search=location.search] - The query string to read the URL parameter from.
+ * @returns {RemoteDataSource|FixtureDataSource} - The selected data source.
+ */
+export const createDataSource = (search = location.search) => {
+    const requested = new URLSearchParams(search).get(DATA_SOURCE_PARAM);
+    const name = Object.hasOwn(DATA_SOURCES, requested ?? '') ? requested : DEFAULT_DATA_SOURCE;
+
+    if (requested && name !== requested) {
+        console.warn(`[createDataSource] Unknown data source <${requested}>, using <${name}>`);
+    }
+
+    const config = DATA_SOURCES[name];
+    return config.type === 'fixture' ? new FixtureDataSource(config) : new RemoteDataSource(config);
+};
@@ -0,0 +1,149 @@
+import { FilterEngine } from '../modules/filter-engine.js';
+
+/**
+ * Class running the filter engine in a dedicated Web Worker, so searching and filtering every Pokémon does not
+ * block typing. Where workers are not available, or the worker fails to start, the engine runs on the main thread
+ * behind the same asynchronous API.
+ *
+ * @class
+ */
+class FilterService {
+
+    /**
+     * Creates an instance of FilterService, starting the worker when possible.
+     * @constructor
+     */
+    constructor() {
+        this.requests = new Map();
+        this.nextRequestId = 0;
+        this.engine = null;
+        this.worker = null;
+        this.isWorkerReady = false;
+
+        if (typeof Worker === 'function') {
+            try {
+                this.worker = new Worker(new URL('../modules/filter-worker.js', import.meta.url), { type: 'module' });
+                this.worker.addEventListener('message', (event) => this.handleMessage(event));
+                this.worker.addEventListener('error', (event) => this.handleWorkerError(event));
+            } catch (error) {
+                console.error('[FilterService] Error starting the filter worker:', error);
+                this.worker = null;
+            }
+        }
+
+        if (!this.worker) {
+            this.engine = new FilterEngine();
+        }
+    }
+
+    /**
+     * Calls a method of the filter engine, in the worker or on the main thread.
+     *
+     * @param {string} method - The name of the method.
+     * @param {...*} args - The arguments of the method, copied when sent to the worker.
+     * @returns {Promise<*>} - A promise that resolves to the result of the method.
+     */
+    call(method, ...args) {
+        if (this.engine) {
+            try {
+                return Promise.resolve(this.engine[method](...args));
+            } catch (error) {
+                return Promise.reject(error);
+            }
+        }
+
+        return new Promise((resolve, reject) => {
+            const id = ++this.nextRequestId;
+            this.requests.set(id, { method, args, resolve, reject });
+            this.worker.postMessage({ id, method, args });
+        });
+    }
+
+    /**
+     * Settles the request answered by a message of the worker.
+     *
+     * @param {MessageEvent} event - The message event of the worker.
+     * @returns {void}
+     */
+    handleMessage({ data: { id, result, error } }) {
+        const request = this.requests.get(id);
+        if (!request) return;
+
+        this.isWorkerReady = true;
+        this.requests.delete(id);
+
+        if (error) {
+            request.reject(new Error(error));
+        } else {
+            request.resolve(result);
+        }
+    }
+
+    /**
+     * Falls back to the main thread when the worker fails to start, e.g. where module workers are not supported.
+     * No request has been answered then, so replaying them in order rebuilds the same state.
+     *
+     * @param {ErrorEvent} event - The error event of the worker.
+     * @returns {void}
+     */
+    handleWorkerError(event) {
+        if (this.isWorkerReady) {
+            console.error('[FilterService] Error in the filter worker:', event.message);
+            return;
+        }
+
+        console.error('[FilterService] The filter worker could not start, filtering on the main thread:', event.message);
+        event.preventDefault();
+        this.worker.terminate();
+        this.worker = null;
+        this.engine = new FilterEngine();
+
+        const requests = [...this.requests.values()];
+        this.requests.clear();
+        requests.forEach(({ method, args, resolve, reject }) => this.call(method, ...args).then(resolve, reject));
+    }
+
+    /**
+     * Replaces the Pokémon data of the engine.
+     *
+     * @param {Array<Object>} pokemonList - The Pokémon, with their `id` and `name`.
+     * @returns {Promise<void>} - Resolves when the data has been indexed.
+     */
+    setPokemon(pokemonList) {
+        return this.call('setPokemon', pokemonList);
+    }
+
+    /**
+     * Sets a piece of data of some Pokémon, e.g. their stats once loaded.
+     *
+     * @param {string} property - The property of the Pokémon receiving the data, `stats` or `names`.
+     * @param {Array<Array>} values - `[id, value]` of each Pokémon.
+     * @returns {Promise<void>} - Resolves when the data has been set.
+     */
+    updatePokemon(property, values) {
+        return this.call('updatePokemon', property, values);
+    }
+
+    /**
+     * Sets the Pokémon names of some options of the filter dimensions.
+     *
+     * @param {Array<Array>} entries - `[dimension key, option, Pokémon names]` of each option.
+     * @returns {Promise<void>} - Resolves when the names have been set.
+     */
+    setOptionNames(entries) {
+        return this.call('setOptionNames', entries);
+    }
+
+    /**
+     * Filters, sorts and counts the Pokémon, see `FilterEngine#filter`.
+     *
+     * @param {import('../modules/filter-engine.js').FilterRequest} request - The filter request.
+     * @returns {Promise<import('../modules/filter-engine.js').FilterResult>} - A promise that resolves to the results.
+     */
+    filter(request) {
+        return this.call('filter', request);
+    }
+}
+
+const filterService = new FilterService();
+export default filterService;
@@ -0,0 +1,174 @@
+import { HTTP_CONFIG } from '../config/constants.js';
+
+/**
+ * Error thrown when a request completes with a non-OK HTTP status.
+ *
+ * @class
+ * @extends Error
+ */
+export class HttpError extends Error {
+
+    /**
+     * Creates an instance of HttpError.
+     * @constructor
+     * @param {Response} response - The response that failed.
+     */
+    constructor(response) {
+        super(`HTTP error! status: ${response.status}`);
+        this.name = 'HttpError';
+        this.status = response.status;
+        this.retryAfter = Number(response.headers?.get('Retry-After')) || 0;
+    }
+}
+
+/**
+ * Waits for the given number of milliseconds.
+ *
+ * @param {number} ms - The delay in milliseconds.
+ * @returns {Promise<void>} - Resolves after the delay.
+ */
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Class for issuing JSON GET requests with retries, timeouts, de-duplication and a concurrency cap.
+ *
+ * @class
+ */
+class HttpClient {
+
+    /**
+     * Creates an instance of HttpClient.
+     * @constructor
+     * @param {Object} config - The request pipeline configuration, see `HTTP_CONFIG`.
+     */
+    constructor(config) {
+        this.config = config;
+        this.inFlight = new Map();
+        this.activeRequests = 0;
+        this.queue = [];
+    }
+
+    /**
+     * Fetches JSON from the given URL. Concurrent calls for the same URL share a single request.
+     *
+     * @async
+     * @function get
+     * @param {string} url - The URL to fetch.
+     * @returns {Promise<Object>} - A promise that resolves to the parsed JSON body.
+     * @throws {Error} - Throws the last error once every retry has failed.
+     */
+    get(url) {
+        if (!this.inFlight.has(url)) {
+            const request = this.fetchWithRetry(url).finally(() => this.inFlight.delete(url));
+            this.inFlight.set(url, request);
+        }
+
+        return this.inFlight.get(url);
+    }
+
+    /**
+     * Fetches the URL, retrying network errors, timeouts and retryable statuses with exponential backoff.
+     *
+     * @async
+     * @function fetchWithRetry
+     * @param {string} url - The URL to fetch.
+     * @returns {Promise<Object>} - A promise that resolves to the parsed JSON body.
+     * @throws {Error} - Throws the last error once every retry has failed, or a non-retryable error right away.
+     */
+    async fetchWithRetry(url) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.schedule(() => this.fetchOnce(url));
+            } catch (error) {
+                if (attempt >= this.config.maxRetries || !this.isRetryable(error)) {
+                    throw error;
+                }
+
+                const delay = error.retryAfter ? error.retryAfter * 1000 : this.getBackoffDelay(attempt);
+                console.warn(`[HttpClient] Retrying <${url}> in ${Math.round(delay)}ms (attempt ${attempt + 1}):`, error.message);
+                await wait(delay);
+            }
+        }
+    }
+
+    /**
+     * Performs a single request, aborting it once the configured timeout is reached.
+     *
+     * @async
+     * @function fetchOnce
+     * @param {string} url - The URL to fetch.
+     * @returns {Promise<Object>} - A promise that resolves to the parsed JSON body.
+     * @throws {HttpError} - Throws if the response status is not OK.
+     */
+    async fetchOnce(url) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), this.config.timeout);
+
+        try {
+            const response = await fetch(url, { signal: controller.signal });
+            if (!response.ok) {
+                throw new HttpError(response);
+            }
+            return await response.json();
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    /**
+     * Runs a task once a concurrency slot is free.
+     *
+     * @async
+     * @function schedule
+     * @param {Function} task - The async task to run.
+     * @returns {Promise<any>} - A promise that resolves to the task result.
+     */
+    async schedule(task) {
+        if (this.activeRequests >= this.config.maxConcurrent) {
+            await new Promise(resolve => this.queue.push(resolve));
+        } else {
+            this.activeRequests += 1;
+        }
+
+        try {
+            return await task();
+        } finally {
+            const next = this.queue.shift();
+            if (next) {
+                next();
+            } else {
+                this.activeRequests -= 1;
+            }
+        }
+    }
+
+    /**
+     * Checks whether a failed request should be retried.
+     *
+     * @function isRetryable
+     * @param {Error} error - The request error.
+     * @returns {boolean} - True for network errors, timeouts and retryable HTTP statuses.
+     */
+    isRetryable(error) {
+        if (error instanceof HttpError) {
+            return this.config.retryStatuses.includes(error.status);
+        }
+        // fetch rejects with a TypeError on network failures and an AbortError on timeouts
+        return error instanceof TypeError || error.name === 'AbortError';
+    }
+
+    /**
+     * Returns the exponential backoff delay for the given attempt, with jitter.
+     *
+     * @function getBackoffDelay
+     * @param {number} attempt - The zero-based attempt number.
+     * @returns {number} - The delay in milliseconds.
+     */
+    getBackoffDelay(attempt) {
+        const delay = Math.min(this.config.maxDelay, this.config.baseDelay * 2 ** attempt);
+        return delay / 2 + Math.random() * delay / 2;
+    }
+}
+
+const httpClient = new HttpClient(HTTP_CONFIG);
+export default httpClient;
@@ -0,0 +1,300 @@
+import { TEAM_CONFIG } from '../config/constants.js';
+import { translate } from '../config/i18n.js';
+
+/**
+ * @typedef {Object} Team
+ * @property {string} name - The name of the team.
+ * @property {Array<number>} members - The national Pokédex numbers of its Pokémon, in team order.
+ */
+
+/**
+ * Keeps the valid members of a list: distinct positive integers, up to the team size.
+ *
+ * @param {Array<*>} members - The members to check.
+ * @returns {Array<number>} - The valid members, in the same order.
+ */
+const sanitizeMembers = (members) => [...new Set(members.map(Number))]
+    .filter(id => Number.isInteger(id) && id > 0)
+    .slice(0, TEAM_CONFIG.maxSize);
+
+/**
+ * Class keeping the teams of the team builder, saved in localStorage between sessions.
+ * One team is active at a time: the Pokémon cards add to it and the team panel shows it.
+ *
+ * Where localStorage is not available, e.g. when storage is blocked, the teams are kept for the session only.
+ *
+ * @class
+ * @extends EventTarget
+ */
+class TeamService extends EventTarget {
+
+    /**
+     * Creates an instance of TeamService, loading the saved teams.
+     * @constructor
+     */
+    constructor() {
+        super();
+        this.teams = [];
+        this.activeIndex = 0;
+        this.load();
+    }
+
+    /**
+     * Loads the saved teams, starting with an empty team when there are none or they cannot be read.
+     *
+     * @function
+     * @returns {void}
+     */
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(TEAM_CONFIG.storageKey) || 'null');
+            if (Array.isArray(saved?.teams)) {
+                this.teams = saved.teams
+                    .filter(team => typeof team?.name === 'string' && Array.isArray(team.members))
+                    .map(team => ({ name: team.name, members: sanitizeMembers(team.members) }));
+                this.activeIndex = Number(saved.activeIndex) || 0;
+            }
+        } catch (error) {
+            console.error('[TeamService] Error loading the saved teams:', error);
+        }
+
+        if (this.teams.length === 0) {
+            this.teams = [{ name: this.getNewTeamName(), members: [] }];
+        }
+        this.activeIndex = Math.min(Math.max(0, this.activeIndex), this.teams.length - 1);
+    }
+
+    /**
+     * Saves the teams and notifies the listeners of the change.
+     *
+     * @function
+     * @fires TeamService#change
+     * @returns {void}
+     */
+    save() {
+        try {
+            localStorage.setItem(TEAM_CONFIG.storageKey, JSON.stringify({ teams: this.teams, activeIndex: this.activeIndex }));
+        } catch (error) {
+            console.error('[TeamService] Error saving the teams:', error);
+        }
+
+        this.dispatchEvent(new Event('change'));
+    }
+
+    /**
+     * Registers a callback invoked whenever the teams change.
+     *
+     * @function
+     * @param {Function} callback - The function to call.
+     * @returns {void}
+     */
+    onChange(callback) {
+        this.addEventListener('change', () => callback());
+    }
+
+    /**
+     * Returns the saved teams.
+     *
+     * @function
+     * @returns {Array<Team>} - The teams.
+     */
+    getTeams() {
+        return this.teams;
+    }
+
+    /**
+     * Returns the index of the active team.
+     *
+     * @function
+     * @returns {number} - The index of the active team.
+     */
+    getActiveIndex() {
+        return this.activeIndex;
+    }
+
+    /**
+     * Returns the active team.
+     *
+     * @function
+     * @returns {Team} - The active team.
+     */
+    getActiveTeam() {
+        return this.teams[this.activeIndex];
+    }
+
+    /**
+     * Returns a default name for a new team, e.g. `Team 2`, not used by another team.
+     *
+     * @function
+     * @returns {string} - The name.
+     */
+    getNewTeamName() {
+        const names = new Set(this.teams.map(team => team.name));
+        let number = this.teams.length + 1;
+        while (names.has(`${translate('team')} ${number}`)) number += 1;
+        return `${translate('team')} ${number}`;
+    }
+
+    /**
+     * Makes a team the active one.
+     *
+     * @function
+     * @param {number} index - The index of the team.
+     * @returns {void}
+     */
+    selectTeam(index) {
+        if (!this.teams[index] || index === this.activeIndex) return;
+
+        this.activeIndex = index;
+        this.save();
+    }
+
+    /**
+     * Creates a team and makes it the active one.
+     *
+     * @function
+     * @param {string} [name=this.getNewTeamName()] - The name of the team.
+     * @param {Array<number>} [members=[]] - The national Pokédex numbers of its Pokémon.
+     * @returns {number} - The index of the new team.
+     */
+    createTeam(name = this.getNewTeamName(), members = []) {
+        this.teams.push({ name: name.trim() || this.getNewTeamName(), members: sanitizeMembers(members) });
+        this.activeIndex = this.teams.length - 1;
+        this.save();
+        return this.activeIndex;
+    }
+
+    /**
+     * Renames a team. Blank names are ignored.
+     *
+     * @function
+     * @param {number} index - The index of the team.
+     * @param {string} name - The new name.
+     * @returns {boolean} - False if the name is blank or there is no such team.
+     */
+    renameTeam(index, name) {
+        const team = this.teams[index];
+        if (!team || !name.trim()) return false;
+
+        team.name = name.trim();
+        this.save();
+        return true;
+    }
+
+    /**
+     * Deletes a team. The last team is replaced by an empty one, so there is always an active team.
+     *
+     * @function
+     * @param {number} index - The index of the team.
+     * @returns {void}
+     */
+    deleteTeam(index) {
+        if (!this.teams[index]) return;
+
+        this.teams.splice(index, 1);
+        if (this.teams.length === 0) {
+            this.teams.push({ name: this.getNewTeamName(), members: [] });
+        }
+        if (index < this.activeIndex || this.activeIndex >= this.teams.length) {
+            this.activeIndex = Math.max(0, this.activeIndex - 1);
+        }
+        this.save();
+    }
+
+    /**
+     * Checks whether a Pokémon is in the active team.
+     *
+     * @function
+     * @param {number} id - The national Pokédex number of the Pokémon.
+     * @returns {boolean} - True if the Pokémon is in the active team.
+     */
+    hasMember(id) {
+        return this.getActiveTeam().members.includes(Number(id));
+    }
+
+    /**
+     * Checks whether the active team has as many Pokémon as a team can have.
+     *
+     * @function
+     * @returns {boolean} - True if no Pokémon can be added.
+     */
+    isFull() {
+        return this.getActiveTeam().members.length >= TEAM_CONFIG.maxSize;
+    }
+
+    /**
+     * Adds a Pokémon at the end of the active team.
+     *
+     * @function
+     * @param {number} id - The national Pokédex number of the Pokémon.
+     * @returns {boolean} - False if the team is full or already has the Pokémon.
+     */
+    addMember(id) {
+        if (this.isFull() || this.hasMember(id)) return false;
+
+        this.getActiveTeam().members.push(Number(id));
+        this.save();
+        return true;
+    }
+
+    /**
+     * Removes a Pokémon from the active team.
+     *
+     * @function
+     * @param {number} id - The national Pokédex number of the Pokémon.
+     * @returns {void}
+     */
+    removeMember(id) {
+        const team = this.getActiveTeam();
+        if (!this.hasMember(id)) return;
+
+        team.members = team.members.filter(member => member !== Number(id));
+        this.save();
+    }
+
+    /**
+     * Moves a Pokémon of the active team to another position.
+     *
+     * @function
+     * @param {number} from - The current position of the Pokémon.
+     * @param {number} to - Its new position.
+     * @returns {void}
+     */
+    moveMember(from, to) {
+        const { members } = this.getActiveTeam();
+        if (from === to || !members[from] || to < 0 || to >= members.length) return;
+
+        members.splice(to, 0, ...members.splice(from, 1));
+        this.save();
+    }
+
+    /**
+     * Adds a team received in a shared link and makes it the active one.
+     * Opening the same link again selects the team added the first time instead of adding a copy.
+     *
+     * @function
+     * @param {string} name - The name of the team.
+     * @param {Array<number|string>} members - The national Pokédex numbers of its Pokémon.
+     * @returns {number} - The index of the team.
+     */
+    importTeam(name, members) {
+        const validMembers = sanitizeMembers(members);
+        const teamName = name.trim() || this.getNewTeamName();
+        const index = this.teams.findIndex(team =>
+            team.name === teamName && team.members.join(',') === validMembers.join(','));
+
+        if (index !== -1) {
+            this.selectTeam(index);
+            return index;
+        }
+
+        const names = new Set(this.teams.map(team => team.name));
+        let uniqueName = teamName;
+        for (let copy = 2; names.has(uniqueName); copy++) uniqueName = `${teamName} (${copy})`;
+
+        return this.createTeam(uniqueName, validMembers);
+    }
+}
+
+const teamService = new TeamService();
+export default teamService;
@@ -0,0 +1,89 @@
+import { translate } from '../config/i18n.js';
+import { formatSlug } from './helper.js';
+
+/**
+ * Escapes the HTML special characters of a text.
+ *
+ * @param {string} text - The text to escape.
+ * @returns {string} - The escaped text.
+ */
+const escapeHtml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * Builds the list of labelled fields shared by the text and HTML formatters and the detail view.
+ *
+ * @param {import('../models/pokemon-details.js').PokemonDetails} details - The Pokémon details.
+ * @param {string} [locale] - The locale of the labels.
+ * @param {Array<string>} [keys] - The keys of the fields to keep, in their order, e.g. `['height', 'weight']`; every
+ * field when omitted.
+ * @returns {Array<[string, string]>} - Pairs of localized label and formatted value.
+ */
+export const getDetailFields = (details, locale, keys) => {
+    const yesNo = (value) => translate(value ? 'yes' : 'no', locale);
+    const fields = [
+        ['number', `#${details.id}`],
+        ['name', details.displayName],
+        ['genus', details.genus],
+        ['types', details.types.map(type => type.label).join(', ')],
+        ['color', formatSlug(details.color)],
+        ['captureRate', details.captureRate],
+        ['habitat', details.habitat ? formatSlug(details.habitat) : translate('unknown', locale)],
+        ['eggGroups', details.eggGroups.map(formatSlug).join(', ')],
+        ['height', `${details.height} m`],
+        ['weight', `${details.weight} kg`],
+        ['abilities', details.abilities
+            .map(ability => ability.hidden ? `${formatSlug(ability.name)} (${translate('hidden', locale)})` : formatSlug(ability.name))
+            .join(', ')],
+        ['genderRatio', details.genderRatio
+            ? `${translate('male', locale)} ${details.genderRatio.male}% · ${translate('female', locale)} ${details.genderRatio.female}%`
+            : translate('genderless', locale)],
+        ...details.stats.map(stat => [stat.name, stat.value]),
+        ['total', details.baseStatTotal],
+        ['isLegendary', yesNo(details.isLegendary)],
+        ['isMythical', yesNo(details.isMythical)]
+    ];
+
+    const selected = keys ? keys.map(key => fields.find(([name]) => name === key)).filter(Boolean) : fields;
+
+    return selected
+        .filter(([, value]) => value !== '' && value != null)
+        .map(([key, value]) => [translate(key, locale), String(value)]);
+};
+
+/**
+ * Formats Pokémon details as plain text, one `Label: value` line per field.
+ *
+ * @param {import('../models/pokemon-details.js').PokemonDetails} details - The Pokémon details.
+ * @param {string} [locale] - The locale of the labels.
+ * @returns {string} - The formatted text.
+ */
+export const formatDetailsAsText = (details, locale) => getDetailFields(details, locale)
+    .map(([label, value]) => `${label}: ${value}`)
+    .join('\n');
+
+/**
+ * Formats Pokémon details as an HTML description list.
+ *
+ * @param {import('../models/pokemon-details.js').PokemonDetails} details - The Pokémon details.
+ * @param {string} [locale] - The locale of the labels.
+ * @returns {string} - The HTML markup, with every value escaped.
+ */
+export const formatDetailsAsHtml = (details, locale) => {
+    const rows = getDetailFields(details, locale)
+        .map(([label, value]) => `<dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd>`)
+        .join('');
+    return `<dl class="pokemon-details">${rows}</dl>`;
+};
+
+/**
+ * Formats Pokémon details as indented JSON.
+ *
+ * @param {import('../models/pokemon-details.js').PokemonDetails} details - The Pokémon details.
+ * @returns {string} - The JSON text.
+ */
+export const formatDetailsAsJson = (details) => JSON.stringify(details, null, 2);
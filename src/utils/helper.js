@@ -1,4 +1,4 @@
-import { API_ASSETS_URL } from '../config/constants.js';
+import { API_ASSETS_URL, API_SPRITES_URL } from '../config/constants.js';
 
 /**
  * Creates a new HTML element with the specified tag name and class(es).
@@ -14,60 +14,86 @@ export function createElementWithClass(tag, ...classes) {
 }
 
 /**
- * Transforms Pokémon data into a human-readable format.
- * 
- * @param {Object} data - The raw Pokémon data object.
- * @returns {string} - A formatted string containing detailed information about the Pokémon.
+ * Capitalizes the first letter of a given text string.
+ *
+ * @param {string} text - The text to be capitalized.
+ * @returns {string} - The capitalized text.
  */
-export function structureMoreInfo(data) {
-    const lines = [];
-
-    if (data.id != null) {
-        lines.push(`Number: #${data.id}`);
-    }
-
-    if (data.name) {
-        lines.push(`Name: ${capitalize(data.name)}`);
-    }
-
-    if (data.color?.name) {
-        lines.push(`Color: ${capitalize(data.color.name)}`);
-    }
-
-    if (data.capture_rate != null) {
-        lines.push(`Capture rate: ${data.capture_rate}`);
-    }
-
-    if (data.habitat?.name) {
-        lines.push(`Habitat: ${capitalize(data.habitat.name)}`);
-    }
-
-    if (data.egg_groups?.length) {
-        lines.push(`Egg groups: ${data.egg_groups.map(gr => capitalize(gr.name)).join(', ')}`);
+export function capitalize(text) {
+    if (typeof text !== 'string' || text.length === 0) {
+        return text; // Return original input if it's not a string or is empty
     }
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
 
-    if (data.is_legendary != null) {
-        lines.push(`Is legendary: ${data.is_legendary ? 'Yes' : 'No'}`);
+/**
+ * Turns an API slug such as `waters-edge` into a readable label such as `Waters edge`.
+ *
+ * @param {string} slug - The API name.
+ * @returns {string} - The readable label.
+ */
+export function formatSlug(slug) {
+    if (typeof slug !== 'string') {
+        return slug;
     }
+    return capitalize(slug.replace(/-/g, ' '));
+}
 
-    if (data.is_mythical != null) {
-        lines.push(`Is mystical: ${data.is_mythical ? 'Yes' : 'No'}`);
+/**
+ * Delays the calls of a function until it has not been called for a while, e.g. until the user stops typing.
+ *
+ * @param {Function} callback - The function to call.
+ * @param {number} delay - Milliseconds without a call before the last one is made, 0 to make every call right away.
+ * @returns {Function} - The debounced function, called with the arguments of the last call.
+ */
+export function debounce(callback, delay) {
+    if (delay <= 0) {
+        return callback;
     }
 
-    return lines.join('\n');
+    let timeoutId;
+    return (...args) => {
+        clearTimeout(timeoutId);
+        timeoutId = setTimeout(() => callback(...args), delay);
+    };
 }
 
 /**
- * Capitalizes the first letter of a given text string.
+ * Runs an asynchronous task for each item, with at most a given number of tasks running at once.
  *
- * @param {string} text - The text to be capitalized.
- * @returns {string} - The capitalized text.
+ * @param {Array<*>} items - The items to process.
+ * @param {number} concurrency - Maximum number of tasks running at once.
+ * @param {Function} task - Called with an item, returns a promise.
+ * @returns {Array<Promise<*>>} - The promises of the tasks, in the order of the items.
  */
-export function capitalize(text) {
-    if (typeof text !== 'string' || text.length === 0) {
-        return text; // Return original input if it's not a string or is empty
-    }
-    return text.charAt(0).toUpperCase() + text.slice(1);
+export function mapWithConcurrency(items, concurrency, task) {
+    const waiting = [];
+    let running = 0;
+
+    const acquire = () => {
+        if (running < concurrency) {
+            running++;
+            return Promise.resolve();
+        }
+        return new Promise(resolve => waiting.push(resolve));
+    };
+    const release = () => {
+        const next = waiting.shift();
+        if (next) {
+            next();
+        } else {
+            running--;
+        }
+    };
+
+    return items.map(async item => {
+        await acquire();
+        try {
+            return await task(item);
+        } finally {
+            release();
+        }
+    });
 }
 
 /**
@@ -89,15 +115,38 @@ export function transformStructuredData(wholeData) {
 
 /**
  * Transforms raw Pokémon data into a structured format.
+ * The id of a Pokémon is its national Pokédex number, read from its species URL, so the artwork resolves whatever
+ * the Pokédex; its entry number in the Pokédex is kept as `number`, the same as the id in the national Pokédex.
  *
- * @param {Array<Object>} wholeData - The raw Pokémon data from the API.
+ * @param {Array<Object>} wholeData - The raw Pokémon entries of a Pokédex from the API.
+ * @param {string} [assetsUrl=API_ASSETS_URL] - Base URL for Pokémon artwork.
+ * @param {string} [spritesUrl=API_SPRITES_URL] - Base URL for Pokémon sprites.
  * @returns {Array<Object>} - The transformed Pokémon data.
  */
-export function transformPokemonData(wholeData) {
-    return wholeData.map(({ entry_number, pokemon_species }) => ({
-        id: entry_number,
-        name: pokemon_species.name,
-        image: `${API_ASSETS_URL}/cms2/img/pokedex/detail/${String(entry_number).padStart(3, '0')}.png`,
-        url: pokemon_species.url
-    }));
-}
\ No newline at end of file
+export function transformPokemonData(wholeData, assetsUrl = API_ASSETS_URL, spritesUrl = API_SPRITES_URL) {
+    return wholeData.map(({ entry_number, pokemon_species }) => {
+        const id = Number(pokemon_species.url.match(/\/(\d+)\/?$/)?.[1] ?? entry_number);
+
+        return {
+            id,
+            number: entry_number,
+            name: pokemon_species.name,
+            image: `${assetsUrl}/cms2/img/pokedex/detail/${String(id).padStart(3, '0')}.png`,
+            sprite: `${spritesUrl}/${id}.png`,
+            url: pokemon_species.url
+        };
+    });
+}
+
+/**
+ * Formats the number of a Pokémon, its entry number in the selected Pokédex followed by its national Pokédex number
+ * when they differ, e.g. `#194 (#25)` for Pikachu in the Galar Pokédex.
+ *
+ * @param {Object} pokemon - The Pokémon.
+ * @param {number} pokemon.id - The national Pokédex number.
+ * @param {number} [pokemon.number] - The entry number in the selected Pokédex.
+ * @returns {string} - The formatted number.
+ */
+export function formatPokedexNumber({ id, number = id }) {
+    return Number(number) === Number(id) ? `#${id}` : `#${number} (#${id})`;
+}